@@ -0,0 +1,131 @@
+// spotify-playlist-curator-mcp/background-jobs.js
+// Method calls that run in the background, reporting their phase and progress until they finish
+
+import { randomBytes } from 'crypto';
+
+// A progress reporter that ignores everything, for calls that aren't running as background jobs
+export const silentProgress = {
+  report() {},
+  throwIfCancelled() {},
+  scope() {
+    return silentProgress;
+  }
+};
+
+// Function to create a progress reporter that updates a job.
+// scope(start, end) gives a reporter for one stage, whose 0-100% covers start-end% of this reporter.
+function createProgress(entry, from = 0, to = 100) {
+  return {
+    // Record the current phase, how far along it is (0-100) and any partial results
+    report({ phase, percent = 0, partial }) {
+      const { job } = entry;
+      if (job.status !== 'running') {
+        return;
+      }
+
+      const scaled = from + (to - from) * Math.min(Math.max(percent, 0), 100) / 100;
+      job.phase = phase;
+      job.percent = Math.max(job.percent, Math.round(scaled));
+      if (partial !== undefined) {
+        job.partial = partial;
+      }
+      job.updatedAt = new Date().toISOString();
+    },
+
+    // Stop the work at a convenient point if the job was cancelled
+    throwIfCancelled() {
+      if (entry.cancelRequested) {
+        throw new Error('The job was cancelled');
+      }
+    },
+
+    scope(start, end) {
+      return createProgress(entry, from + (to - from) * start / 100, from + (to - from) * end / 100);
+    }
+  };
+}
+
+// Function to create the list of background jobs, keeping the last maxFinished finished ones
+export function createBackgroundJobs({ maxFinished = 50 } = {}) {
+  const entries = new Map();
+
+  // Forget the oldest finished jobs
+  const prune = () => {
+    const finished = [...entries.values()].filter(entry => entry.job.status !== 'running');
+    for (const entry of finished.slice(0, Math.max(finished.length - maxFinished, 0))) {
+      entries.delete(entry.job.id);
+    }
+  };
+
+  const finish = (entry, status, fields = {}) => {
+    Object.assign(entry.job, fields, {
+      status,
+      finishedAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    });
+    prune();
+  };
+
+  return {
+    // Start work(progress) in the background. The work resolves to a method result;
+    // a result with an `error` field counts as a failure.
+    start(method, work) {
+      const now = new Date().toISOString();
+      const entry = {
+        cancelRequested: false,
+        job: {
+          id: `bg-${Date.now().toString(36)}-${randomBytes(3).toString('hex')}`,
+          method,
+          status: 'running',
+          phase: 'starting',
+          percent: 0,
+          partial: null,
+          result: null,
+          error: null,
+          startedAt: now,
+          updatedAt: now,
+          finishedAt: null
+        }
+      };
+      entries.set(entry.job.id, entry);
+
+      Promise.resolve()
+        .then(() => work(createProgress(entry)))
+        .then(result => {
+          if (entry.cancelRequested) {
+            finish(entry, 'cancelled');
+          } else if (result && result.error) {
+            finish(entry, 'failed', { error: result.error });
+          } else {
+            finish(entry, 'completed', { phase: 'done', percent: 100, partial: null, result });
+          }
+        }, error => {
+          finish(entry, entry.cancelRequested ? 'cancelled' : 'failed', entry.cancelRequested ? {} : { error: error.message });
+        });
+
+      return { ...entry.job };
+    },
+
+    get(id) {
+      const entry = entries.get(id);
+      return entry ? { ...entry.job, cancelRequested: entry.cancelRequested } : null;
+    },
+
+    // Ask a running job to stop; it stops at its next checkpoint
+    cancel(id) {
+      const entry = entries.get(id);
+      if (!entry) {
+        return null;
+      }
+
+      if (entry.job.status === 'running') {
+        entry.cancelRequested = true;
+      }
+      return { ...entry.job, cancelRequested: entry.cancelRequested };
+    },
+
+    list() {
+      return [...entries.values()].map(entry => ({ ...entry.job, cancelRequested: entry.cancelRequested }));
+    }
+  };
+}
@@ -0,0 +1,194 @@
+// spotify-playlist-curator-mcp/client-format.js
+// Coloured tables and summaries for the curator's command-line clients
+
+const ANSI = {
+  bold: [1, 22],
+  dim: [2, 22],
+  red: [31, 39],
+  green: [32, 39],
+  yellow: [33, 39],
+  cyan: [36, 39]
+};
+
+// Escape sequences, so text can be measured without them
+const ANSI_PATTERN = /\x1b\[\d+m/g;
+
+// Function to create colour helpers; when disabled, each one returns the text unchanged
+export function createColors(enabled = true) {
+  return Object.fromEntries(Object.entries(ANSI).map(([name, [open, close]]) => [
+    name,
+    text => (enabled ? `\x1b[${open}m${text}\x1b[${close}m` : String(text))
+  ]));
+}
+
+// Function to measure text as it appears on screen
+const visibleLength = text => String(text).replace(ANSI_PATTERN, '').length;
+
+// Function to shorten text to a width, ending with an ellipsis
+const truncate = (text, width) => (text.length > width ? `${text.slice(0, Math.max(width - 1, 0))}…` : text);
+
+// Function to lay out rows as a table.
+// Each column is { header, value(row, index), maxWidth, align: 'right', color(text, row) }.
+export function formatTable(rows, columns, { colors = createColors(false) } = {}) {
+  const cells = rows.map((row, index) => columns.map(column => {
+    const value = column.value(row, index);
+    const text = value === undefined || value === null ? '' : String(value);
+    return column.maxWidth ? truncate(text, column.maxWidth) : text;
+  }));
+
+  const widths = columns.map((column, i) => Math.max(
+    visibleLength(column.header),
+    ...cells.map(row => visibleLength(row[i]))
+  ));
+
+  const pad = (text, i) => (columns[i].align === 'right'
+    ? ' '.repeat(widths[i] - visibleLength(text)) + text
+    : text + ' '.repeat(widths[i] - visibleLength(text)));
+
+  const header = columns.map((column, i) => colors.bold(pad(column.header, i))).join('  ');
+  const rule = colors.dim(widths.map(width => '─'.repeat(width)).join('  '));
+  const lines = cells.map((row, r) => row
+    .map((text, i) => {
+      const padded = pad(text, i);
+      return columns[i].color ? columns[i].color(padded, rows[r]) : padded;
+    })
+    .join('  ')
+    .trimEnd());
+
+  return [header.trimEnd(), rule, ...lines].join('\n');
+}
+
+// Function to write rows as CSV, with the same column definitions as formatTable
+export function formatCsv(rows, columns) {
+  const escape = value => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return [
+    columns.map(column => escape(column.header)).join(','),
+    ...rows.map((row, index) => columns.map(column => escape(column.value(row, index))).join(','))
+  ].join('\n');
+}
+
+// Function to format a list of playlists from getPlaylists
+export function formatPlaylists(playlists, colors = createColors(false)) {
+  return formatTable(playlists, [
+    { header: '#', value: (_, index) => index + 1, align: 'right', color: text => colors.dim(text) },
+    { header: 'Name', value: playlist => playlist.name, maxWidth: 40, color: text => colors.cyan(text) },
+    { header: 'Tracks', value: playlist => playlist.trackCount, align: 'right' },
+    { header: 'Owner', value: playlist => playlist.owner, maxWidth: 20 },
+    {
+      header: 'Visibility',
+      value: playlist => [playlist.public ? 'public' : 'private', playlist.collaborative ? 'collaborative' : null]
+        .filter(Boolean).join(', ')
+    }
+  ], { colors });
+}
+
+// Function to turn a getClaudeRecommendations response into one numbered list of picks:
+// Claude's suggestions first, then Spotify's own recommendations
+export function recommendationPicks(recommendations) {
+  const claude = recommendations.claudeRecommendations.map(rec => {
+    if (rec.matched) {
+      return {
+        source: 'claude',
+        status: 'matched',
+        name: rec.name,
+        artists: rec.artists.join(', '),
+        uri: rec.uri,
+        confidence: rec.confidence,
+        reason: rec.reason
+      };
+    }
+
+    return {
+      source: 'claude',
+      status: rec.lowConfidence ? 'uncertain' : 'not found',
+      name: rec.name,
+      artists: rec.artist,
+      uri: null,
+      confidence: rec.confidence,
+      reason: rec.lowConfidence && rec.bestCandidate
+        ? `Closest match: ${rec.bestCandidate.name} by ${rec.bestCandidate.artists.join(', ')}`
+        : rec.reason
+    };
+  });
+
+  const spotify = recommendations.spotifyRecommendations.map(track => ({
+    source: 'spotify',
+    status: 'matched',
+    name: track.name,
+    artists: track.artists.join(', '),
+    uri: track.uri,
+    confidence: null,
+    reason: 'Spotify recommendation'
+  }));
+
+  return [...claude, ...spotify];
+}
+
+// Function to turn searchTracks results into picks
+export function searchPicks(tracks) {
+  return tracks.map(track => ({
+    source: 'search',
+    status: 'matched',
+    name: track.name,
+    artists: track.artists.join(', '),
+    uri: track.uri,
+    confidence: null,
+    reason: track.album
+  }));
+}
+
+// Function to format picks (recommendations or search results) as a numbered table
+export function formatPicks(picks, colors = createColors(false)) {
+  const statusColor = { matched: colors.green, uncertain: colors.yellow, 'not found': colors.red };
+
+  return formatTable(picks, [
+    { header: '#', value: (_, index) => index + 1, align: 'right', color: text => colors.dim(text) },
+    { header: 'Track', value: pick => pick.name, maxWidth: 36, color: text => colors.cyan(text) },
+    { header: 'Artist', value: pick => pick.artists, maxWidth: 28 },
+    { header: 'From', value: pick => pick.source },
+    { header: 'Match', value: pick => pick.status, color: (text, pick) => statusColor[pick.status](text) },
+    {
+      header: 'Conf.',
+      value: pick => (typeof pick.confidence === 'number' && pick.status !== 'not found' ? pick.confidence.toFixed(2) : ''),
+      align: 'right'
+    },
+    { header: 'Why', value: pick => pick.reason, maxWidth: 50, color: text => colors.dim(text) }
+  ], { colors });
+}
+
+// Function to format the analysis from getPlaylistDetails
+export function formatAnalysis(details, colors = createColors(false)) {
+  const { summary } = details;
+  const lines = [
+    `${colors.bold(details.name)} ${colors.dim(`(${details.trackCount} tracks, ${details.owner})`)}`,
+    summary.summary,
+    ''
+  ];
+
+  if (summary.mood !== 'Unknown') {
+    const average = (feature, digits = 2) => (summary.averages[feature] === null ? 'n/a' : summary.averages[feature].toFixed(digits));
+    lines.push(
+      `Mood:         ${colors.cyan(summary.mood)}`,
+      `Tempo:        ${average('tempo', 0)} BPM`,
+      `Energy:       ${average('energy')}`,
+      `Danceability: ${average('danceability')}`,
+      `Positivity:   ${average('valence')}`
+    );
+  }
+
+  const topGenres = summary.genres?.topGenres || [];
+  if (topGenres.length > 0) {
+    lines.push(`Genres:       ${topGenres.slice(0, 5).map(({ genre }) => genre).join(', ')}`);
+  }
+
+  const topArtists = summary.artists?.topArtists || [];
+  if (topArtists.length > 0) {
+    lines.push(`Artists:      ${topArtists.slice(0, 5).map(({ name }) => name).join(', ')}`);
+  }
+
+  return lines.join('\n');
+}
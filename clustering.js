@@ -0,0 +1,172 @@
+// spotify-playlist-curator-mcp/clustering.js
+// k-means clustering of tracks on normalised audio features
+
+// Features used to place tracks, all scaled to 0-1 across the playlist
+export const CLUSTER_FEATURES = [
+  'danceability', 'energy', 'valence', 'acousticness',
+  'instrumentalness', 'speechiness', 'tempo', 'loudness'
+];
+
+// Silhouette scores are computed on at most this many tracks, to keep auto-selection fast
+const SILHOUETTE_SAMPLE_SIZE = 500;
+
+// Function to create a small seeded random number generator (mulberry32), so results are repeatable
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Function to get the squared Euclidean distance between two points
+function squaredDistance(a, b) {
+  let total = 0;
+  for (let i = 0; i < a.length; i++) {
+    total += (a[i] - b[i]) ** 2;
+  }
+  return total;
+}
+
+// Function to turn tracks into points with every feature scaled to 0-1 (min-max across the tracks)
+export function normalizeTracks(tracks) {
+  const ranges = CLUSTER_FEATURES.map(feature => {
+    const values = tracks.map(track => track[feature]);
+    return [Math.min(...values), Math.max(...values)];
+  });
+
+  return tracks.map(track => CLUSTER_FEATURES.map((feature, index) => {
+    const [min, max] = ranges[index];
+    return max > min ? (track[feature] - min) / (max - min) : 0;
+  }));
+}
+
+// Function to pick starting centroids with k-means++ (spread out, weighted by distance)
+function initialCentroids(points, k, random) {
+  const centroids = [points[Math.floor(random() * points.length)]];
+
+  while (centroids.length < k) {
+    const distances = points.map(point => Math.min(...centroids.map(centroid => squaredDistance(point, centroid))));
+    const total = distances.reduce((acc, distance) => acc + distance, 0);
+
+    // All remaining points sit on a centroid already
+    if (total === 0) {
+      centroids.push(points[Math.floor(random() * points.length)]);
+      continue;
+    }
+
+    let target = random() * total;
+    const index = distances.findIndex(distance => (target -= distance) <= 0);
+    centroids.push(points[index === -1 ? points.length - 1 : index]);
+  }
+
+  return centroids.map(centroid => [...centroid]);
+}
+
+// Function to cluster points into k groups. Returns each point's cluster and the centroids.
+export function kMeans(points, k, { seed = 1, maxIterations = 100 } = {}) {
+  const random = createRandom(seed);
+  let centroids = initialCentroids(points, k, random);
+  let assignments = new Array(points.length).fill(-1);
+
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    let changed = false;
+
+    // Assign each point to its nearest centroid
+    points.forEach((point, index) => {
+      let nearest = 0;
+      let nearestDistance = Infinity;
+      centroids.forEach((centroid, cluster) => {
+        const distance = squaredDistance(point, centroid);
+        if (distance < nearestDistance) {
+          nearestDistance = distance;
+          nearest = cluster;
+        }
+      });
+
+      if (assignments[index] !== nearest) {
+        assignments[index] = nearest;
+        changed = true;
+      }
+    });
+
+    if (!changed) {
+      break;
+    }
+
+    // Move each centroid to the mean of its points (empty clusters keep their centroid)
+    centroids = centroids.map((centroid, cluster) => {
+      const members = points.filter((_, index) => assignments[index] === cluster);
+      if (members.length === 0) {
+        return centroid;
+      }
+      return centroid.map((_, dimension) =>
+        members.reduce((acc, member) => acc + member[dimension], 0) / members.length
+      );
+    });
+  }
+
+  return { assignments, centroids };
+}
+
+// Function to score a clustering from -1 to 1 (higher means tighter, better separated clusters)
+export function silhouetteScore(points, assignments, k, { seed = 1 } = {}) {
+  let indices = points.map((_, index) => index);
+
+  // Score a random sample of large playlists
+  if (indices.length > SILHOUETTE_SAMPLE_SIZE) {
+    const random = createRandom(seed);
+    indices = indices
+      .map(index => ({ index, order: random() }))
+      .sort((a, b) => a.order - b.order)
+      .slice(0, SILHOUETTE_SAMPLE_SIZE)
+      .map(entry => entry.index);
+  }
+
+  const scores = indices.map(index => {
+    const totals = new Array(k).fill(0);
+    const counts = new Array(k).fill(0);
+
+    indices.forEach(other => {
+      if (other !== index) {
+        totals[assignments[other]] += Math.sqrt(squaredDistance(points[index], points[other]));
+        counts[assignments[other]]++;
+      }
+    });
+
+    const own = assignments[index];
+    if (counts[own] === 0) {
+      return 0;
+    }
+
+    const cohesion = totals[own] / counts[own];
+    const separation = Math.min(...totals
+      .map((total, cluster) => (cluster !== own && counts[cluster] > 0 ? total / counts[cluster] : Infinity)));
+
+    return Number.isFinite(separation) ? (separation - cohesion) / Math.max(cohesion, separation) : 0;
+  });
+
+  return scores.reduce((acc, score) => acc + score, 0) / scores.length;
+}
+
+// Function to cluster points, choosing k by silhouette score when it isn't given
+export function clusterPoints(points, { k, maxK = 8, seed = 1 } = {}) {
+  if (k) {
+    return { k, ...kMeans(points, k, { seed }) };
+  }
+
+  let best = null;
+  for (let candidate = 2; candidate <= Math.min(maxK, points.length - 1); candidate++) {
+    const result = kMeans(points, candidate, { seed });
+    const score = silhouetteScore(points, result.assignments, candidate, { seed });
+
+    if (!best || score > best.silhouette) {
+      best = { k: candidate, silhouette: score, ...result };
+    }
+  }
+
+  return best;
+}
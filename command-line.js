@@ -0,0 +1,181 @@
+// spotify-playlist-curator-mcp/command-line.js
+// Parsing of typed commands: words, --options and track selections like "1,3,5-7"
+
+// Function to split a command line into words, keeping "quoted phrases" together
+export function tokenize(line) {
+  const tokens = [];
+  let current = '';
+  let quote = null;
+  let inToken = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (char === '\\' && i + 1 < line.length) {
+      current += line[++i];
+      inToken = true;
+    } else if (quote) {
+      if (char === quote) {
+        quote = null;
+      } else {
+        current += char;
+      }
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+      inToken = true;
+    } else if (/\s/.test(char)) {
+      if (inToken) {
+        tokens.push(current);
+        current = '';
+        inToken = false;
+      }
+    } else {
+      current += char;
+      inToken = true;
+    }
+  }
+
+  if (quote) {
+    throw new Error(`Unclosed ${quote} quote`);
+  }
+  if (inToken) {
+    tokens.push(current);
+  }
+
+  return tokens;
+}
+
+// Function to turn an option name like "min-popularity" into "minPopularity"
+const camelCase = name => name.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+
+// Function to separate --options from positional words.
+// `spec` maps option names (as typed, e.g. "exclude-existing") to 'string', 'number' or 'boolean'.
+// Options are written --name value, --name=value, --flag or --no-flag; "--" ends the options.
+export function parseOptions(tokens, spec = {}) {
+  const positional = [];
+  const options = {};
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+
+    if (token === '--') {
+      positional.push(...tokens.slice(i + 1));
+      break;
+    }
+
+    if (!token.startsWith('--') || token.length === 2) {
+      positional.push(token);
+      continue;
+    }
+
+    let [name, value] = token.slice(2).split(/=(.*)/s);
+    let negated = false;
+    if (!(name in spec) && name.startsWith('no-') && spec[name.slice(3)] === 'boolean') {
+      name = name.slice(3);
+      negated = true;
+    }
+
+    const type = spec[name];
+    if (!type) {
+      throw new Error(`Unknown option --${name}`);
+    }
+
+    if (type === 'boolean') {
+      if (value !== undefined && !['true', 'false'].includes(value)) {
+        throw new Error(`--${name} doesn't take a value`);
+      }
+      options[camelCase(name)] = negated ? false : value !== 'false';
+      continue;
+    }
+
+    if (value === undefined) {
+      if (i + 1 >= tokens.length) {
+        throw new Error(`--${name} needs a value`);
+      }
+      value = tokens[++i];
+    }
+
+    if (type === 'number') {
+      const number = Number(value);
+      if (value === '' || Number.isNaN(number)) {
+        throw new Error(`--${name} must be a number`);
+      }
+      options[camelCase(name)] = number;
+    } else {
+      options[camelCase(name)] = value;
+    }
+  }
+
+  return { positional, options };
+}
+
+// Function to parse a selection like "1,3,5-7" or "all" into zero-based indexes, in order, without repeats
+export function parseSelection(text, count) {
+  if (!text || !text.trim()) {
+    throw new Error('Say which items, for example 1,3,5 or 2-4');
+  }
+
+  if (text.trim().toLowerCase() === 'all') {
+    return [...Array(count).keys()];
+  }
+
+  const indexes = [];
+  for (const part of text.split(',').map(piece => piece.trim()).filter(Boolean)) {
+    const range = part.match(/^(\d+)(?:-(\d+))?$/);
+    if (!range) {
+      throw new Error(`"${part}" is not a number or a range like 2-4`);
+    }
+
+    const from = Number(range[1]);
+    const to = range[2] !== undefined ? Number(range[2]) : from;
+    if (from < 1 || to < from || to > count) {
+      throw new Error(`"${part}" is outside 1-${count}`);
+    }
+
+    for (let number = from; number <= to; number++) {
+      if (!indexes.includes(number - 1)) {
+        indexes.push(number - 1);
+      }
+    }
+  }
+
+  return indexes;
+}
+
+// Audio features that recommendations can aim for, typed as --energy 0.8 and so on
+export const TARGET_FEATURES = ['energy', 'danceability', 'valence', 'acousticness', 'tempo'];
+
+// Options for getting recommendations, shared by the shell and the command-line tool
+export const RECOMMEND_OPTIONS = {
+  count: 'number',
+  template: 'string',
+  provider: 'string',
+  'exclude-existing': 'boolean',
+  'exclude-explicit': 'boolean',
+  'min-popularity': 'number',
+  'max-popularity': 'number',
+  'min-confidence': 'number',
+  'sample-size': 'number',
+  ...Object.fromEntries(TARGET_FEATURES.map(feature => [feature, 'number']))
+};
+
+// Function to turn parsed recommendation options into getClaudeRecommendations arguments
+export function recommendationArgs(playlistId, options) {
+  const features = Object.fromEntries(TARGET_FEATURES
+    .filter(feature => options[feature] !== undefined)
+    .map(feature => [feature, { target: options[feature] }]));
+
+  return {
+    playlistId,
+    count: options.count,
+    template: options.template,
+    provider: options.provider,
+    excludeExisting: options.excludeExisting,
+    excludeExplicit: options.excludeExplicit,
+    minPopularity: options.minPopularity,
+    maxPopularity: options.maxPopularity,
+    minConfidence: options.minConfidence,
+    sampleSize: options.sampleSize,
+    features
+  };
+}
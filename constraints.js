@@ -0,0 +1,157 @@
+// spotify-playlist-curator-mcp/constraints.js
+// Recommendation constraints: popularity, explicit content and audio feature ranges
+
+// Audio features that can be constrained, with their valid range
+export const TUNABLE_FEATURES = {
+  acousticness: [0, 1],
+  danceability: [0, 1],
+  energy: [0, 1],
+  instrumentalness: [0, 1],
+  liveness: [0, 1],
+  speechiness: [0, 1],
+  valence: [0, 1],
+  loudness: [-60, 0],
+  tempo: [0, 250]
+};
+
+// How far a track may be from a target value and still count as a fit
+const TARGET_TOLERANCE = {
+  loudness: 6,
+  tempo: 15
+};
+const DEFAULT_TARGET_TOLERANCE = 0.2;
+
+// Function to check for an object like { min: 0.5 } (not null, an array or a number)
+const isPlainObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+// Function to check a constraints object, returning an error message or null
+export function validateConstraints({ minPopularity, maxPopularity, features = {} } = {}) {
+  for (const [name, value] of [['minPopularity', minPopularity], ['maxPopularity', maxPopularity]]) {
+    if (value !== undefined && (typeof value !== 'number' || value < 0 || value > 100)) {
+      return `${name} must be a number between 0 and 100`;
+    }
+  }
+
+  if (minPopularity !== undefined && maxPopularity !== undefined && minPopularity > maxPopularity) {
+    return 'minPopularity cannot be greater than maxPopularity';
+  }
+
+  if (!isPlainObject(features)) {
+    return 'features must be an object of audio feature ranges, e.g. { energy: { min: 0.5 } }';
+  }
+
+  for (const [feature, range] of Object.entries(features)) {
+    if (!Object.hasOwn(TUNABLE_FEATURES, feature)) {
+      return `Unknown audio feature "${feature}". Supported features: ${Object.keys(TUNABLE_FEATURES).join(', ')}`;
+    }
+
+    if (!isPlainObject(range)) {
+      return `${feature} must be an object with min, max and/or target, e.g. { target: 0.8 }`;
+    }
+
+    const [low, high] = TUNABLE_FEATURES[feature];
+    for (const bound of ['min', 'max', 'target']) {
+      const value = range[bound];
+      if (value !== undefined && (typeof value !== 'number' || value < low || value > high)) {
+        return `${feature}.${bound} must be a number between ${low} and ${high}`;
+      }
+    }
+
+    if (range.min !== undefined && range.max !== undefined && range.min > range.max) {
+      return `${feature}.min cannot be greater than ${feature}.max`;
+    }
+  }
+
+  return null;
+}
+
+// Function to check whether any constraint is set
+export function hasConstraints({ excludeExplicit, minPopularity, maxPopularity, features = {} } = {}) {
+  return Boolean(excludeExplicit) || minPopularity !== undefined || maxPopularity !== undefined ||
+    Object.keys(features).length > 0;
+}
+
+// Function to turn constraints into Spotify recommendations query parameters
+export function toSpotifyParams({ minPopularity, maxPopularity, features = {} } = {}) {
+  const params = {};
+
+  if (minPopularity !== undefined) params.min_popularity = minPopularity;
+  if (maxPopularity !== undefined) params.max_popularity = maxPopularity;
+
+  Object.entries(features).forEach(([feature, range]) => {
+    ['min', 'max', 'target'].forEach(bound => {
+      if (range[bound] !== undefined) {
+        params[`${bound}_${feature}`] = range[bound];
+      }
+    });
+  });
+
+  return params;
+}
+
+// Function to describe constraints in plain English, one per line, for a prompt
+export function describeConstraints({ excludeExplicit, minPopularity, maxPopularity, features = {} } = {}) {
+  const lines = [];
+
+  if (excludeExplicit) {
+    lines.push('- No songs with explicit lyrics');
+  }
+  if (minPopularity !== undefined || maxPopularity !== undefined) {
+    lines.push(`- Spotify popularity (0-100) between ${minPopularity ?? 0} and ${maxPopularity ?? 100}`);
+  }
+
+  Object.entries(features).forEach(([feature, range]) => {
+    const [low, high] = TUNABLE_FEATURES[feature];
+    const unit = feature === 'tempo' ? ' BPM' : feature === 'loudness' ? ' dB' : ` (${low}-${high} scale)`;
+    const parts = [];
+    if (range.min !== undefined || range.max !== undefined) {
+      parts.push(`between ${range.min ?? low} and ${range.max ?? high}`);
+    }
+    if (range.target !== undefined) {
+      parts.push(`ideally around ${range.target}`);
+    }
+    lines.push(`- ${feature.charAt(0).toUpperCase() + feature.slice(1)} ${parts.join(', ')}${unit}`);
+  });
+
+  return lines.join('\n');
+}
+
+// Function to list the reasons a track fails the constraints (empty when it fits).
+// `track` is a Spotify track object; `features` its audio features (or null if unknown).
+export function checkConstraints(track, features, { excludeExplicit, minPopularity, maxPopularity, features: ranges = {} } = {}) {
+  const reasons = [];
+
+  if (excludeExplicit && track.explicit) {
+    reasons.push('explicit');
+  }
+  if (minPopularity !== undefined && (track.popularity ?? 0) < minPopularity) {
+    reasons.push(`popularity ${track.popularity} below ${minPopularity}`);
+  }
+  if (maxPopularity !== undefined && (track.popularity ?? 0) > maxPopularity) {
+    reasons.push(`popularity ${track.popularity} above ${maxPopularity}`);
+  }
+
+  Object.entries(ranges).forEach(([feature, range]) => {
+    const value = features ? features[feature] : undefined;
+    if (value === undefined || value === null) {
+      return;
+    }
+
+    const shown = Number(value.toFixed(2));
+    if (range.min !== undefined && value < range.min) {
+      reasons.push(`${feature} ${shown} below ${range.min}`);
+    }
+    if (range.max !== undefined && value > range.max) {
+      reasons.push(`${feature} ${shown} above ${range.max}`);
+    }
+
+    // Targets without bounds still rule out tracks that are nowhere near
+    const tolerance = TARGET_TOLERANCE[feature] ?? DEFAULT_TARGET_TOLERANCE;
+    if (range.target !== undefined && range.min === undefined && range.max === undefined &&
+      Math.abs(value - range.target) > tolerance) {
+      reasons.push(`${feature} ${shown} too far from target ${range.target}`);
+    }
+  });
+
+  return reasons;
+}
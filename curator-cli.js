@@ -0,0 +1,343 @@
+// spotify-playlist-curator-mcp/curator-cli.js
+// Non-interactive `curator` command: one subcommand per run, output for scripts, never prompts
+
+import { parseOptions, RECOMMEND_OPTIONS, recommendationArgs } from './command-line.js';
+import {
+  createColors,
+  formatTable,
+  formatCsv,
+  formatPlaylists,
+  formatPicks,
+  formatAnalysis,
+  recommendationPicks
+} from './client-format.js';
+import { detectFormat } from './playlist-formats.js';
+
+// Exit codes scripts can rely on
+export const EXIT_CODES = {
+  ok: 0,
+  // The server answered with an error
+  error: 1,
+  // The command line was wrong
+  usage: 2,
+  // Spotify sign-in is needed; the error includes an authUrl
+  auth: 3
+};
+
+// Options every subcommand accepts
+const COMMON_OPTIONS = { json: 'boolean', format: 'string', account: 'string', help: 'boolean' };
+
+// Subcommands: their usage, options and the output formats they support (the first is the default)
+const SUBCOMMANDS = {
+  playlists: {
+    usage: 'playlists [--name text] [--owned|--followed] [--public|--private] [--collaborative]',
+    description: 'List your playlists',
+    options: { name: 'string', owned: 'boolean', followed: 'boolean', public: 'boolean', private: 'boolean', collaborative: 'boolean' },
+    formats: ['table', 'json', 'csv']
+  },
+  analyze: {
+    usage: 'analyze <playlist-id> [--refresh]',
+    description: 'Describe a playlist; csv, m3u8 and xspf list its tracks',
+    options: { refresh: 'boolean' },
+    formats: ['text', 'json', 'csv', 'm3u8', 'xspf']
+  },
+  recommend: {
+    usage: 'recommend <playlist-id> [--count 10] [--energy 0.8] ... [--add-matched] [--dry-run]',
+    description: 'Get recommendations, and optionally add Claude\'s matched picks to the playlist',
+    options: { ...RECOMMEND_OPTIONS, 'add-matched': 'boolean', 'dry-run': 'boolean' },
+    formats: ['table', 'json', 'csv']
+  },
+  search: {
+    usage: 'search <query> [--type track,artist,album,playlist] [--limit 10] [--offset 0] [--market GB]',
+    description: 'Search Spotify',
+    options: { type: 'string', limit: 'number', offset: 'number', market: 'string' },
+    formats: ['table', 'json', 'csv']
+  },
+  create: {
+    usage: 'create <name> [--from-file tracks.txt] [--description text] [--public] [--min-confidence 0.6] [--dry-run]',
+    description: 'Create a playlist, optionally filled from a playlist file',
+    options: { 'from-file': 'string', description: 'string', public: 'boolean', 'min-confidence': 'number', 'dry-run': 'boolean' },
+    formats: ['text', 'json']
+  },
+  undo: {
+    usage: 'undo <playlist-id> [--dry-run]',
+    description: 'Undo the last change the curator made to a playlist',
+    options: { 'dry-run': 'boolean' },
+    formats: ['text', 'json']
+  }
+};
+
+// Function to build an error with an exit code, and the server's authUrl if it sent one
+function cliError(message, exitCode, authUrl) {
+  const error = new Error(message);
+  error.exitCode = exitCode;
+  if (authUrl) {
+    error.authUrl = authUrl;
+  }
+  return error;
+}
+
+// Function to write the usage of every subcommand
+function usage() {
+  const width = Math.max(...Object.values(SUBCOMMANDS).map(command => command.usage.length));
+  return [
+    'Usage: curator <command> [options] [--json | --format <format>] [--account <id>]',
+    '',
+    ...Object.values(SUBCOMMANDS).map(command => `  ${command.usage.padEnd(width)}  ${command.description}`),
+    '',
+    `Exit codes: ${EXIT_CODES.ok} ok, ${EXIT_CODES.error} error, ${EXIT_CODES.usage} usage error, ${EXIT_CODES.auth} Spotify sign-in needed`
+  ].join('\n');
+}
+
+// Column layouts for CSV output
+const PLAYLIST_COLUMNS = [
+  { header: 'id', value: playlist => playlist.id },
+  { header: 'name', value: playlist => playlist.name },
+  { header: 'trackCount', value: playlist => playlist.trackCount },
+  { header: 'owner', value: playlist => playlist.owner },
+  { header: 'ownerId', value: playlist => playlist.ownerId },
+  { header: 'public', value: playlist => playlist.public },
+  { header: 'collaborative', value: playlist => playlist.collaborative }
+];
+
+const PICK_COLUMNS = [
+  { header: 'number', value: (_, index) => index + 1 },
+  { header: 'source', value: pick => pick.source },
+  { header: 'status', value: pick => pick.status },
+  { header: 'name', value: pick => pick.name },
+  { header: 'artists', value: pick => pick.artists },
+  { header: 'uri', value: pick => pick.uri },
+  { header: 'confidence', value: pick => pick.confidence },
+  { header: 'reason', value: pick => pick.reason }
+];
+
+const SEARCH_COLUMNS = [
+  { header: 'type', value: item => item.type },
+  { header: 'name', value: item => item.name },
+  { header: 'by', value: item => item.by },
+  { header: 'uri', value: item => item.uri }
+];
+
+// Function to flatten searchSpotify results into one list of { type, name, by, uri }
+function searchRows(response, types) {
+  return types.flatMap(type => response[`${type}s`].items.map(item => ({
+    type,
+    name: item.name,
+    by: item.artists ? item.artists.join(', ') : item.owner || (item.genres || []).slice(0, 3).join(', '),
+    uri: item.uri
+  })));
+}
+
+// Function to run the curator command line. Resolves to the exit code; never prompts.
+// `client` has the MCP methods, `stdout`/`stderr` write text and `readFile(path)` reads a file.
+export async function runCli(argv, { client, stdout, stderr, readFile, colors = createColors(false) }) {
+  const [name, ...rest] = argv;
+  let json = rest.includes('--json') || rest.some(arg => arg === '--format=json') ||
+    rest.some((arg, index) => arg === '--format' && rest[index + 1] === 'json');
+
+  // Function to report an error, as JSON on stderr when JSON output was asked for
+  const fail = error => {
+    const exitCode = error.exitCode ?? EXIT_CODES.error;
+    if (json) {
+      stderr(JSON.stringify({ error: error.message, ...(error.authUrl ? { authUrl: error.authUrl } : {}), exitCode }));
+    } else {
+      stderr(`Error: ${error.message}`);
+      if (error.authUrl) {
+        stderr(`Sign in to Spotify at ${error.authUrl}, then run the command again.`);
+      }
+      if (exitCode === EXIT_CODES.usage) {
+        stderr('Run `curator help` for the commands.');
+      }
+    }
+    return exitCode;
+  };
+
+  if (!name || name === 'help' || name === '--help') {
+    stdout(usage());
+    return name ? EXIT_CODES.ok : EXIT_CODES.usage;
+  }
+
+  const subcommand = SUBCOMMANDS[name];
+  if (!subcommand) {
+    return fail(cliError(`Unknown command "${name}"`, EXIT_CODES.usage));
+  }
+
+  let positional;
+  let options;
+  try {
+    ({ positional, options } = parseOptions(rest, { ...COMMON_OPTIONS, ...subcommand.options }));
+  } catch (error) {
+    return fail(cliError(error.message, EXIT_CODES.usage));
+  }
+
+  if (options.help) {
+    stdout(`Usage: curator ${subcommand.usage}\n${subcommand.description}. Formats: ${subcommand.formats.join(', ')}`);
+    return EXIT_CODES.ok;
+  }
+
+  const format = options.json ? 'json' : options.format || subcommand.formats[0];
+  json = format === 'json';
+  if (!subcommand.formats.includes(format)) {
+    return fail(cliError(`${name} can't write ${format}; use one of ${subcommand.formats.join(', ')}`, EXIT_CODES.usage));
+  }
+
+  // Function to call an MCP method, turning an error response into an exception with an exit code
+  const callMethod = async (method, args) => {
+    const response = await client[method]({ ...args, account: options.account });
+    if (response && response.error) {
+      throw cliError(response.error, response.authUrl ? EXIT_CODES.auth : EXIT_CODES.error, response.authUrl);
+    }
+    return response;
+  };
+
+  // Function to take the required first argument
+  const required = what => {
+    if (!positional[0]) {
+      throw cliError(`Missing ${what}. Usage: curator ${subcommand.usage}`, EXIT_CODES.usage);
+    }
+    return positional.join(' ');
+  };
+
+  const write = output => stdout(format === 'json' ? JSON.stringify(output, null, 2) : output);
+
+  try {
+    switch (name) {
+      case 'playlists': {
+        const { playlists } = await callMethod('getPlaylists', {
+          name: options.name,
+          ownership: options.owned ? 'owned' : options.followed ? 'followed' : 'all',
+          visibility: options.public ? 'public' : options.private ? 'private' : 'all',
+          collaborative: options.collaborative
+        });
+
+        write(format === 'json' ? playlists : format === 'csv'
+          ? formatCsv(playlists, PLAYLIST_COLUMNS)
+          : formatPlaylists(playlists, colors));
+        break;
+      }
+
+      case 'analyze': {
+        const playlistId = required('playlist ID');
+
+        if (['csv', 'm3u8', 'xspf'].includes(format)) {
+          const exported = await callMethod('exportPlaylist', { playlistId, format });
+          stdout(exported.content);
+          break;
+        }
+
+        const details = await callMethod('getPlaylistDetails', { playlistId, forceRefresh: Boolean(options.refresh) });
+        write(format === 'json' ? details : formatAnalysis(details, colors));
+        break;
+      }
+
+      case 'recommend': {
+        const playlistId = required('playlist ID');
+        const recommendations = await callMethod('getClaudeRecommendations', recommendationArgs(playlistId, options));
+        const picks = recommendationPicks(recommendations);
+
+        // Only Claude's picks that were matched (and survived the filters) and aren't in the playlist yet are added
+        let added = null;
+        if (options.addMatched) {
+          const trackUris = recommendations.claudeRecommendations
+            .filter(rec => rec.matched && !rec.inPlaylist)
+            .map(rec => rec.uri);
+          added = { trackUris, dryRun: Boolean(options.dryRun), localSnapshotId: null };
+
+          if (trackUris.length > 0) {
+            const result = await callMethod('addRecommendationsToPlaylist', { playlistId, trackUris, dryRun: Boolean(options.dryRun) });
+            added.localSnapshotId = result.localSnapshotId ?? null;
+          }
+        }
+
+        if (format === 'json') {
+          write({ ...recommendations, ...(added ? { added } : {}) });
+        } else {
+          write(format === 'csv' ? formatCsv(picks, PICK_COLUMNS) : formatPicks(picks, colors));
+          if (added) {
+            stderr(`${added.dryRun ? 'Would add' : 'Added'} ${added.trackUris.length} matched tracks to the playlist`);
+          }
+        }
+        break;
+      }
+
+      case 'search': {
+        const query = required('search query');
+        const types = (options.type || 'track').split(',').map(type => type.trim()).filter(Boolean);
+        const response = await callMethod('searchSpotify', {
+          query,
+          types,
+          limit: options.limit,
+          offset: options.offset,
+          market: options.market
+        });
+
+        const rows = searchRows(response, types);
+        write(format === 'json' ? response : format === 'csv'
+          ? formatCsv(rows, SEARCH_COLUMNS)
+          : formatTable(rows, SEARCH_COLUMNS.map(column => ({ ...column, header: column.header[0].toUpperCase() + column.header.slice(1) })), { colors }));
+        break;
+      }
+
+      case 'create': {
+        const playlistName = required('playlist name');
+
+        if (!options.fromFile) {
+          if (options.dryRun) {
+            throw cliError('--dry-run needs --from-file', EXIT_CODES.usage);
+          }
+          const created = await callMethod('createPlaylist', {
+            name: playlistName,
+            description: options.description,
+            isPublic: Boolean(options.public)
+          });
+          write(format === 'json' ? created : `Created ${created.name}: ${created.url}`);
+          break;
+        }
+
+        let content;
+        try {
+          content = await readFile(options.fromFile);
+        } catch (error) {
+          throw cliError(`Can't read ${options.fromFile}: ${error.message}`, EXIT_CODES.usage);
+        }
+
+        const imported = await callMethod('importPlaylist', {
+          content,
+          format: detectFormat(content, options.fromFile),
+          name: playlistName,
+          description: options.description,
+          isPublic: Boolean(options.public),
+          minConfidence: options.minConfidence,
+          dryRun: Boolean(options.dryRun)
+        });
+
+        if (format === 'json') {
+          write(imported);
+        } else {
+          write(imported.playlist
+            ? `Created ${imported.playlist.name} with ${imported.matchedCount} of ${imported.totalEntries} tracks: ${imported.playlist.url}`
+            : `Matched ${imported.matchedCount} of ${imported.totalEntries} tracks${imported.dryRun ? ' (dry run, nothing created)' : '; nothing to create'}`);
+          imported.unmatched.forEach(entry => stderr(`Not matched: ${entry.title}${entry.artist ? ` - ${entry.artist}` : ''}`));
+        }
+        break;
+      }
+
+      case 'undo': {
+        const playlistId = required('playlist ID');
+        const result = await callMethod('restorePlaylistSnapshot', { playlistId, dryRun: Boolean(options.dryRun) });
+        const { added, removed } = result.diff;
+
+        write(format === 'json' ? result : result.restored
+          ? `Undone: ${added.length} tracks back, ${removed.length} removed`
+          : result.dryRun
+            ? `Undo would add ${added.length} and remove ${removed.length} tracks`
+            : 'Nothing to undo');
+        break;
+      }
+    }
+  } catch (error) {
+    return fail(error);
+  }
+
+  return EXIT_CODES.ok;
+}
@@ -0,0 +1,303 @@
+// spotify-playlist-curator-mcp/curator-shell.js
+// Commands of the interactive curator shell, run against an MCP client
+
+import { tokenize, parseOptions, parseSelection, RECOMMEND_OPTIONS, recommendationArgs } from './command-line.js';
+import {
+  createColors,
+  formatPlaylists,
+  formatPicks,
+  formatAnalysis,
+  recommendationPicks,
+  searchPicks
+} from './client-format.js';
+
+// Options each command accepts
+const COMMAND_OPTIONS = {
+  ls: { owned: 'boolean', followed: 'boolean', public: 'boolean', private: 'boolean' },
+  analyze: { refresh: 'boolean' },
+  recommend: RECOMMEND_OPTIONS,
+  search: { limit: 'number' },
+  play: { device: 'string' },
+  queue: { device: 'string' },
+  new: { description: 'string', public: 'boolean', add: 'string' },
+  undo: { preview: 'boolean' }
+};
+
+// One line of help per command
+const HELP = [
+  ['ls [name] [--owned|--followed] [--public|--private]', 'List your playlists'],
+  ['open <number|id|name>', 'Choose the playlist to work on'],
+  ['analyze [--refresh]', 'Describe the open playlist'],
+  ['recommend [--count 15] [--energy 0.8] [--tempo 120] [--template deep-cuts] ...', 'Get recommendations for the open playlist'],
+  ['search <query> [--limit 10]', 'Search Spotify for tracks'],
+  ['add <1,3,5-7|all>', 'Add recommendations or search results to the open playlist'],
+  ['play <selection> [--device id]', 'Play recommendations or search results'],
+  ['queue <selection> [--device id]', 'Queue recommendations or search results'],
+  ['new <name> [--description text] [--public] [--add 1,3]', 'Create a playlist (optionally with picks) and open it'],
+  ['undo [--preview]', 'Undo the last change to the open playlist'],
+  ['help', 'Show this help'],
+  ['exit', 'Leave the shell']
+];
+
+export const COMMANDS = [...HELP.map(([usage]) => usage.split(' ')[0]), 'quit'];
+
+// Function to create a curator shell. `client` has the MCP methods; `print` writes a line of output.
+export function createCuratorShell({ client, print = console.log, colors = createColors(false) }) {
+  const state = {
+    // The last playlist listing, for `open <number>` and completion
+    playlists: [],
+    // The open playlist: { id, name }
+    playlist: null,
+    // The last numbered recommendations or search results, for add/play/queue/new
+    picks: []
+  };
+
+  // Function to call an MCP method, turning an error response into an exception
+  const callMethod = async (method, args = {}) => {
+    const response = await client[method](args);
+    if (response && response.error) {
+      const error = new Error(response.error);
+      error.authUrl = response.authUrl;
+      throw error;
+    }
+    return response;
+  };
+
+  const requirePlaylist = () => {
+    if (!state.playlist) {
+      throw new Error('Open a playlist first, e.g. `ls` then `open 1`');
+    }
+    return state.playlist;
+  };
+
+  // Function to get the URIs of the selected picks, skipping any that aren't on Spotify
+  const selectedUris = selection => {
+    if (state.picks.length === 0) {
+      throw new Error('Nothing to choose from yet; run `recommend` or `search` first');
+    }
+
+    const chosen = parseSelection(selection, state.picks.length).map(index => ({ index, pick: state.picks[index] }));
+    const skipped = chosen.filter(({ pick }) => !pick.uri);
+    if (skipped.length > 0) {
+      print(colors.yellow(`Skipping ${skipped.map(({ index }) => index + 1).join(', ')}: not matched on Spotify`));
+    }
+
+    const uris = chosen.filter(({ pick }) => pick.uri).map(({ pick }) => pick.uri);
+    if (uris.length === 0) {
+      throw new Error('None of those are on Spotify');
+    }
+    return uris;
+  };
+
+  const showPicks = picks => {
+    state.picks = picks;
+    print(picks.length > 0 ? formatPicks(picks, colors) : 'No tracks found.');
+  };
+
+  const commands = {
+    async help() {
+      const width = Math.max(...HELP.map(([usage]) => usage.length));
+      HELP.forEach(([usage, description]) => print(`  ${colors.cyan(usage.padEnd(width))}  ${description}`));
+    },
+
+    async ls({ positional, options }) {
+      const ownership = options.owned ? 'owned' : options.followed ? 'followed' : 'all';
+      const visibility = options.public ? 'public' : options.private ? 'private' : 'all';
+      const name = positional.join(' ') || undefined;
+
+      const { playlists } = await callMethod('getPlaylists', { ownership, visibility, name });
+      state.playlists = playlists;
+      print(playlists.length > 0 ? formatPlaylists(playlists, colors) : 'No playlists found.');
+    },
+
+    async open({ positional }) {
+      const target = positional.join(' ');
+      if (!target) {
+        throw new Error('Usage: open <number|id|name>');
+      }
+
+      if (state.playlists.length === 0 || !/^\d+$/.test(target)) {
+        state.playlists = (await callMethod('getPlaylists')).playlists;
+      }
+
+      const byNumber = /^\d+$/.test(target) ? state.playlists[Number(target) - 1] : null;
+      const lower = target.toLowerCase();
+      const playlist = byNumber ||
+        state.playlists.find(entry => entry.id === target) ||
+        state.playlists.find(entry => entry.name.toLowerCase() === lower) ||
+        state.playlists.find(entry => entry.name.toLowerCase().includes(lower));
+
+      if (!playlist) {
+        throw new Error(`No playlist matches "${target}"`);
+      }
+
+      state.playlist = { id: playlist.id, name: playlist.name };
+      state.picks = [];
+      print(`Opened ${colors.bold(playlist.name)} (${playlist.trackCount} tracks)`);
+    },
+
+    async analyze({ options }) {
+      const playlist = requirePlaylist();
+      print(colors.dim('Analysing...'));
+
+      const details = await callMethod('getPlaylistDetails', { playlistId: playlist.id, forceRefresh: Boolean(options.refresh) });
+      print(formatAnalysis(details, colors));
+    },
+
+    async recommend({ options }) {
+      const playlist = requirePlaylist();
+
+      print(colors.dim('Asking for recommendations...'));
+      const recommendations = await callMethod('getClaudeRecommendations', recommendationArgs(playlist.id, options));
+
+      showPicks(recommendationPicks(recommendations));
+      if (recommendations.filteredOut?.length > 0) {
+        print(colors.dim(`${recommendations.filteredOut.length} more were filtered out by your constraints`));
+      }
+    },
+
+    async search({ positional, options }) {
+      const query = positional.join(' ');
+      if (!query) {
+        throw new Error('Usage: search <query>');
+      }
+
+      const { tracks } = await callMethod('searchTracks', { query, limit: options.limit });
+      showPicks(searchPicks(tracks));
+    },
+
+    async add({ positional }) {
+      const playlist = requirePlaylist();
+      const trackUris = selectedUris(positional.join(''));
+
+      const result = await callMethod('addRecommendationsToPlaylist', { playlistId: playlist.id, trackUris });
+      print(colors.green(result.message));
+    },
+
+    async play({ positional, options }) {
+      const trackUris = selectedUris(positional.join(''));
+
+      await callMethod('startPlayback', { trackUris, deviceId: options.device });
+      print(colors.green(`Playing ${trackUris.length} tracks`));
+    },
+
+    async queue({ positional, options }) {
+      const trackUris = selectedUris(positional.join(''));
+
+      const result = await callMethod('addToQueue', { trackUris, deviceId: options.device });
+      print(colors.green(`Queued ${result.queued.length} tracks`));
+      if (result.failed.length > 0) {
+        print(colors.yellow(`${result.failed.length} could not be queued`));
+      }
+    },
+
+    async new({ positional, options }) {
+      const name = positional.join(' ');
+      if (!name) {
+        throw new Error('Usage: new <name>');
+      }
+
+      // Check the selection before creating anything
+      const trackUris = options.add ? selectedUris(options.add) : [];
+
+      const created = await callMethod('createPlaylist', {
+        name,
+        description: options.description ?? (state.playlist ? `Based on ${state.playlist.name}. Created by Spotify Playlist Curator.` : ''),
+        isPublic: Boolean(options.public)
+      });
+      print(colors.green(`Created ${created.name}: ${created.url}`));
+
+      if (trackUris.length > 0) {
+        const result = await callMethod('addRecommendationsToPlaylist', { playlistId: created.id, trackUris });
+        print(colors.green(result.message));
+      }
+
+      state.playlist = { id: created.id, name: created.name };
+      state.playlists = [];
+      print(`Opened ${colors.bold(created.name)}`);
+    },
+
+    async undo({ options }) {
+      const playlist = requirePlaylist();
+
+      const result = await callMethod('restorePlaylistSnapshot', { playlistId: playlist.id, dryRun: Boolean(options.preview) });
+      const { added, removed } = result.diff;
+
+      if (!result.restored) {
+        print(result.dryRun
+          ? `Undo would add ${added.length} and remove ${removed.length} tracks`
+          : 'Nothing to undo; the playlist already matches its last snapshot');
+        return;
+      }
+      print(colors.green(`Undone: ${added.length} tracks back, ${removed.length} removed`));
+    }
+  };
+
+  return {
+    state,
+
+    // The prompt, showing the open playlist
+    prompt() {
+      return state.playlist ? `curator:${state.playlist.name}> ` : 'curator> ';
+    },
+
+    // Run one line. Resolves to false when the user wants to leave, true otherwise.
+    // Errors are printed rather than thrown, so the shell keeps going.
+    async execute(line) {
+      let tokens;
+      try {
+        tokens = tokenize(line);
+      } catch (error) {
+        print(colors.red(error.message));
+        return true;
+      }
+
+      if (tokens.length === 0) {
+        return true;
+      }
+
+      const [name, ...rest] = tokens;
+      if (name === 'exit' || name === 'quit') {
+        return false;
+      }
+
+      const command = commands[name];
+      if (!command) {
+        print(colors.red(`Unknown command "${name}". Type help for the list.`));
+        return true;
+      }
+
+      try {
+        await command(parseOptions(rest, COMMAND_OPTIONS[name]));
+      } catch (error) {
+        print(colors.red(`Error: ${error.message}`));
+        if (error.authUrl) {
+          print(`Sign in to Spotify at ${error.authUrl}, then try again.`);
+        }
+      }
+      return true;
+    },
+
+    // Complete a partly typed line, for readline's completer
+    complete(line) {
+      const words = line.split(/\s+/);
+      const current = words[words.length - 1];
+
+      let candidates;
+      if (words.length === 1) {
+        candidates = COMMANDS;
+      } else if (current.startsWith('--')) {
+        candidates = Object.keys(COMMAND_OPTIONS[words[0]] || {}).map(option => `--${option}`);
+      } else if (words[0] === 'open') {
+        // Complete the whole playlist name, which can contain spaces
+        const typed = line.slice('open '.length).toLowerCase();
+        const names = state.playlists.map(playlist => playlist.name).filter(name => name.toLowerCase().startsWith(typed));
+        return [names, line.slice('open '.length)];
+      } else {
+        candidates = [];
+      }
+
+      return [candidates.filter(candidate => candidate.startsWith(current)), current];
+    }
+  };
+}
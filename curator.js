@@ -0,0 +1,25 @@
+#!/usr/bin/env node
+// spotify-playlist-curator-mcp/curator.js
+// Command-line entry point for scripts and cron jobs: run `curator help` for the commands
+import { createClient } from '@anthropic-ai/mcp-client';
+import dotenv from 'dotenv';
+import { readFile } from 'fs/promises';
+import { runCli } from './curator-cli.js';
+import { createColors } from './client-format.js';
+
+dotenv.config();
+
+// MCP client setup
+const client = createClient({
+  serverUrl: process.env.MCP_SERVER_URL || 'http://localhost:3000',
+  anthropicApiKey: process.env.ANTHROPIC_API_KEY
+});
+
+process.exitCode = await runCli(process.argv.slice(2), {
+  client,
+  stdout: text => process.stdout.write(`${text}\n`),
+  stderr: text => process.stderr.write(`${text}\n`),
+  readFile: filePath => readFile(filePath, 'utf8'),
+  // Colours only when writing to a terminal, and never when NO_COLOR is set
+  colors: createColors(Boolean(process.stdout.isTTY) && !process.env.NO_COLOR)
+});
@@ -0,0 +1,115 @@
+// spotify-playlist-curator-mcp/duplicates.js
+// Helpers for spotting repeated songs in a playlist, including remasters and live versions
+
+// Words that mark a different release of the same song rather than a different song
+const VERSION_MARKERS = /\b(remaster(ed)?|live|version|edit|mono|stereo|deluxe|anniversary|bonus|single|album|radio|explicit|clean|re-?recorded|\d{4})\b/i;
+
+// Function to strip accents, punctuation and spacing differences from a string
+function simplify(text) {
+  return text
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+// Function to normalize a track title so different releases of a song compare equal
+export function normalizeTitle(title = '') {
+  let normalized = title.toLowerCase();
+
+  // Drop " - Remastered 2011" / " - Live at Wembley" style suffixes
+  normalized = normalized.replace(/\s+-\s+.*$/, suffix => (VERSION_MARKERS.test(suffix) ? '' : suffix));
+
+  // Drop "(Live)", "[2011 Remaster]" and "(feat. Someone)" style annotations
+  normalized = normalized.replace(/\s*[([][^)\]]*[)\]]/g, annotation =>
+    VERSION_MARKERS.test(annotation) || /\b(feat|ft|with)\b/.test(annotation) ? '' : annotation
+  );
+
+  // Drop trailing featured artists without brackets
+  normalized = normalized.replace(/\s+(feat\.?|ft\.?)\s+.*$/, '');
+
+  return simplify(normalized);
+}
+
+// Function to normalize an artist name
+export function normalizeArtist(artist = '') {
+  return simplify(artist.replace(/^the\s+/i, ''));
+}
+
+// Function to build a comparison key from a track's title and primary artist
+export function trackKey(name, artists) {
+  const primaryArtist = Array.isArray(artists) ? artists[0] : artists;
+  return `${normalizeTitle(name)}|${normalizeArtist(primaryArtist)}`;
+}
+
+// Function to pick which copy of a duplicated song to keep
+function pickKeeper(copies, keep) {
+  return copies.reduce((best, copy) => {
+    if (keep === 'popular' && (copy.track.popularity || 0) !== (best.track.popularity || 0)) {
+      return (copy.track.popularity || 0) > (best.track.popularity || 0) ? copy : best;
+    }
+
+    // Otherwise keep the copy that was added first, falling back to playlist position
+    const copyAdded = copy.track.addedAt ? Date.parse(copy.track.addedAt) : Infinity;
+    const bestAdded = best.track.addedAt ? Date.parse(best.track.addedAt) : Infinity;
+    if (copyAdded !== bestAdded) {
+      return copyAdded < bestAdded ? copy : best;
+    }
+    return copy.position < best.position ? copy : best;
+  });
+}
+
+// Function to group the duplicate tracks of a playlist.
+// Tracks are matched by ID, and optionally by normalized title, primary artist and duration.
+export function findDuplicateGroups(tracks, {
+  includeNearDuplicates = true,
+  durationToleranceMs = 20000,
+  keep = 'first'
+} = {}) {
+  const buckets = new Map();
+
+  tracks.forEach((track, position) => {
+    if (!track.id) {
+      return;
+    }
+
+    const key = includeNearDuplicates ? trackKey(track.name, track.artists) : track.id;
+    if (!buckets.has(key)) {
+      buckets.set(key, []);
+    }
+
+    // Join the first group of this song whose duration is close enough
+    const clusters = buckets.get(key);
+    const cluster = clusters.find(copies => copies.some(copy =>
+      copy.track.id === track.id ||
+      (copy.track.duration_ms === undefined || track.duration_ms === undefined ||
+        Math.abs(copy.track.duration_ms - track.duration_ms) <= durationToleranceMs)
+    ));
+
+    if (cluster) {
+      cluster.push({ track, position });
+    } else {
+      clusters.push([{ track, position }]);
+    }
+  });
+
+  const groups = [];
+  for (const clusters of buckets.values()) {
+    for (const copies of clusters) {
+      if (copies.length < 2) {
+        continue;
+      }
+
+      const keeper = pickKeeper(copies, keep);
+      groups.push({
+        reason: copies.every(copy => copy.track.id === keeper.track.id) ? 'exact' : 'near',
+        keep: keeper,
+        duplicates: copies.filter(copy => copy !== keeper)
+      });
+    }
+  }
+
+  return groups.sort((a, b) => a.keep.position - b.keep.position);
+}
@@ -0,0 +1,79 @@
+// spotify-playlist-curator-mcp/feature-cache.js
+// On-disk cache of Spotify audio features, keyed by track ID
+
+import { readFileSync, writeFileSync } from 'fs';
+
+// Function to create an audio feature cache backed by a JSON file
+export function createFeatureCache({ filePath, ttlMs }) {
+  let entries = {};
+
+  // Load any previously cached features
+  try {
+    entries = JSON.parse(readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    entries = {};
+  }
+
+  // Running totals since the server started
+  const totals = { hits: 0, misses: 0, expired: 0 };
+
+  return {
+    // Look up track IDs, returning cached features and the IDs that still need fetching
+    lookup(trackIds) {
+      const found = new Map();
+      const missing = [];
+      const stats = { hits: 0, misses: 0, expired: 0 };
+      const now = Date.now();
+
+      for (const id of new Set(trackIds)) {
+        const entry = entries[id];
+
+        if (entry && now - entry.cachedAt < ttlMs) {
+          found.set(id, entry.features);
+          stats.hits++;
+        } else {
+          if (entry) {
+            stats.expired++;
+          }
+          missing.push(id);
+          stats.misses++;
+        }
+      }
+
+      totals.hits += stats.hits;
+      totals.misses += stats.misses;
+      totals.expired += stats.expired;
+
+      return { found, missing, stats };
+    },
+
+    // Store freshly fetched features (null features are cached too, so they aren't refetched)
+    store(featuresById) {
+      const now = Date.now();
+      for (const [id, features] of featuresById) {
+        entries[id] = { features, cachedAt: now };
+      }
+    },
+
+    // Persist the cache, dropping expired entries
+    save() {
+      const now = Date.now();
+      for (const id of Object.keys(entries)) {
+        if (now - entries[id].cachedAt >= ttlMs) {
+          delete entries[id];
+        }
+      }
+      writeFileSync(filePath, JSON.stringify(entries));
+    },
+
+    // Overall cache statistics
+    stats() {
+      const lookups = totals.hits + totals.misses;
+      return {
+        size: Object.keys(entries).length,
+        ...totals,
+        hitRate: lookups > 0 ? Number((totals.hits / lookups).toFixed(3)) : 0
+      };
+    }
+  };
+}
@@ -0,0 +1,105 @@
+// spotify-playlist-curator-mcp/genres.js
+// Genre and artist make-up of a playlist, from Spotify's artist genres
+
+// How many artists count as "the top artists" when measuring concentration
+const TOP_ARTIST_COUNT = 5;
+
+// Function to round a share or score for display
+const round = value => Number(value.toFixed(3));
+
+// Function to count how many tracks each label appears on, most common first
+function countPerTrack(labelsPerTrack) {
+  const counts = new Map();
+  labelsPerTrack.forEach(labels => {
+    new Set(labels).forEach(label => counts.set(label, (counts.get(label) || 0) + 1));
+  });
+
+  return [...counts].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+}
+
+// Function to score how evenly tracks spread over labels, from 0 (all one label) to 1 (all different).
+// This is Shannon entropy divided by its maximum for the number of labels seen.
+function diversity(counts) {
+  const total = counts.reduce((acc, [, count]) => acc + count, 0);
+  if (counts.length < 2 || total === 0) {
+    return 0;
+  }
+
+  const entropy = counts.reduce((acc, [, count]) => {
+    const share = count / total;
+    return acc - share * Math.log(share);
+  }, 0);
+
+  return round(entropy / Math.log(counts.length));
+}
+
+// Function to describe who is on a playlist: top artists, how much of the playlist they hold,
+// and how varied the artists are. Works on analyzed tracks (artists are names).
+export function buildArtistProfile(tracks, { topArtists = 10 } = {}) {
+  if (tracks.length === 0) {
+    return { artistCount: 0, topArtists: [], concentration: null, diversity: null };
+  }
+
+  const counts = countPerTrack(tracks.map(track => track.artists));
+  const leaders = new Set(counts.slice(0, TOP_ARTIST_COUNT).map(([name]) => name));
+  const heldByLeaders = tracks.filter(track => track.artists.some(name => leaders.has(name))).length;
+
+  return {
+    artistCount: counts.length,
+    topArtists: counts.slice(0, topArtists).map(([name, count]) => ({
+      name,
+      trackCount: count,
+      share: round(count / tracks.length)
+    })),
+    // Share of tracks featuring at least one of the top artists
+    concentration: round(heldByLeaders / tracks.length),
+    diversity: diversity(counts)
+  };
+}
+
+// Function to add up the genres of each track's artists.
+// `artistGenres` maps a Spotify artist ID to that artist's genre list.
+export function buildGenreProfile(tracks, artistGenres, { topGenres = 10 } = {}) {
+  const genresPerTrack = tracks
+    .map(track => (track.artistIds || []).flatMap(id => artistGenres.get(id) || []))
+    .filter(genres => genres.length > 0);
+
+  if (genresPerTrack.length === 0) {
+    return { taggedTrackCount: 0, genreCount: 0, topGenres: [], diversity: null };
+  }
+
+  const counts = countPerTrack(genresPerTrack);
+
+  return {
+    taggedTrackCount: genresPerTrack.length,
+    genreCount: counts.length,
+    topGenres: counts.slice(0, topGenres).map(([genre, count]) => ({
+      genre,
+      trackCount: count,
+      share: round(count / genresPerTrack.length)
+    })),
+    diversity: diversity(counts)
+  };
+}
+
+// Function to describe the genre and artist profile in plain English, one fact per line, for a prompt
+export function describeGenreProfile(genreProfile, artistProfile) {
+  const lines = [];
+
+  if (genreProfile && genreProfile.topGenres.length > 0) {
+    lines.push(`Top genres: ${genreProfile.topGenres
+      .map(({ genre, share }) => `${genre} (${Math.round(share * 100)}% of tracks)`)
+      .join(', ')}`);
+    lines.push(`Genre diversity: ${genreProfile.diversity.toFixed(2)} (0 = a single genre, 1 = evenly spread over many)`);
+  }
+
+  if (artistProfile && artistProfile.topArtists.length > 0) {
+    lines.push(`Most featured artists: ${artistProfile.topArtists
+      .slice(0, TOP_ARTIST_COUNT)
+      .map(({ name, trackCount }) => `${name} (${trackCount})`)
+      .join(', ')}`);
+    lines.push(`The top ${TOP_ARTIST_COUNT} artists appear on ${Math.round(artistProfile.concentration * 100)}% of the tracks`);
+  }
+
+  return lines.join('\n');
+}
@@ -0,0 +1,170 @@
+// spotify-playlist-curator-mcp/jobs.js
+// Recurring curation jobs: their schedules and the store that remembers them and their runs
+
+import { readFileSync, writeFileSync } from 'fs';
+import { randomBytes } from 'crypto';
+
+// What a job can do
+export const JOB_TYPES = ['addRecommendations', 'refreshSmartPlaylist'];
+
+// How often a job can repeat
+const FREQUENCIES = ['hour', 'day', 'week'];
+
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const MINUTE_MS = 60 * 1000;
+
+// Function to check a schedule, returning an error message or null.
+// A schedule is { intervalMinutes } or { every: 'hour' | 'day' | 'week', at: 'HH:MM', day: 'monday' },
+// where `at` (minutes past the hour for hourly jobs) and `day` (weekly jobs) are in server local time.
+export function validateSchedule(schedule) {
+  if (!schedule || typeof schedule !== 'object') {
+    return 'schedule must be an object, for example { every: "day", at: "03:00" }';
+  }
+
+  if (schedule.intervalMinutes !== undefined) {
+    if (!Number.isInteger(schedule.intervalMinutes) || schedule.intervalMinutes < 5) {
+      return 'schedule.intervalMinutes must be a whole number of at least 5';
+    }
+    return null;
+  }
+
+  if (!FREQUENCIES.includes(schedule.every)) {
+    return `schedule.every must be one of ${FREQUENCIES.join(', ')} (or use intervalMinutes)`;
+  }
+
+  if (schedule.at !== undefined && !/^([01]?\d|2[0-3]):[0-5]\d$/.test(schedule.at)) {
+    return 'schedule.at must be a time like "07:30"';
+  }
+
+  if (schedule.day !== undefined) {
+    if (schedule.every !== 'week') {
+      return 'schedule.day only applies to weekly jobs';
+    }
+    if (!DAYS.includes(String(schedule.day).toLowerCase())) {
+      return `schedule.day must be one of ${DAYS.join(', ')}`;
+    }
+  }
+
+  return null;
+}
+
+// Function to work out when a schedule next runs after a given time (in milliseconds)
+export function nextRunTime(schedule, after = Date.now()) {
+  if (schedule.intervalMinutes !== undefined) {
+    return after + schedule.intervalMinutes * MINUTE_MS;
+  }
+
+  const [hours, minutes] = (schedule.at || '00:00').split(':').map(Number);
+  const next = new Date(after);
+  next.setSeconds(0, 0);
+
+  if (schedule.every === 'hour') {
+    next.setMinutes(minutes);
+    if (next.getTime() <= after) {
+      next.setHours(next.getHours() + 1);
+    }
+    return next.getTime();
+  }
+
+  next.setHours(hours, minutes);
+
+  if (schedule.every === 'week') {
+    const day = DAYS.indexOf(String(schedule.day || 'monday').toLowerCase());
+    next.setDate(next.getDate() + ((day - next.getDay() + 7) % 7));
+    if (next.getTime() <= after) {
+      next.setDate(next.getDate() + 7);
+    }
+    return next.getTime();
+  }
+
+  if (next.getTime() <= after) {
+    next.setDate(next.getDate() + 1);
+  }
+  return next.getTime();
+}
+
+// Function to describe a schedule in plain English
+export function describeSchedule(schedule) {
+  if (schedule.intervalMinutes !== undefined) {
+    return `every ${schedule.intervalMinutes} minutes`;
+  }
+  if (schedule.every === 'hour') {
+    return `every hour at ${Number((schedule.at || '00:00').split(':')[1])} minutes past`;
+  }
+  if (schedule.every === 'week') {
+    const day = String(schedule.day || 'monday').toLowerCase();
+    return `every ${day.charAt(0).toUpperCase() + day.slice(1)} at ${schedule.at || '00:00'}`;
+  }
+  return `every day at ${schedule.at || '00:00'}`;
+}
+
+// Function to create a store of jobs and their run history backed by a JSON file
+export function createJobStore({ filePath, maxHistory = 20 }) {
+  let jobs = [];
+
+  // Load any previously saved jobs
+  try {
+    jobs = JSON.parse(readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    jobs = [];
+  }
+
+  const persist = () => writeFileSync(filePath, JSON.stringify(jobs, null, 2));
+
+  return {
+    // Save a new job and schedule its first run
+    create(definition) {
+      const job = {
+        id: `${Date.now().toString(36)}-${randomBytes(3).toString('hex')}`,
+        ...definition,
+        createdAt: new Date().toISOString(),
+        nextRunAt: new Date(nextRunTime(definition.schedule)).toISOString(),
+        lastRunAt: null,
+        history: []
+      };
+
+      jobs.push(job);
+      persist();
+      return job;
+    },
+
+    get(id) {
+      return jobs.find(job => job.id === id) || null;
+    },
+
+    list() {
+      return jobs;
+    },
+
+    // List the jobs whose next run is due
+    due(now = Date.now()) {
+      return jobs.filter(job => Date.parse(job.nextRunAt) <= now);
+    },
+
+    // Record a run (newest first) and schedule the next one
+    recordRun(id, run) {
+      const job = jobs.find(entry => entry.id === id);
+      if (!job) {
+        return null;
+      }
+
+      job.history = [run, ...job.history].slice(0, maxHistory);
+      job.lastRunAt = run.startedAt;
+      job.nextRunAt = new Date(nextRunTime(job.schedule, Math.max(Date.now(), Date.parse(run.startedAt)))).toISOString();
+      persist();
+      return job;
+    },
+
+    remove(id) {
+      const job = jobs.find(entry => entry.id === id);
+      if (!job) {
+        return null;
+      }
+
+      jobs = jobs.filter(entry => entry !== job);
+      persist();
+      return job;
+    }
+  };
+}
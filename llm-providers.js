@@ -0,0 +1,101 @@
+// spotify-playlist-curator-mcp/llm-providers.js
+// Language models that can answer recommendation prompts.
+// A provider is { name, description, complete(prompt, context) } where complete resolves to the reply text;
+// `context.claude` is the Claude client of the current MCP call, if any.
+
+// Function to create the provider that asks Claude through the MCP framework
+export function createClaudeProvider({ getClient }) {
+  return {
+    name: 'claude',
+    description: 'Claude, through the MCP client',
+
+    async complete(prompt, context = {}) {
+      const client = getClient(context);
+      if (!client) {
+        throw new Error('No Claude client is available');
+      }
+
+      const response = await client.sendMessage(prompt);
+      return response.content[0].text;
+    }
+  };
+}
+
+// Function to create a provider for a local model server with an OpenAI-compatible
+// chat completions API (Ollama, llama.cpp, LM Studio, vLLM, ...)
+export function createLocalProvider({ baseUrl, model, apiKey, temperature = 0.7 }) {
+  return {
+    name: 'local',
+    description: `Local model server at ${baseUrl} (${model})`,
+
+    async complete(prompt) {
+      const response = await fetch(`${baseUrl.replace(/\/$/, '')}/chat/completions`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+        },
+        body: JSON.stringify({
+          model,
+          temperature,
+          messages: [{ role: 'user', content: prompt }]
+        })
+      });
+
+      const body = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(body.error?.message || body.error || `Local model request failed with status ${response.status}`);
+      }
+
+      return body.choices?.[0]?.message?.content ?? '';
+    }
+  };
+}
+
+// Function to create a deterministic provider that needs no model at all.
+// By default it recommends the example tracks listed in the prompt (lines like `- "Title" by Artist`),
+// which exercises the matching and filtering without any network access.
+export function createStubProvider({ reply } = {}) {
+  return {
+    name: 'stub',
+    description: 'Deterministic stub that recommends the prompt\'s example tracks back',
+
+    async complete(prompt) {
+      if (reply !== undefined) {
+        return typeof reply === 'function' ? reply(prompt) : reply;
+      }
+
+      const recommendations = [...prompt.matchAll(/^- "(.+)" by (.+)$/gm)].map(([, title, artists]) => ({
+        title,
+        artist: artists.split(', ')[0],
+        album: null,
+        year: null,
+        reason: 'Example track from the prompt (stub provider)'
+      }));
+
+      return JSON.stringify({ recommendations });
+    }
+  };
+}
+
+// Function to create a registry of providers, looked up by name
+export function createProviderRegistry(providers = []) {
+  const registry = new Map(providers.map(provider => [provider.name, provider]));
+
+  return {
+    register(provider) {
+      if (!provider || !provider.name || typeof provider.complete !== 'function') {
+        throw new Error('A provider needs a name and a complete(prompt, context) function');
+      }
+      registry.set(provider.name, provider);
+    },
+
+    get(name) {
+      return registry.get(name) || null;
+    },
+
+    list() {
+      return [...registry.values()].map(({ name, description }) => ({ name, description }));
+    }
+  };
+}
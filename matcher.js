@@ -0,0 +1,92 @@
+// spotify-playlist-curator-mcp/matcher.js
+// Helpers for matching "title by artist" entries to Spotify search results
+
+import { normalizeTitle, normalizeArtist } from './duplicates.js';
+
+// Function to get the character bigrams of a string
+function bigrams(text) {
+  const pairs = new Map();
+  for (let i = 0; i < text.length - 1; i++) {
+    const pair = text.slice(i, i + 2);
+    pairs.set(pair, (pairs.get(pair) || 0) + 1);
+  }
+  return pairs;
+}
+
+// Function to compare two strings (Sørensen-Dice on bigrams): 1 = identical, 0 = nothing in common
+export function stringSimilarity(a = '', b = '') {
+  if (a === b) {
+    return a === '' ? 0 : 1;
+  }
+  if (a.length < 2 || b.length < 2) {
+    return 0;
+  }
+
+  const pairsA = bigrams(a);
+  const pairsB = bigrams(b);
+  let overlap = 0;
+  pairsA.forEach((count, pair) => {
+    overlap += Math.min(count, pairsB.get(pair) || 0);
+  });
+
+  return (2 * overlap) / (a.length - 1 + b.length - 1);
+}
+
+// Function to score how likely a Spotify track is the one an entry describes (0-1).
+// `entry` is { title, artist, album, year, durationMs }; the track is a Spotify API track object.
+export function scoreCandidate(entry, track) {
+  const titleScore = stringSimilarity(normalizeTitle(entry.title), normalizeTitle(track.name));
+
+  // Compare against each credited artist, and against all of them together
+  const wantedArtist = normalizeArtist(entry.artist || '');
+  const artistNames = track.artists.map(artist => artist.name);
+  const artistScore = wantedArtist
+    ? Math.max(
+      ...artistNames.map(name => stringSimilarity(wantedArtist, normalizeArtist(name))),
+      stringSimilarity(wantedArtist, normalizeArtist(artistNames.join(' ')))
+    )
+    : null;
+
+  const durationScore = entry.durationMs && track.duration_ms
+    ? 1 - Math.min(1, Math.abs(entry.durationMs - track.duration_ms) / 30000)
+    : null;
+
+  const albumScore = entry.album && track.album
+    ? stringSimilarity(normalizeTitle(entry.album), normalizeTitle(track.album.name))
+    : null;
+
+  // Remasters and compilations come out later, so only penalise large differences
+  const releaseYear = track.album && track.album.release_date ? Number.parseInt(track.album.release_date, 10) : NaN;
+  const yearScore = entry.year && Number.isFinite(releaseYear)
+    ? 1 - Math.min(1, Math.abs(entry.year - releaseYear) / 10)
+    : null;
+
+  // Weight whatever information we have
+  const parts = [
+    [titleScore, 0.5],
+    [artistScore, 0.35],
+    [durationScore, 0.15],
+    [albumScore, 0.1],
+    [yearScore, 0.05]
+  ].filter(([score]) => score !== null);
+  const totalWeight = parts.reduce((acc, [, weight]) => acc + weight, 0);
+
+  return parts.reduce((acc, [score, weight]) => acc + score * weight, 0) / totalWeight;
+}
+
+// Function to rank search results for an entry, best match first.
+// Without a known duration, the candidates' median duration is used so that
+// unusually long or short versions (extended mixes, live jams, intros) rank lower.
+export function rankCandidates(entry, tracks) {
+  let reference = entry;
+  if (!entry.durationMs && tracks.length >= 3) {
+    const durations = tracks.map(track => track.duration_ms).filter(Boolean).sort((a, b) => a - b);
+    if (durations.length >= 3) {
+      reference = { ...entry, durationMs: durations[Math.floor(durations.length / 2)] };
+    }
+  }
+
+  return tracks
+    .map(track => ({ track, confidence: Number(scoreCandidate(reference, track).toFixed(3)) }))
+    .sort((a, b) => b.confidence - a.confidence || (b.track.popularity || 0) - (a.track.popularity || 0));
+}
@@ -4,536 +4,3311 @@ import express from 'express';
 import SpotifyWebApi from 'spotify-web-api-node';
 import dotenv from 'dotenv';
 import { readFileSync } from 'fs';
-import { writeFileSync } from 'fs';
+import { writeFileSync, mkdirSync } from 'fs';
+import { randomBytes, createHash } from 'crypto';
 import path from 'path';
+import { fileURLToPath } from 'url';
+import { sequenceTracks, scoreOrder, toCamelot, ENERGY_CURVES } from './sequencer.js';
+import { findDuplicateGroups, trackKey } from './duplicates.js';
+import { createFeatureCache } from './feature-cache.js';
+import { createPlaylistCache } from './playlist-cache.js';
+import { createBackgroundJobs, silentProgress } from './background-jobs.js';
+import { createSpotifyLimiter, parseMaxRetries } from './spotify-limiter.js';
+import { createSnapshotStore, diffTrackLists } from './snapshots.js';
+import { serializePlaylist, parsePlaylist, detectFormat, EXPORT_FORMATS, IMPORT_FORMATS } from './playlist-formats.js';
+import { rankCandidates } from './matcher.js';
+import { parseRecommendations, RECOMMENDATION_SCHEMA } from './recommendation-parser.js';
+import { validateConstraints, hasConstraints, toSpotifyParams, describeConstraints, checkConstraints } from './constraints.js';
+import { buildPlaylistProfile } from './playlist-profile.js';
+import { buildGenreProfile, describeGenreProfile } from './genres.js';
+import { summarizePlaylist, describeReleaseYears } from './playlist-summary.js';
+import { createPromptTemplates, TEMPLATE_VARIABLES } from './prompt-templates.js';
+import { createClaudeProvider, createLocalProvider, createStubProvider, createProviderRegistry } from './llm-providers.js';
+import { clusterPoints, normalizeTracks, CLUSTER_FEATURES } from './clustering.js';
+import { validateRules, matchesRules, sortTracks, createSmartPlaylistStore, RULE_FIELDS } from './smart-playlists.js';
+import { createJobStore, validateSchedule, describeSchedule, JOB_TYPES } from './jobs.js';
+import { createTokenStoreFromEnv, migrateTokenFile } from './token-store.js';
 
 dotenv.config();
 
-// Initialize Spotify API with client credentials
-const spotifyApi = new SpotifyWebApi({
-  clientId: process.env.SPOTIFY_CLIENT_ID,
-  clientSecret: process.env.SPOTIFY_CLIENT_SECRET,
-  redirectUri: process.env.SPOTIFY_REDIRECT_URI || 'http://localhost:3000/callback'
+// Clients the server talks to. Tests and offline runs swap them with injectClients.
+const clients = {
+  // Function to create a Spotify Web API client from app credentials
+  createSpotifyApi: credentials => new SpotifyWebApi(credentials),
+  
+  // Claude client to use instead of the one the MCP framework passes to each method
+  claude: null,
+  
+  // Where account tokens are kept (see token-store.js), chosen by TOKEN_STORE and friends
+  tokenStore: createTokenStoreFromEnv()
+};
+
+// Function to replace the Spotify API factory, the Claude client and/or the token store, and to add LLM providers
+export function injectClients({ createSpotifyApi: spotifyApiFactory, claude, tokenStore, llmProviders: providers = [] } = {}) {
+  if (spotifyApiFactory) {
+    clients.createSpotifyApi = spotifyApiFactory;
+  }
+  if (claude) {
+    clients.claude = claude;
+  }
+  if (tokenStore) {
+    clients.tokenStore = tokenStore;
+  }
+  providers.forEach(provider => llmProviders.register(provider));
+}
+
+// Language models that can answer recommendation prompts, picked per request
+const llmProviders = createProviderRegistry([
+  createClaudeProvider({ getClient: context => clients.claude || context.claude }),
+  createLocalProvider({
+    baseUrl: process.env.LLM_BASE_URL || 'http://localhost:11434/v1',
+    model: process.env.LLM_MODEL || 'llama3.1',
+    apiKey: process.env.LLM_API_KEY
+  }),
+  createStubProvider()
+]);
+const DEFAULT_LLM_PROVIDER = process.env.LLM_PROVIDER || 'claude';
+
+// Prompt templates, one .txt file each, in the prompts directory next to the server by default
+const promptTemplates = createPromptTemplates({
+  directory: process.env.PROMPT_TEMPLATES_DIR || path.join(path.dirname(fileURLToPath(import.meta.url)), 'prompts')
+});
+const DEFAULT_PROMPT_TEMPLATE = process.env.PROMPT_TEMPLATE || 'default';
+
+// Directory for the token file, caches and stores (the working directory by default)
+const DATA_DIR = process.env.CURATOR_DATA_DIR || process.cwd();
+
+// Directory exportPlaylist writes to and importPlaylist reads from; file paths can't leave it
+const PLAYLIST_FILES_DIR = path.resolve(process.env.PLAYLIST_FILES_DIR || path.join(DATA_DIR, 'playlist-files'));
+
+// Function to resolve a playlist file path inside PLAYLIST_FILES_DIR.
+// Returns { filePath } or { error } for absolute paths and paths that lead outside it.
+function resolvePlaylistFile(filePath) {
+  if (typeof filePath !== 'string' || !filePath.trim()) {
+    return { error: 'filePath must be a non-empty string' };
+  }
+  if (path.isAbsolute(filePath)) {
+    return { error: 'filePath must be relative to the playlist files directory' };
+  }
+  
+  const resolved = path.resolve(PLAYLIST_FILES_DIR, filePath);
+  const relative = path.relative(PLAYLIST_FILES_DIR, resolved);
+  if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+    return { error: 'filePath must stay inside the playlist files directory' };
+  }
+  
+  return { filePath: resolved };
+}
+
+// Function to create a Spotify API client with our app credentials
+function createSpotifyApi(tokens = {}) {
+  const api = clients.createSpotifyApi({
+    clientId: process.env.SPOTIFY_CLIENT_ID,
+    clientSecret: process.env.SPOTIFY_CLIENT_SECRET,
+    redirectUri: process.env.SPOTIFY_REDIRECT_URI || 'http://localhost:3000/callback'
+  });
+  
+  if (tokens.accessToken) {
+    api.setAccessToken(tokens.accessToken);
+  }
+  if (tokens.refreshToken) {
+    api.setRefreshToken(tokens.refreshToken);
+  }
+  
+  return api;
+}
+
+// Initialize Spotify API with client credentials (used to build authorization URLs)
+const spotifyApi = createSpotifyApi();
+
+// Every Spotify request goes through one limiter, since rate limits apply to the whole app
+const spotifyLimiter = createSpotifyLimiter({
+  maxConcurrent: Number(process.env.SPOTIFY_MAX_CONCURRENT_REQUESTS) || 4,
+  maxRetries: parseMaxRetries(process.env.SPOTIFY_MAX_RETRIES)
+});
+
+// Spotify accepts at most 100 track IDs per audio features request
+const AUDIO_FEATURES_BATCH_SIZE = 100;
+
+// Spotify accepts at most 50 artist IDs per artists request
+const ARTISTS_BATCH_SIZE = 50;
+
+// Artist genres rarely change, so they're kept for as long as the server runs
+const artistGenreCache = new Map();
+
+// Spotify's time ranges for top tracks and artists, and what they cover
+const TIME_RANGES = {
+  short_term: 'last 4 weeks',
+  medium_term: 'last 6 months',
+  long_term: 'all time'
+};
+
+// Library and listening-history sources that can stand in for a playlist
+const TRACK_SOURCES = ['savedTracks', 'topTracks', 'recentlyPlayed'];
+
+// Spotify only remembers the last 50 played tracks
+const MAX_RECENTLY_PLAYED = 50;
+
+// Spotify returns at most 50 playlists or search results per request
+const PAGE_SIZE_LIMIT = 50;
+
+// Spotify won't page search results past this offset
+const MAX_SEARCH_OFFSET = 1000;
+
+// What searchSpotify can look for
+const SEARCH_TYPES = ['track', 'artist', 'album', 'playlist'];
+
+// Which playlists getPlaylists can list by owner and visibility
+const PLAYLIST_OWNERSHIP = ['all', 'owned', 'followed'];
+const PLAYLIST_VISIBILITY = ['all', 'public', 'private'];
+
+// Cache of audio features, stored next to the token file
+const featureCache = createFeatureCache({
+  filePath: path.join(DATA_DIR, '.spotify_feature_cache.json'),
+  ttlMs: (Number(process.env.FEATURE_CACHE_TTL_HOURS) || 24 * 30) * 60 * 60 * 1000
+});
+
+// Analysed playlist contents, reused until Spotify reports a new snapshot of the playlist
+const playlistCache = createPlaylistCache({
+  maxEntries: Number(process.env.PLAYLIST_CACHE_SIZE) || 20
+});
+
+// Snapshots of playlists taken before the curator changes them
+const snapshotStore = createSnapshotStore({
+  filePath: path.join(DATA_DIR, '.spotify_playlist_snapshots.json')
+});
+
+// Rules of the smart playlists, so they can be refreshed later
+const smartPlaylistStore = createSmartPlaylistStore({
+  filePath: path.join(DATA_DIR, '.spotify_smart_playlists.json')
+});
+
+// Recurring curation jobs and their run history, so they survive a restart
+const jobStore = createJobStore({
+  filePath: path.join(DATA_DIR, '.spotify_jobs.json')
 });
 
+// How often the scheduler looks for due jobs
+const JOB_CHECK_INTERVAL_MS = 60 * 1000;
+
+// Jobs that are running, so a slow job isn't started twice
+const runningJobs = new Set();
+
+// Claude client and logger for scheduled runs, which happen outside any method call
+const jobContext = { claude: null, logger: console };
+
+// Method calls started with `background: true`, polled with getJobStatus
+const backgroundJobs = createBackgroundJobs();
+
 // Create an Express app for handling the Spotify OAuth flow
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Store for user tokens
-const userTokens = {};
+// Plain-text token file written by earlier versions, moved into the token store on first load
+const LEGACY_TOKEN_FILE = path.join(DATA_DIR, '.spotify_tokens.json');
+
+// Signed-in Spotify accounts, keyed by Spotify user ID.
+// Each session has its own tokens and its own SpotifyWebApi instance.
+const sessions = new Map();
+
+// Pending load of the saved sessions
+let sessionsLoading = null;
+
+// Why the token store couldn't be read (e.g. a wrong key). Saving and clearing are refused so the stored tokens aren't lost.
+let tokenStoreError = null;
+
+// Function to explain, on the sign-in and sign-out pages, that the token store can't be used
+function tokenStoreWarning() {
+  return tokenStoreError
+    ? ` Warning: the token store can't be read (${escapeHtml(tokenStoreError)}), so this change is not saved and will be lost when the server restarts.`
+    : '';
+}
+
+// Function to save the tokens of every session to the token store
+function saveTokens() {
+  if (tokenStoreError) {
+    console.error(`Not saving tokens: ${tokenStoreError}`);
+    return;
+  }
+  
+  const accounts = {};
+  sessions.forEach((session, userId) => {
+    accounts[userId] = {
+      displayName: session.displayName,
+      ...session.tokens
+    };
+  });
+  
+  clients.tokenStore.save({ accounts });
+}
+
+// Function to register a session for an authenticated Spotify user
+function addSession(user, tokens, api) {
+  const session = {
+    userId: user.id,
+    displayName: user.display_name || user.id,
+    tokens,
+    spotifyApi: api
+  };
+  
+  sessions.set(user.id, session);
+  return session;
+}
+
+// Function to refresh a session's access token if it has expired or is about to (within 5 minutes)
+async function refreshSessionIfNeeded(session, force = false) {
+  const isTokenExpired = force || (session.tokens.expiresAt && Date.now() > session.tokens.expiresAt - 300000);
+  
+  if (isTokenExpired && session.tokens.refreshToken) {
+    const data = session.tokens.pkce
+      ? await requestPkceToken({ grant_type: 'refresh_token', refresh_token: session.tokens.refreshToken })
+      : await session.spotifyApi.refreshAccessToken();
+    session.tokens.accessToken = data.body.access_token;
+    session.spotifyApi.setAccessToken(session.tokens.accessToken);
+    session.tokens.expiresAt = Date.now() + data.body.expires_in * 1000;
+    
+    // Spotify may rotate the refresh token
+    if (data.body.refresh_token) {
+      session.tokens.refreshToken = data.body.refresh_token;
+      session.spotifyApi.setRefreshToken(session.tokens.refreshToken);
+    }
+    
+    return true;
+  }
+  
+  return false;
+}
+
+// Function to load saved sessions from the token store
+async function loadSessions() {
+  const store = clients.tokenStore;
+  if (store.name === 'file') {
+    console.error(`Warning: Spotify tokens are saved unencrypted in ${store.location}. Set TOKEN_ENCRYPTION_KEY or TOKEN_PASSPHRASE to encrypt them.`);
+  }
+  
+  let savedTokens;
+  try {
+    const migration = store.name !== 'memory' ? migrateTokenFile(store, LEGACY_TOKEN_FILE) : null;
+    if (migration === 'migrated') {
+      console.log(`Moved stored tokens from ${LEGACY_TOKEN_FILE} to the ${store.name} token store at ${store.location}`);
+    } else if (migration === 'removed') {
+      console.error(`Warning: deleted the plain-text token file ${LEGACY_TOKEN_FILE}; the ${store.name} token store at ${store.location} already has tokens`);
+    }
+    savedTokens = store.load();
+  } catch (error) {
+    tokenStoreError = error.message;
+    console.error('Error loading stored tokens:', error.message);
+    return;
+  }
+  
+  if (!savedTokens) {
+    console.log('No stored tokens found.');
+    return;
+  }
+  
+  // Tokens saved by the single-account version of the server: find out whose they are
+  if (savedTokens.accessToken || savedTokens.refreshToken) {
+    const tokens = {
+      accessToken: savedTokens.accessToken,
+      refreshToken: savedTokens.refreshToken,
+      expiresAt: savedTokens.expiresAt
+    };
+    const api = createSpotifyApi(tokens);
+    
+    try {
+      await refreshSessionIfNeeded({ tokens, spotifyApi: api });
+      const user = await api.getMe();
+      addSession(user.body, tokens, api);
+      saveTokens();
+    } catch (error) {
+      console.error('Error migrating stored tokens:', error);
+    }
+    return;
+  }
+  
+  Object.entries(savedTokens.accounts || {}).forEach(([userId, saved]) => {
+    const tokens = {
+      accessToken: saved.accessToken,
+      refreshToken: saved.refreshToken,
+      expiresAt: saved.expiresAt,
+      pkce: saved.pkce
+    };
+    addSession({ id: userId, display_name: saved.displayName }, tokens, createSpotifyApi(tokens));
+  });
+}
+
+// Function to make sure saved sessions are loaded (only once)
+function ensureSessionsLoaded() {
+  if (!sessionsLoading) {
+    sessionsLoading = loadSessions();
+  }
+  return sessionsLoading;
+}
+
+// Function to find the session a request is for.
+// Without an account, the only signed-in account (or DEFAULT_SPOTIFY_ACCOUNT) is used.
+function findSession(account) {
+  if (account) {
+    return sessions.get(account) ||
+      [...sessions.values()].find(session => session.displayName === account) ||
+      null;
+  }
+  
+  if (sessions.size === 1) {
+    return sessions.values().next().value;
+  }
+  
+  return sessions.get(process.env.DEFAULT_SPOTIFY_ACCOUNT) || null;
+}
+
+// Function to build the error returned when no usable session was found
+function authError(account) {
+  if (!account && sessions.size > 1) {
+    return {
+      error: 'Several Spotify accounts are signed in. Please pass the account to use.',
+      accounts: [...sessions.values()].map(session => session.userId)
+    };
+  }
+  
+  return {
+    error: account ? `Spotify account "${account}" is not authenticated` : 'Not authenticated with Spotify',
+    authUrl: `http://localhost:${PORT}/login`
+  };
+}
+
+// Pending authorization requests, keyed by their random state value
+const pendingAuthStates = new Map();
+
+// How long a user has to finish signing in (or confirm signing out) before the state value expires
+const AUTH_STATE_TTL_MS = 10 * 60 * 1000;
+
+// Pending sign-out confirmations, keyed by their random state value
+const pendingLogoutStates = new Map();
+
+// Function to forget state values that were never used
+function forgetExpiredStates(pendingStates, now) {
+  pendingStates.forEach((pending, state) => {
+    if (now - pending.createdAt > AUTH_STATE_TTL_MS) {
+      pendingStates.delete(state);
+    }
+  });
+}
+
+// Function to escape text for an HTML page
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+// Use PKCE when there is no client secret, or when it's requested explicitly
+const usePkce = !process.env.SPOTIFY_CLIENT_SECRET || process.env.SPOTIFY_USE_PKCE === 'true';
+
+// Function to encode bytes as URL-safe base64 without padding
+function base64Url(buffer) {
+  return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
 
-// Authentication status
-let isAuthenticated = false;
+// Function to request tokens from Spotify's token endpoint without a client secret (PKCE flow)
+async function requestPkceToken(params) {
+  const response = await fetch('https://accounts.spotify.com/api/token', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      client_id: process.env.SPOTIFY_CLIENT_ID,
+      ...params
+    })
+  });
+  
+  const body = await response.json();
+  if (!response.ok) {
+    throw new Error(body.error_description || body.error || `Token request failed with status ${response.status}`);
+  }
+  
+  // Same shape as spotify-web-api-node responses
+  return { body };
+}
 
 // Authentication route
 app.get('/login', (req, res) => {
   const scopes = [
     'user-read-private',
     'user-read-email',
+    'user-library-read',
+    'user-top-read',
+    'user-read-recently-played',
+    'user-read-playback-state',
+    'user-modify-playback-state',
     'playlist-read-private',
     'playlist-read-collaborative',
     'playlist-modify-public',
     'playlist-modify-private'
   ];
-  const authorizeURL = spotifyApi.createAuthorizeURL(scopes, 'spotify-auth-state');
-  res.redirect(authorizeURL);
+  
+  // Forget authorization requests that were never completed
+  const now = Date.now();
+  forgetExpiredStates(pendingAuthStates, now);
+  
+  // A fresh random state per request protects the callback against CSRF
+  const state = randomBytes(16).toString('hex');
+  
+  if (!usePkce) {
+    pendingAuthStates.set(state, { createdAt: now });
+    const authorizeURL = spotifyApi.createAuthorizeURL(scopes, state, true);
+    res.redirect(authorizeURL);
+    return;
+  }
+  
+  const codeVerifier = base64Url(randomBytes(64));
+  const codeChallenge = base64Url(createHash('sha256').update(codeVerifier).digest());
+  pendingAuthStates.set(state, { createdAt: now, codeVerifier });
+  
+  const params = new URLSearchParams({
+    client_id: process.env.SPOTIFY_CLIENT_ID,
+    response_type: 'code',
+    redirect_uri: spotifyApi.getRedirectURI(),
+    scope: scopes.join(' '),
+    state,
+    code_challenge_method: 'S256',
+    code_challenge: codeChallenge,
+    show_dialog: 'true'
+  });
+  res.redirect(`https://accounts.spotify.com/authorize?${params}`);
 });
 
 // Callback route after Spotify authentication
 app.get('/callback', async (req, res) => {
-  const { code } = req.query;
+  const { code, state, error: authorizationError } = req.query;
+  
+  // Only accept callbacks for authorization requests we started
+  const pending = state ? pendingAuthStates.get(state) : undefined;
+  if (!pending || Date.now() - pending.createdAt > AUTH_STATE_TTL_MS) {
+    res.status(403).send('Authentication error: invalid or expired state. Please start again at /login.');
+    return;
+  }
+  pendingAuthStates.delete(state);
+  
+  if (authorizationError) {
+    const reason = authorizationError === 'access_denied'
+      ? 'access to your Spotify account was denied'
+      : authorizationError;
+    res.status(400).send(`Authentication cancelled: ${reason}. You can try again at /login.`);
+    return;
+  }
+  
+  if (!code) {
+    res.status(400).send('Authentication error: no authorization code received.');
+    return;
+  }
+  
   try {
-    const data = await spotifyApi.authorizationCodeGrant(code);
+    await ensureSessionsLoaded();
+    
+    // Each account gets its own API client
+    const api = createSpotifyApi();
+    const data = pending.codeVerifier
+      ? await requestPkceToken({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: api.getRedirectURI(),
+        code_verifier: pending.codeVerifier
+      })
+      : await api.authorizationCodeGrant(code);
     const { access_token, refresh_token } = data.body;
     
     // Set the access token and refresh token
-    spotifyApi.setAccessToken(access_token);
-    spotifyApi.setRefreshToken(refresh_token);
-    
-    // Save tokens for future use
-    userTokens.accessToken = access_token;
-    userTokens.refreshToken = refresh_token;
-    userTokens.expiresAt = Date.now() + data.body.expires_in * 1000;
+    api.setAccessToken(access_token);
+    api.setRefreshToken(refresh_token);
     
-    isAuthenticated = true;
+    // Record which Spotify user authenticated
+    const user = await api.getMe();
+    const session = addSession(user.body, {
+      accessToken: access_token,
+      refreshToken: refresh_token,
+      expiresAt: Date.now() + data.body.expires_in * 1000,
+      pkce: Boolean(pending.codeVerifier)
+    }, api);
     
-    // Save tokens to a file for persistence
-    writeFileSync(
-      path.join(process.cwd(), '.spotify_tokens.json'),
-      JSON.stringify(userTokens)
-    );
+    // Save tokens in the token store for persistence
+    saveTokens();
     
-    res.send('Authentication successful! You can close this window and return to your MCP client.');
+    res.send(`Authentication successful for ${session.displayName} (account "${session.userId}")! You can close this window and return to your MCP client.${tokenStoreWarning()}`);
   } catch (error) {
     console.error('Error during authentication:', error);
     res.status(500).send(`Authentication error: ${error.message}`);
   }
 });
 
-// Function to refresh the access token if needed
-async function ensureValidToken() {
-  // Try to load tokens from file if they're not in memory
-  if (!userTokens.accessToken && !userTokens.refreshToken) {
-    try {
-      const tokenFile = path.join(process.cwd(), '.spotify_tokens.json');
-      const fileContent = readFileSync(tokenFile, 'utf8');
-      const savedTokens = JSON.parse(fileContent);
-      
-      userTokens.accessToken = savedTokens.accessToken;
-      userTokens.refreshToken = savedTokens.refreshToken;
-      userTokens.expiresAt = savedTokens.expiresAt;
-      
-      spotifyApi.setAccessToken(userTokens.accessToken);
-      spotifyApi.setRefreshToken(userTokens.refreshToken);
-      isAuthenticated = true;
-    } catch (error) {
-      console.log('No stored tokens found or error loading them.');
-      return false;
+// Logout page: asks to confirm signing out of one account (?account=<id>) or every account.
+// Signing out needs a POST with a fresh random state, so other sites can't sign the user out.
+app.get('/logout', (req, res) => {
+  const account = typeof req.query.account === 'string' ? req.query.account : '';
+  
+  const now = Date.now();
+  forgetExpiredStates(pendingLogoutStates, now);
+  const state = randomBytes(16).toString('hex');
+  pendingLogoutStates.set(state, { createdAt: now, account });
+  
+  res.send(`<form method="post" action="/logout">
+  <input type="hidden" name="state" value="${state}">
+  <p>Sign out of ${account ? `Spotify account "${escapeHtml(account)}"` : 'all Spotify accounts'}?</p>
+  <button type="submit">Sign out</button>
+</form>`);
+});
+
+// Logout route: forget the account (or every account) confirmed on the logout page
+app.post('/logout', express.urlencoded({ extended: false }), async (req, res) => {
+  const state = req.body?.state;
+  const pending = typeof state === 'string' ? pendingLogoutStates.get(state) : undefined;
+  if (!pending || Date.now() - pending.createdAt > AUTH_STATE_TTL_MS) {
+    res.status(403).send('Logout error: invalid or expired state. Please start again at /logout.');
+    return;
+  }
+  pendingLogoutStates.delete(state);
+  
+  const { account } = pending;
+  
+  try {
+    await ensureSessionsLoaded();
+    
+    if (account) {
+      const session = findSession(account);
+      if (!session) {
+        res.status(404).send(`No signed-in Spotify account "${escapeHtml(account)}".`);
+        return;
+      }
+      sessions.delete(session.userId);
+    } else {
+      sessions.clear();
+    }
+    
+    // Remove the tokens from the token store as well, unless it couldn't be read
+    if (sessions.size > 0) {
+      saveTokens();
+    } else if (!tokenStoreError) {
+      clients.tokenStore.clear();
     }
+    
+    res.send(`${account ? `Signed out of Spotify account "${escapeHtml(account)}".` : 'Signed out of all Spotify accounts.'}${tokenStoreWarning()}`);
+  } catch (error) {
+    console.error('Error during logout:', error);
+    res.status(500).send(`Logout error: ${error.message}`);
   }
+});
+
+// Function to get a session with a valid access token, refreshing it if needed.
+// Returns null when the account isn't authenticated.
+async function ensureValidToken(account) {
+  // Load saved sessions if they're not in memory yet
+  await ensureSessionsLoaded();
   
-  // Check if token is expired or about to expire (within 5 minutes)
-  const isTokenExpired = userTokens.expiresAt && Date.now() > userTokens.expiresAt - 300000;
+  const session = findSession(account);
+  if (!session) {
+    return null;
+  }
   
-  if (isTokenExpired && userTokens.refreshToken) {
-    try {
-      const data = await spotifyApi.refreshAccessToken();
-      userTokens.accessToken = data.body.access_token;
-      spotifyApi.setAccessToken(userTokens.accessToken);
-      userTokens.expiresAt = Date.now() + data.body.expires_in * 1000;
-      
+  try {
+    if (await refreshSessionIfNeeded(session)) {
       // Update the saved tokens
-      writeFileSync(
-        path.join(process.cwd(), '.spotify_tokens.json'),
-        JSON.stringify(userTokens)
-      );
-      
-      return true;
-    } catch (error) {
-      console.error('Error refreshing token:', error);
-      return false;
+      saveTokens();
     }
+  } catch (error) {
+    console.error('Error refreshing token:', error);
+    return null;
   }
   
-  return isAuthenticated;
+  return session;
 }
 
-// Start the Express server
-app.listen(PORT, () => {
-  console.log(`Express server listening on port ${PORT}`);
-  console.log(`Please authenticate with Spotify at http://localhost:${PORT}/login`);
-});
+// Function to refresh a session's token after Spotify rejected it (once, however many requests failed)
+function refreshAfterUnauthorized(session) {
+  if (!session.refreshing) {
+    session.refreshing = refreshSessionIfNeeded(session, true)
+      .then(() => saveTokens())
+      .finally(() => {
+        session.refreshing = null;
+      });
+  }
+  return session.refreshing;
+}
 
-// Function to analyze tracks and extract relevant features
-async function analyzePlaylistTracks(tracks) {
-  const trackIds = tracks.map(track => track.track.id);
-  
-  // Get audio features for all tracks
-  const audioFeatures = await spotifyApi.getAudioFeaturesForTracks(trackIds);
-  
-  // Combine track info with audio features
-  const analyzedTracks = tracks.map((track, index) => {
-    const features = audioFeatures.body.audio_features[index];
-    return {
-      id: track.track.id,
-      name: track.track.name,
-      artists: track.track.artists.map(artist => artist.name),
-      album: track.track.album.name,
-      popularity: track.track.popularity,
-      // Audio features
-      danceability: features?.danceability,
-      energy: features?.energy,
-      key: features?.key,
-      loudness: features?.loudness,
-      mode: features?.mode,
-      speechiness: features?.speechiness,
-      acousticness: features?.acousticness,
-      instrumentalness: features?.instrumentalness,
-      liveness: features?.liveness,
-      valence: features?.valence,
-      tempo: features?.tempo,
-      duration_ms: features?.duration_ms,
-      time_signature: features?.time_signature
-    };
+// Function to make a Spotify API call for a session through the rate limiter.
+// Calls that change something and can't safely be repeated pass `idempotent: false`.
+function spotifyCall(session, request, { idempotent = true } = {}) {
+  return spotifyLimiter.run(() => request(session.spotifyApi), {
+    onUnauthorized: () => refreshAfterUnauthorized(session),
+    idempotent
   });
-  
-  return analyzedTracks;
 }
 
-// Function to get track recommendations from Spotify based on seed tracks
-async function getSpotifyRecommendations(seedTrackIds, count = 10) {
-  // Get recommendations from Spotify
-  const recommendations = await spotifyApi.getRecommendations({
-    seed_tracks: seedTrackIds.slice(0, 5), // Spotify allows max 5 seed tracks
-    limit: count
+// Only listen when run directly, so tests can import the server
+const isMainModule = Boolean(process.argv[1]) && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url);
+
+// Start the Express server
+if (isMainModule) {
+  app.listen(PORT, () => {
+    console.log(`Express server listening on port ${PORT}`);
+    console.log(`Please authenticate with Spotify at http://localhost:${PORT}/login`);
   });
-  
-  return recommendations.body.tracks.map(track => ({
-    id: track.id,
-    name: track.name,
-    artists: track.artists.map(artist => artist.name),
-    album: track.album.name,
-    uri: track.uri
-  }));
 }
 
-// Function to summarize playlist mood and style
-function summarizePlaylist(analyzedTracks) {
-  // Calculate averages for numerical features
-  const features = [
-    'danceability', 'energy', 'loudness', 'speechiness',
-    'acousticness', 'instrumentalness', 'liveness', 'valence', 'tempo'
-  ];
+// Function to get audio features for any number of tracks, using the cache where possible.
+// onBatch(fetched, missing) is called after each batch fetched from Spotify.
+async function getAudioFeatures(session, trackIds, onBatch) {
+  const { found, missing, stats } = featureCache.lookup(trackIds.filter(Boolean));
+  let batches = 0;
   
-  const averages = {};
-  features.forEach(feature => {
-    const values = analyzedTracks
-      .map(track => track[feature])
-      .filter(value => value !== undefined);
+  // Fetch uncached features in batches Spotify accepts
+  for (let i = 0; i < missing.length; i += AUDIO_FEATURES_BATCH_SIZE) {
+    const batch = missing.slice(i, i + AUDIO_FEATURES_BATCH_SIZE);
+    const audioFeatures = await spotifyCall(session, api => api.getAudioFeaturesForTracks(batch));
     
-    const sum = values.reduce((acc, val) => acc + val, 0);
-    averages[feature] = sum / values.length;
-  });
-  
-  // Determine mood based on valence and energy
-  let mood;
-  if (averages.valence > 0.7) {
-    mood = averages.energy > 0.7 ? 'Euphoric/Excited' : 'Happy/Cheerful';
-  } else if (averages.valence > 0.4) {
-    mood = averages.energy > 0.7 ? 'Energetic/Tense' : 'Balanced/Neutral';
-  } else {
-    mood = averages.energy > 0.7 ? 'Angry/Intense' : 'Sad/Melancholic';
+    const fetched = new Map(batch.map((id, index) => [id, audioFeatures.body.audio_features[index] || null]));
+    featureCache.store(fetched);
+    fetched.forEach((features, id) => found.set(id, features));
+    batches++;
+    
+    if (onBatch) {
+      onBatch(Math.min(i + AUDIO_FEATURES_BATCH_SIZE, missing.length), missing.length);
+    }
   }
   
-  // Determine genre hints based on artists
-  const allArtists = analyzedTracks.flatMap(track => track.artists);
+  if (batches > 0) {
+    featureCache.save();
+  }
   
   return {
-    mood,
-    averages,
-    trackCount: analyzedTracks.length,
-    popularityAvg: analyzedTracks.reduce((acc, track) => acc + track.popularity, 0) / analyzedTracks.length,
-    summary: `This playlist has ${analyzedTracks.length} tracks with an average tempo of ${Math.round(averages.tempo)} BPM. 
-      The overall mood seems ${mood.toLowerCase()}, with 
-      ${averages.energy > 0.7 ? 'high' : averages.energy > 0.4 ? 'moderate' : 'low'} energy and 
-      ${averages.danceability > 0.7 ? 'high' : averages.danceability > 0.4 ? 'moderate' : 'low'} danceability.
-      ${averages.acousticness > 0.6 ? 'The playlist features mostly acoustic sounds.' : ''}
-      ${averages.instrumentalness > 0.5 ? 'The playlist is primarily instrumental.' : ''}
-      ${averages.speechiness > 0.33 ? 'The playlist contains significant spoken word elements.' : ''}`
+    features: found,
+    cacheStats: { ...stats, batches }
   };
 }
 
-// Function to add tracks to a playlist
-async function addTracksToPlaylist(playlistId, trackUris) {
-  return await spotifyApi.addTracksToPlaylist(playlistId, trackUris);
+// Function to get the genres of any number of artists, as a Map of artist ID to genre list
+async function getArtistGenres(session, artistIds) {
+  const uniqueIds = [...new Set(artistIds.filter(Boolean))];
+  const missing = uniqueIds.filter(id => !artistGenreCache.has(id));
+  
+  // Fetch unknown artists in batches Spotify accepts
+  for (let i = 0; i < missing.length; i += ARTISTS_BATCH_SIZE) {
+    const batch = missing.slice(i, i + ARTISTS_BATCH_SIZE);
+    const artists = await spotifyCall(session, api => api.getArtists(batch));
+    
+    batch.forEach((id, index) => {
+      const artist = artists.body.artists[index];
+      artistGenreCache.set(id, artist ? artist.genres : []);
+    });
+  }
+  
+  return new Map(uniqueIds.map(id => [id, artistGenreCache.get(id)]));
 }
 
-// Create the MCP server
-const server = createServer({
-  // Server information
-  title: 'Spotify Playlist Curator',
-  description: 'MCP server that curates Spotify playlists using Claude AI',
-  version: '1.0.0',
+// Function to get every item of a playlist (handling pagination).
+// onPage(fetched, total) is called after each page.
+async function getAllPlaylistTracks(session, playlistId, onPage) {
+  let allTracks = [];
+  let offset = 0;
+  const limit = 100;
   
-  // Server initialization
-  async init({ logger }) {
-    logger.info('Starting Spotify Playlist Curator MCP server');
+  while (true) {
+    const tracks = await spotifyCall(session, api => api.getPlaylistTracks(playlistId, {
+      offset,
+      limit
+    }));
     
-    // Check for existing authentication
-    const isValid = await ensureValidToken();
-    if (isValid) {
-      logger.info('Successfully loaded existing Spotify authentication');
-    } else {
-      logger.info(`Please authenticate with Spotify at http://localhost:${PORT}/login`);
+    allTracks = [...allTracks, ...tracks.body.items];
+    
+    if (onPage) {
+      onPage(allTracks.length, tracks.body.total);
     }
     
-    return {
-      // Return state object
-      spotifyApi,
-      isAuthenticated: isValid
-    };
-  },
+    if (tracks.body.items.length < limit) {
+      break;
+    }
+    
+    offset += limit;
+  }
   
-  // Define methods
-  methods: {
-    // Get the user's playlists
-    async getPlaylists({ state, logger }) {
-      const isValid = await ensureValidToken();
-      if (!isValid) {
-        return {
-          error: 'Not authenticated with Spotify',
-          authUrl: `http://localhost:${PORT}/login`
-        };
+  return allTracks;
+}
+
+// Function to get all of the user's playlists, owned and followed (handling pagination)
+async function getAllUserPlaylists(session) {
+  let allPlaylists = [];
+  let offset = 0;
+  
+  while (true) {
+    const playlists = await spotifyCall(session, api => api.getUserPlaylists({
+      offset,
+      limit: PAGE_SIZE_LIMIT
+    }));
+    
+    allPlaylists = [...allPlaylists, ...playlists.body.items];
+    
+    if (playlists.body.items.length < PAGE_SIZE_LIMIT || allPlaylists.length >= playlists.body.total) {
+      break;
+    }
+    
+    offset += PAGE_SIZE_LIMIT;
+  }
+  
+  return allPlaylists;
+}
+
+// Function to check the playlist filters of getPlaylists, returning an error message or null
+function validatePlaylistFilters({ ownership, visibility, collaborative, name }) {
+  if (!PLAYLIST_OWNERSHIP.includes(ownership)) {
+    return `ownership must be one of ${PLAYLIST_OWNERSHIP.join(', ')}`;
+  }
+  if (!PLAYLIST_VISIBILITY.includes(visibility)) {
+    return `visibility must be one of ${PLAYLIST_VISIBILITY.join(', ')}`;
+  }
+  if (collaborative !== undefined && typeof collaborative !== 'boolean') {
+    return 'collaborative must be true or false';
+  }
+  if (name !== undefined && typeof name !== 'string') {
+    return 'name must be a string';
+  }
+  return null;
+}
+
+// Function to check whether a Spotify playlist passes the filters of getPlaylists
+function matchesPlaylistFilters(playlist, { ownership, visibility, collaborative, name }, userId) {
+  const owned = playlist.owner.id === userId;
+  
+  if ((ownership === 'owned' && !owned) || (ownership === 'followed' && owned)) {
+    return false;
+  }
+  if ((visibility === 'public' && !playlist.public) || (visibility === 'private' && playlist.public)) {
+    return false;
+  }
+  if (collaborative !== undefined && Boolean(playlist.collaborative) !== collaborative) {
+    return false;
+  }
+  if (name && !playlist.name.toLowerCase().includes(name.toLowerCase())) {
+    return false;
+  }
+  return true;
+}
+
+// Function to check a paging offset and limit, returning an error message or null
+function validatePaging(offset, limit, maxOffset = Infinity) {
+  if (!Number.isInteger(limit) || limit < 1 || limit > PAGE_SIZE_LIMIT) {
+    return `limit must be a whole number between 1 and ${PAGE_SIZE_LIMIT}`;
+  }
+  if (!Number.isInteger(offset) || offset < 0 || offset > maxOffset) {
+    return Number.isFinite(maxOffset)
+      ? `offset must be a whole number between 0 and ${maxOffset}`
+      : 'offset must be a whole number of at least 0';
+  }
+  return null;
+}
+
+// Function to check a market (an ISO 3166-1 alpha-2 country code), returning an error message or null
+function validateMarket(market) {
+  if (market !== undefined && !/^([A-Z]{2}|from_token)$/.test(market)) {
+    return 'market must be a country code like "US", or "from_token" for the account\'s own country';
+  }
+  return null;
+}
+
+// Function to work out where the page after this one starts, or null after the last page
+function nextPageOffset(offset, itemCount, total, maxOffset = Infinity) {
+  const next = offset + itemCount;
+  return itemCount > 0 && next < total && next <= maxOffset ? next : null;
+}
+
+// Function to simplify a search result of the given type
+function formatSearchItem(type, item) {
+  switch (type) {
+    case 'track':
+      return {
+        id: item.id,
+        name: item.name,
+        artists: item.artists.map(artist => artist.name),
+        album: item.album.name,
+        uri: item.uri
+      };
+    case 'artist':
+      return {
+        id: item.id,
+        name: item.name,
+        genres: item.genres || [],
+        popularity: item.popularity,
+        followers: item.followers?.total ?? null,
+        uri: item.uri
+      };
+    case 'album':
+      return {
+        id: item.id,
+        name: item.name,
+        artists: item.artists.map(artist => artist.name),
+        releaseDate: item.release_date || null,
+        totalTracks: item.total_tracks,
+        uri: item.uri
+      };
+    default:
+      return {
+        id: item.id,
+        name: item.name,
+        owner: item.owner?.display_name || null,
+        trackCount: item.tracks?.total ?? null,
+        uri: item.uri
+      };
+  }
+}
+
+// Function to get the tracks in the user's library, newest first (handling pagination)
+async function getAllSavedTracks(session, maxTracks = Infinity) {
+  let allTracks = [];
+  let offset = 0;
+  const limit = 50;
+  
+  while (allTracks.length < maxTracks) {
+    const tracks = await spotifyCall(session, api => api.getMySavedTracks({ offset, limit }));
+    
+    allTracks = [...allTracks, ...tracks.body.items];
+    
+    if (tracks.body.items.length < limit) {
+      break;
+    }
+    
+    offset += limit;
+  }
+  
+  return allTracks.slice(0, maxTracks);
+}
+
+// Function to get the user's top tracks or artists for a time range (handling pagination)
+async function getTopItems(session, type, timeRange, maxItems) {
+  let allItems = [];
+  let offset = 0;
+  const limit = 50;
+  
+  while (allItems.length < maxItems) {
+    const options = { time_range: timeRange, offset, limit: Math.min(limit, maxItems - allItems.length) };
+    const items = await spotifyCall(session, api => (type === 'artists'
+      ? api.getMyTopArtists(options)
+      : api.getMyTopTracks(options)));
+    
+    allItems = [...allItems, ...items.body.items];
+    
+    if (items.body.items.length < options.limit) {
+      break;
+    }
+    
+    offset += options.limit;
+  }
+  
+  return allItems;
+}
+
+// Function to check a track source ({ type, timeRange, limit }), returning an error message or null
+function validateTrackSource(source) {
+  if (!source || !TRACK_SOURCES.includes(source.type)) {
+    return `source.type must be one of ${TRACK_SOURCES.join(', ')}`;
+  }
+  
+  if (source.timeRange !== undefined && !Object.hasOwn(TIME_RANGES, source.timeRange)) {
+    return `source.timeRange must be one of ${Object.keys(TIME_RANGES).join(', ')}`;
+  }
+  
+  if (source.limit !== undefined && (!Number.isInteger(source.limit) || source.limit < 1)) {
+    return 'source.limit must be a positive whole number';
+  }
+  
+  if (source.type === 'recentlyPlayed' && source.limit > MAX_RECENTLY_PLAYED) {
+    return `Spotify only keeps the last ${MAX_RECENTLY_PLAYED} played tracks`;
+  }
+  
+  return null;
+}
+
+// Function to fetch, analyze and summarize the tracks of a library or listening-history source.
+// The result has the same shape as getPlaylistDetails, so it can stand in for a playlist.
+async function getTrackSourceDetails(session, source) {
+  const { type, timeRange = 'medium_term', limit = 50 } = source;
+  let items;
+  let name;
+  
+  if (type === 'savedTracks') {
+    items = await getAllSavedTracks(session, limit);
+    name = 'Your saved tracks';
+  } else if (type === 'topTracks') {
+    const tracks = await getTopItems(session, 'tracks', timeRange, limit);
+    items = tracks.map(track => ({ track, added_at: null }));
+    name = `Your top tracks (${TIME_RANGES[timeRange]})`;
+  } else {
+    const recent = await spotifyCall(session, api => api.getMyRecentlyPlayedTracks({ limit }));
+    items = recent.body.items.map(item => ({ track: item.track, added_at: null, played_at: item.played_at }));
+    name = 'Your recently played tracks';
+  }
+  
+  // Skip local files and unavailable tracks
+  const playable = items.filter(item => item.track && item.track.id);
+  const { tracks: analyzedTracks, cacheStats } = await analyzePlaylistTracks(session, playable);
+  if (type === 'recentlyPlayed') {
+    analyzedTracks.forEach((track, index) => {
+      track.playedAt = playable[index].played_at;
+    });
+  }
+  
+  const artistGenres = await getArtistGenres(session, analyzedTracks.flatMap(track => track.artistIds));
+  
+  return {
+    id: null,
+    name,
+    description: type === 'topTracks' ? `Most played tracks, ${TIME_RANGES[timeRange]}` : null,
+    source: { type, timeRange: type === 'topTracks' ? timeRange : undefined, limit },
+    trackCount: analyzedTracks.length,
+    tracks: analyzedTracks,
+    summary: summarizePlaylist(analyzedTracks, artistGenres),
+    featureCache: {
+      ...cacheStats,
+      totals: featureCache.stats()
+    }
+  };
+}
+
+// Function to get a playlist's current track URIs and Spotify snapshot ID
+async function getPlaylistState(session, playlistId) {
+  const playlist = await spotifyCall(session, api => api.getPlaylist(playlistId, { fields: 'snapshot_id' }));
+  
+  // The cached contents are good enough if the playlist hasn't changed since
+  const cached = playlistCache.get(playlistId, playlist.body.snapshot_id);
+  if (cached) {
+    return {
+      spotifySnapshotId: playlist.body.snapshot_id,
+      trackUris: cached.tracks.map(track => track.uri)
+    };
+  }
+  
+  const items = await getAllPlaylistTracks(session, playlistId);
+  
+  return {
+    spotifySnapshotId: playlist.body.snapshot_id,
+    trackUris: items.filter(item => item.track).map(item => item.track.uri)
+  };
+}
+
+// Function to save a local snapshot of a playlist before changing it
+function savePlaylistSnapshot(session, playlistId, playlistState, action, description, restoredSnapshotId) {
+  return snapshotStore.save({
+    playlistId,
+    account: session.userId,
+    action,
+    description,
+    spotifySnapshotId: playlistState.spotifySnapshotId,
+    trackUris: playlistState.trackUris,
+    restoredSnapshotId
+  });
+}
+
+// Function to work out a playlist's track list after removing tracks ({ uri } or { uri, positions })
+function applyRemovals(trackUris, removals) {
+  const removeAll = new Set(removals.filter(removal => !removal.positions).map(removal => removal.uri));
+  const removePositions = new Set(removals.flatMap(removal => removal.positions || []));
+  
+  return trackUris.filter((uri, position) => !removeAll.has(uri) && !removePositions.has(position));
+}
+
+// Function to analyze tracks and extract relevant features
+async function analyzePlaylistTracks(session, tracks, onBatch) {
+  const trackIds = tracks.map(track => track.track.id);
+  
+  // Get audio features for all tracks
+  const { features: audioFeatures, cacheStats } = await getAudioFeatures(session, trackIds, onBatch);
+  
+  // Combine track info with audio features
+  const analyzedTracks = tracks.map(track => {
+    const features = audioFeatures.get(track.track.id);
+    return {
+      id: track.track.id,
+      name: track.track.name,
+      uri: track.track.uri,
+      artists: track.track.artists.map(artist => artist.name),
+      artistIds: track.track.artists.map(artist => artist.id).filter(Boolean),
+      album: track.track.album.name,
+      releaseDate: track.track.album.release_date || null,
+      popularity: track.track.popularity,
+      addedAt: track.added_at,
+      // Audio features
+      danceability: features?.danceability,
+      energy: features?.energy,
+      key: features?.key,
+      loudness: features?.loudness,
+      mode: features?.mode,
+      speechiness: features?.speechiness,
+      acousticness: features?.acousticness,
+      instrumentalness: features?.instrumentalness,
+      liveness: features?.liveness,
+      valence: features?.valence,
+      tempo: features?.tempo,
+      duration_ms: features?.duration_ms ?? track.track.duration_ms,
+      time_signature: features?.time_signature
+    };
+  });
+  
+  return { tracks: analyzedTracks, cacheStats };
+}
+
+// Function to get track recommendations from Spotify based on seed tracks
+async function getSpotifyRecommendations(session, seedTrackIds, count = 10, constraints = {}) {
+  // Get recommendations from Spotify
+  const recommendations = await spotifyCall(session, api => api.getRecommendations({
+    seed_tracks: seedTrackIds.slice(0, 5), // Spotify allows max 5 seed tracks
+    limit: count,
+    ...toSpotifyParams(constraints)
+  }));
+  
+  return recommendations.body.tracks.map(track => ({
+    id: track.id,
+    name: track.name,
+    artists: track.artists.map(artist => artist.name),
+    album: track.album.name,
+    uri: track.uri,
+    popularity: track.popularity,
+    explicit: track.explicit
+  }));
+}
+
+// Function to collect the track IDs and title/artist keys of tracks that shouldn't be recommended
+async function collectExclusions(session, playlistTracks, excludePlaylists) {
+  const exclusions = { ids: new Map(), keys: new Map() };
+  const exclude = (track, reason) => {
+    exclusions.ids.set(track.id, reason);
+    exclusions.keys.set(trackKey(track.name, track.artists), reason);
+  };
+  
+  playlistTracks.forEach(track => exclude(track, 'already in playlist'));
+  
+  for (const otherPlaylistId of excludePlaylists) {
+    const items = await getAllPlaylistTracks(session, otherPlaylistId);
+    items
+      .filter(item => item.track && item.track.id)
+      .forEach(item => exclude({
+        id: item.track.id,
+        name: item.track.name,
+        artists: item.track.artists.map(artist => artist.name)
+      }, `in excluded playlist ${otherPlaylistId}`));
+  }
+  
+  return exclusions;
+}
+
+// Function to split recommended tracks into those that meet the constraints and those that don't
+async function applyConstraints(session, tracks, constraints, exclusions) {
+  // Only fetch audio features when a feature range was requested
+  const needsFeatures = Object.keys(constraints.features || {}).length > 0;
+  const { features } = needsFeatures
+    ? await getAudioFeatures(session, tracks.map(track => track.id))
+    : { features: new Map() };
+  
+  const kept = [];
+  const filteredOut = [];
+  
+  tracks.forEach(track => {
+    const reasons = [];
+    const excludedBy = exclusions.ids.get(track.id) || exclusions.keys.get(trackKey(track.name, track.artists));
+    if (excludedBy) {
+      reasons.push(excludedBy);
+    }
+    reasons.push(...checkConstraints(track, features.get(track.id), constraints));
+    
+    if (reasons.length > 0) {
+      filteredOut.push({ ...track, reasons });
+    } else {
+      kept.push(track);
+    }
+  });
+  
+  return { kept, filteredOut };
+}
+
+// Function to search Spotify for a { title, artist, durationMs } entry, returning ranked candidates
+async function matchTrack(session, entry, limit = 5) {
+  const ranked = new Map();
+  const queries = [
+    entry.artist ? `track:${entry.title} artist:${entry.artist}` : `track:${entry.title}`,
+    // Field filters are strict, so fall back to a free-text search
+    `${entry.title} ${entry.artist || ''}`.trim()
+  ];
+  
+  for (const query of queries) {
+    const result = await spotifyCall(session, api => api.searchTracks(query, { limit }));
+    rankCandidates(entry, result.body.tracks.items).forEach(candidate => {
+      ranked.set(candidate.track.id, candidate);
+    });
+    
+    // Only run the broader search when the strict one found nothing convincing
+    const best = Math.max(0, ...[...ranked.values()].map(candidate => candidate.confidence));
+    if (best >= 0.8) {
+      break;
+    }
+  }
+  
+  return [...ranked.values()].sort((a, b) => b.confidence - a.confidence);
+}
+
+// Function to check the parts of a smart playlist definition, returning an error message or null
+function validateSmartPlaylistDefinition({ rules, sources, sortBy, sortOrder, limit }) {
+  const rulesError = validateRules(rules);
+  if (rulesError) {
+    return rulesError;
+  }
+  
+  if (!sources || (!sources.savedTracks && !(Array.isArray(sources.playlists) && sources.playlists.length > 0))) {
+    return 'sources must include savedTracks: true and/or a non-empty playlists array';
+  }
+  
+  if (!Object.hasOwn(RULE_FIELDS, sortBy)) {
+    return `Unknown sortBy field "${sortBy}". Supported fields: ${Object.keys(RULE_FIELDS).join(', ')}`;
+  }
+  
+  if (!['asc', 'desc'].includes(sortOrder)) {
+    return 'sortOrder must be "asc" or "desc"';
+  }
+  
+  if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+    return 'limit must be a positive whole number';
+  }
+  
+  return null;
+}
+
+// Function to gather, analyze and filter the tracks for a smart playlist
+async function buildSmartPlaylistTracks(session, definition) {
+  const { rules, sources, sortBy, sortOrder, limit } = definition;
+  
+  // Collect items from every source
+  let items = [];
+  if (sources.savedTracks) {
+    items = [...items, ...await getAllSavedTracks(session)];
+  }
+  for (const sourcePlaylistId of sources.playlists || []) {
+    // A smart playlist never feeds on itself
+    if (sourcePlaylistId !== definition.playlistId) {
+      items = [...items, ...await getAllPlaylistTracks(session, sourcePlaylistId)];
+    }
+  }
+  
+  // Skip local files and unavailable tracks, and keep the first copy of each track
+  const seen = new Set();
+  items = items.filter(item => {
+    if (!item.track || !item.track.id || seen.has(item.track.id)) {
+      return false;
+    }
+    seen.add(item.track.id);
+    return true;
+  });
+  
+  const { tracks: analyzedTracks } = await analyzePlaylistTracks(session, items);
+  const now = Date.now();
+  const matching = sortTracks(analyzedTracks.filter(track => matchesRules(track, rules, now)), sortBy, sortOrder);
+  
+  return {
+    sourceTrackCount: items.length,
+    tracks: limit ? matching.slice(0, limit) : matching
+  };
+}
+
+// Function to replace a smart playlist's contents with the tracks that match its rule
+async function refreshSmartPlaylistContents(session, definition, logger) {
+  const { tracks, sourceTrackCount } = await buildSmartPlaylistTracks(session, definition);
+  const trackUris = tracks.map(track => track.uri);
+  
+  const playlistState = await getPlaylistState(session, definition.playlistId);
+  const diff = diffTrackLists(playlistState.trackUris, trackUris);
+  
+  let localSnapshotId;
+  if (diff.changed) {
+    const snapshot = savePlaylistSnapshot(session, definition.playlistId, playlistState, 'refreshSmartPlaylist',
+      'Before refreshing smart playlist');
+    localSnapshotId = snapshot.id;
+    
+    if (trackUris.length > 0) {
+      await replacePlaylistTracks(session, definition.playlistId, trackUris);
+    } else {
+      await removeTracksFromPlaylist(session, definition.playlistId, [...new Set(playlistState.trackUris)].map(uri => ({ uri })));
+    }
+  }
+  
+  smartPlaylistStore.save({
+    ...definition,
+    lastRefreshedAt: new Date().toISOString(),
+    lastTrackCount: trackUris.length
+  });
+  
+  logger.info(`Smart playlist ${definition.name} now has ${trackUris.length} of ${sourceTrackCount} source tracks`);
+  
+  return {
+    success: true,
+    playlistId: definition.playlistId,
+    name: definition.name,
+    sourceTrackCount,
+    trackCount: trackUris.length,
+    localSnapshotId,
+    diff
+  };
+}
+
+// Function to pick up to `size` tracks spread evenly through a playlist
+function sampleTracks(tracks, size) {
+  if (tracks.length <= size) {
+    return tracks;
+  }
+  return Array.from({ length: size }, (_, index) => tracks[Math.floor(index * tracks.length / size)]);
+}
+
+// Function to build the variables a prompt template can use from playlist (or source) details
+function buildPromptVariables(details, { count, isPlaylist, sampleSize, constraints, excludeExisting }) {
+  const { summary } = details;
+  const samples = sampleTracks(details.tracks, sampleSize);
+  
+  return {
+    count,
+    target: isPlaylist ? 'this Spotify playlist' : 'the music I listen to',
+    subject: isPlaylist ? 'the existing playlist' : details.name.toLowerCase(),
+    name: details.name,
+    description: details.description || 'No description',
+    trackCount: details.trackCount,
+    mood: summary.mood,
+    summary: summary.summary.replace(/\s+/g, ' ').trim(),
+    tempo: Math.round(summary.averages.tempo),
+    energy: summary.averages.energy.toFixed(2),
+    danceability: summary.averages.danceability.toFixed(2),
+    valence: summary.averages.valence.toFixed(2),
+    acousticness: summary.averages.acousticness.toFixed(2),
+    popularity: summary.popularityAvg === null ? null : Math.round(summary.popularityAvg),
+    // Audio features alone don't pin down a genre, so describe the genres and artists too
+    genres: describeGenreProfile(summary.genres, summary.artists),
+    eras: describeReleaseYears(details.tracks),
+    sampleTracks: samples.map(track => `- "${track.name}" by ${track.artists.join(', ')}`).join('\n'),
+    sampleSize: samples.length,
+    constraints: hasConstraints(constraints) ? describeConstraints(constraints) : '',
+    excludeExisting,
+    existing: isPlaylist ? 'the playlist' : 'this list',
+    schema: RECOMMENDATION_SCHEMA
+  };
+}
+
+// Function to run a track source for one of the source methods, with the usual checks and error handling
+async function getTrackSourceMethod(source, account, logger) {
+  const sourceError = validateTrackSource(source);
+  if (sourceError) {
+    return { error: sourceError };
+  }
+  
+  const session = await ensureValidToken(account);
+  if (!session) {
+    return authError(account);
+  }
+  
+  try {
+    const details = await getTrackSourceDetails(session, source);
+    logger.info(`Retrieved ${details.trackCount} tracks from ${details.name.toLowerCase()}`);
+    return details;
+  } catch (error) {
+    logger.error(`Error getting ${source.type}:`, error);
+    return { error: error.message };
+  }
+}
+
+// Function to explain the playback errors Spotify returns when nothing can play
+function playbackErrorMessage(error) {
+  if (error.statusCode === 404) {
+    return 'No active Spotify device found. Open Spotify on a device, or pass a deviceId from getDevices';
+  }
+  if (error.statusCode === 403) {
+    return 'Spotify refused to control playback. Playback control needs a Spotify Premium account';
+  }
+  return error.message;
+}
+
+// Function to check a job definition, returning an error message or null
+function validateJobDefinition({ type, playlistId, schedule, options = {} }) {
+  if (!JOB_TYPES.includes(type)) {
+    return `type must be one of ${JOB_TYPES.join(', ')}`;
+  }
+  
+  if (!playlistId) {
+    return 'Playlist ID is required';
+  }
+  
+  const scheduleError = validateSchedule(schedule);
+  if (scheduleError) {
+    return scheduleError;
+  }
+  
+  if (type === 'refreshSmartPlaylist') {
+    return smartPlaylistStore.get(playlistId) ? null : `Playlist ${playlistId} is not a smart playlist`;
+  }
+  
+  const { count = 5, minConfidence, excludePlaylists = [], excludeExplicit, minPopularity, maxPopularity, features } = options;
+  if (!Number.isInteger(count) || count < 1 || count > 50) {
+    return 'options.count must be a whole number between 1 and 50';
+  }
+  if (minConfidence !== undefined && (typeof minConfidence !== 'number' || minConfidence < 0 || minConfidence > 1)) {
+    return 'options.minConfidence must be a number between 0 and 1';
+  }
+  if (!Array.isArray(excludePlaylists)) {
+    return 'options.excludePlaylists must be an array of playlist IDs';
+  }
+  
+  if (options.template !== undefined && !promptTemplates.get(options.template)) {
+    return `Unknown prompt template "${options.template}"`;
+  }
+  if (options.provider !== undefined && !llmProviders.get(options.provider)) {
+    return `Unknown LLM provider "${options.provider}"`;
+  }
+  
+  return validateConstraints({ excludeExplicit, minPopularity, maxPopularity, features });
+}
+
+// Function to check whether a job needs a Claude client that the server doesn't have yet
+// (the MCP framework only hands one over with a method call)
+function waitsForClaude(job) {
+  return job.type === 'addRecommendations' &&
+    (job.options.provider || DEFAULT_LLM_PROVIDER) === 'claude' &&
+    !clients.claude && !jobContext.claude;
+}
+
+// Function to add new recommendations to a job's playlist, using the job's stored options
+async function runRecommendationJob(job) {
+  if (waitsForClaude(job)) {
+    return { error: 'No Claude client is available yet. Call any job method once after the server starts' };
+  }
+  
+  const { count = 5, ...options } = job.options;
+  const context = { state: { sessions }, logger: jobContext.logger };
+  
+  // Ask for extra songs, since some won't match or will already be in the playlist
+  const recommendations = await server.methods.getClaudeRecommendations.call(server, {
+    args: { ...options, playlistId: job.playlistId, count: Math.min(count * 2, 50), excludeExisting: true, account: job.account },
+    claude: jobContext.claude,
+    ...context
+  });
+  
+  if (recommendations.error) {
+    return { error: recommendations.error };
+  }
+  
+  // Claude's confident matches first, then Spotify's own recommendations
+  const trackUris = [...new Set([
+    ...recommendations.claudeRecommendations.filter(rec => rec.matched && !rec.inPlaylist),
+    ...recommendations.spotifyRecommendations
+  ].map(track => track.uri))].slice(0, count);
+  
+  if (trackUris.length === 0) {
+    return { summary: 'No new tracks met the job\'s constraints', addedTracks: [] };
+  }
+  
+  const result = await server.methods.addRecommendationsToPlaylist.call(server, {
+    args: { playlistId: job.playlistId, trackUris, account: job.account },
+    ...context
+  });
+  
+  if (result.error) {
+    return { error: result.error };
+  }
+  
+  return {
+    summary: `Added ${trackUris.length} tracks`,
+    addedTracks: trackUris,
+    localSnapshotId: result.localSnapshotId
+  };
+}
+
+// Function to run a job once and record the outcome in its history
+async function runJob(job, trigger) {
+  if (runningJobs.has(job.id)) {
+    return { error: `Job ${job.id} is already running` };
+  }
+  
+  runningJobs.add(job.id);
+  const startedAt = new Date().toISOString();
+  let outcome;
+  
+  try {
+    if (job.type === 'refreshSmartPlaylist') {
+      const result = await server.methods.refreshSmartPlaylist.call(server, {
+        args: { playlistId: job.playlistId, account: job.account },
+        logger: jobContext.logger
+      });
+      outcome = result.error ? { error: result.error } : {
+        summary: `Rebuilt with ${result.trackCount} tracks (${result.diff.added.length} added, ${result.diff.removed.length} removed)`,
+        localSnapshotId: result.localSnapshotId
+      };
+    } else {
+      outcome = await runRecommendationJob(job);
+    }
+  } catch (error) {
+    outcome = { error: error.message };
+  } finally {
+    runningJobs.delete(job.id);
+  }
+  
+  const run = {
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    trigger,
+    status: outcome.error ? 'error' : 'success',
+    ...outcome
+  };
+  
+  if (outcome.error) {
+    jobContext.logger.error(`Job "${job.name}" failed:`, outcome.error);
+  } else {
+    jobContext.logger.info(`Job "${job.name}" finished: ${outcome.summary}`);
+  }
+  
+  jobStore.recordRun(job.id, run);
+  return run;
+}
+
+// Function to run every job that is due, one at a time.
+// Jobs waiting for a Claude client stay due, so a missed run isn't recorded as a failure and skipped.
+async function runDueJobs() {
+  for (const job of jobStore.due()) {
+    if (!runningJobs.has(job.id) && !waitsForClaude(job)) {
+      await runJob(job, 'schedule');
+    }
+  }
+}
+
+// Function to run a method call as a background job. The method is called again without
+// `background`, with a progress reporter, and the caller gets the job ID to poll with getJobStatus.
+function startInBackground(method, { args, ...context }) {
+  const job = backgroundJobs.start(method, progress => server.methods[method].call(server, {
+    ...context,
+    args: { ...args, background: false },
+    progress
+  }));
+  
+  return {
+    jobId: job.id,
+    method,
+    status: job.status,
+    startedAt: job.startedAt
+  };
+}
+
+// Function to describe a job for the job methods
+function describeJob(job) {
+  return {
+    ...job,
+    scheduleDescription: describeSchedule(job.schedule),
+    running: runningJobs.has(job.id)
+  };
+}
+
+// Function to add tracks to a playlist
+async function addTracksToPlaylist(session, playlistId, trackUris) {
+  playlistCache.invalidate(playlistId);
+  return await spotifyCall(session, api => api.addTracksToPlaylist(playlistId, trackUris), { idempotent: false });
+}
+
+// Function to remove tracks from a playlist in batches of 100.
+// Each entry is { uri } to remove every occurrence, or { uri, positions } for specific copies.
+// Positions are resolved against the given snapshot, so every batch uses the same one.
+async function removeTracksFromPlaylist(session, playlistId, tracks, snapshotId) {
+  let currentSnapshot = snapshotId;
+  playlistCache.invalidate(playlistId);
+
+  for (let i = 0; i < tracks.length; i += 100) {
+    const result = await spotifyCall(session, api => api.removeTracksFromPlaylist(
+      playlistId,
+      tracks.slice(i, i + 100),
+      snapshotId ? { snapshot_id: snapshotId } : {}
+    ), { idempotent: false });
+    currentSnapshot = result.body.snapshot_id;
+  }
+
+  return { snapshotId: currentSnapshot };
+}
+
+// Function to replace the entire contents of a playlist
+async function replacePlaylistTracks(session, playlistId, trackUris) {
+  playlistCache.invalidate(playlistId);
+  
+  // The replace endpoint takes at most 100 tracks; the rest are added afterwards
+  const result = await spotifyCall(session, api => api.replaceTracksInPlaylist(playlistId, trackUris.slice(0, 100)));
+  let snapshotId = result.body.snapshot_id;
+  
+  for (let i = 100; i < trackUris.length; i += 100) {
+    const added = await addTracksToPlaylist(session, playlistId, trackUris.slice(i, i + 100));
+    snapshotId = added.body.snapshot_id;
+  }
+  
+  return { snapshotId };
+}
+
+// Function to reorder a playlist to match a new order of its current positions.
+// Moves one track at a time with Spotify's reorder endpoint so added dates are preserved.
+async function reorderPlaylistTracks(session, playlistId, order, snapshotId) {
+  const working = order.map((_, index) => index);
+  let currentSnapshot = snapshotId;
+  let moves = 0;
+  playlistCache.invalidate(playlistId);
+
+  for (let position = 0; position < order.length; position++) {
+    const from = working.indexOf(order[position]);
+    if (from === position) {
+      continue;
+    }
+
+    const result = await spotifyCall(session, api => api.reorderTracksInPlaylist(playlistId, from, position, {
+      range_length: 1,
+      snapshot_id: currentSnapshot
+    }), { idempotent: false });
+    currentSnapshot = result.body.snapshot_id;
+
+    const [moved] = working.splice(from, 1);
+    working.splice(position, 0, moved);
+    moves++;
+  }
+
+  return { moves, snapshotId: currentSnapshot };
+}
+
+// Create the MCP server
+const server = createServer({
+  // Server information
+  title: 'Spotify Playlist Curator',
+  description: 'MCP server that curates Spotify playlists using Claude AI',
+  version: '1.0.0',
+  
+  // Server initialization
+  async init({ logger, claude }) {
+    logger.info('Starting Spotify Playlist Curator MCP server');
+    
+    // Check for existing authentication
+    await ensureSessionsLoaded();
+    if (sessions.size > 0) {
+      logger.info(`Successfully loaded existing Spotify authentication for ${sessions.size} account(s)`);
+    } else {
+      logger.info(`Please authenticate with Spotify at http://localhost:${PORT}/login`);
+    }
+    
+    // Start the scheduler. Jobs missed while the server was down run once, straight away
+    // (or, if they need Claude, at the first check after a Claude client is available).
+    jobContext.logger = logger;
+    jobContext.claude = claude || null;
+    const checkJobs = () => runDueJobs().catch(error => logger.error('Error running scheduled jobs:', error));
+    checkJobs();
+    // The Express server keeps the process running; the scheduler alone doesn't
+    setInterval(checkJobs, JOB_CHECK_INTERVAL_MS).unref();
+    logger.info(`Loaded ${jobStore.list().length} scheduled job(s)`);
+    
+    return {
+      // Return state object
+      sessions
+    };
+  },
+  
+  // Define methods
+  methods: {
+    // List the Spotify accounts signed in to this server
+    async listAccounts({ logger }) {
+      await ensureSessionsLoaded();
+      logger.info(`${sessions.size} Spotify account(s) signed in`);
+      
+      return {
+        accounts: [...sessions.values()].map(session => ({
+          id: session.userId,
+          displayName: session.displayName,
+          isDefault: findSession() === session
+        })),
+        authUrl: `http://localhost:${PORT}/login`
+      };
+    },
+    
+    // Get the user's playlists
+    async getPlaylists({ args = {}, state, logger }) {
+      const {
+        offset,
+        limit = 20,
+        ownership = 'all',
+        visibility = 'all',
+        collaborative,
+        name,
+        account
+      } = args;
+      const filters = { ownership, visibility, collaborative, name };
+      
+      const filterError = validatePlaylistFilters(filters);
+      if (filterError) {
+        return { error: filterError };
+      }
+      
+      // Without an offset every page is fetched; with one, only that page
+      const paging = offset !== undefined;
+      if (paging) {
+        const pagingError = validatePaging(offset, limit);
+        if (pagingError) {
+          return { error: pagingError };
+        }
+      }
+      
+      const session = await ensureValidToken(account);
+      if (!session) {
+        return authError(account);
+      }
+      
+      try {
+        let items;
+        let total;
+        
+        if (paging) {
+          const data = await spotifyCall(session, api => api.getUserPlaylists({ offset, limit }));
+          items = data.body.items;
+          total = data.body.total;
+        } else {
+          items = await getAllUserPlaylists(session);
+          total = items.length;
+        }
+        
+        const playlists = items.filter(playlist => playlist && matchesPlaylistFilters(playlist, filters, session.userId));
+        logger.info(`Retrieved ${items.length} playlists, ${playlists.length} matching the filters`);
+        
+        return {
+          playlists: playlists.map(playlist => ({
+            id: playlist.id,
+            name: playlist.name,
+            trackCount: playlist.tracks.total,
+            image: playlist.images?.length > 0 ? playlist.images[0].url : null,
+            owner: playlist.owner.display_name,
+            ownerId: playlist.owner.id,
+            public: playlist.public,
+            collaborative: Boolean(playlist.collaborative)
+          })),
+          total,
+          offset: paging ? offset : 0,
+          // Where the next page starts, or null after the last one
+          nextOffset: paging ? nextPageOffset(offset, items.length, total) : null
+        };
+      } catch (error) {
+        logger.error('Error getting playlists:', error);
+        return { error: error.message };
+      }
+    },
+    
+    // Get a specific playlist with its tracks
+    async getPlaylistDetails({ args, state, logger, progress = silentProgress }) {
+      const { playlistId, forceRefresh = false, background = false, account } = args;
+      
+      if (!playlistId) {
+        return { error: 'Playlist ID is required' };
+      }
+      
+      const session = await ensureValidToken(account);
+      if (!session) {
+        return authError(account);
+      }
+      
+      if (background) {
+        return startInBackground('getPlaylistDetails', { args, state, logger });
+      }
+      
+      try {
+        // Get the playlist
+        const playlist = await spotifyCall(session, api => api.getPlaylist(playlistId));
+        const snapshotId = playlist.body.snapshot_id;
+        progress.report({
+          phase: 'fetching tracks',
+          percent: 0,
+          partial: { name: playlist.body.name, trackCount: playlist.body.tracks.total, tracksFetched: 0 }
+        });
+        
+        // Reuse the analysis from the last call if the playlist hasn't changed since
+        const cached = forceRefresh ? null : playlistCache.get(playlistId, snapshotId);
+        let analyzedTracks;
+        let summary;
+        let cacheStats = { hits: 0, misses: 0, expired: 0, batches: 0 };
+        
+        if (cached) {
+          // Copies, so callers can't change the cached tracks
+          analyzedTracks = cached.tracks.map(track => ({ ...track }));
+          summary = cached.summary;
+          logger.info(`Using cached tracks of playlist ${playlist.body.name} (snapshot unchanged since ${cached.cachedAt})`);
+        } else {
+          // Get all tracks (handling pagination)
+          const allTracks = await getAllPlaylistTracks(session, playlistId, (fetched, total) => {
+            progress.throwIfCancelled();
+            progress.report({
+              phase: 'fetching tracks',
+              percent: total > 0 ? (fetched / total) * 50 : 50,
+              partial: { name: playlist.body.name, trackCount: total, tracksFetched: fetched }
+            });
+          });
+          
+          logger.info(`Retrieved ${allTracks.length} tracks from playlist ${playlist.body.name}`);
+          
+          // Analyze tracks to get audio features
+          progress.report({ phase: 'fetching audio features', percent: 50 });
+          const analysis = await analyzePlaylistTracks(session, allTracks, (fetched, missing) => {
+            progress.throwIfCancelled();
+            progress.report({
+              phase: 'fetching audio features',
+              percent: 50 + (fetched / missing) * 35,
+              partial: { name: playlist.body.name, trackCount: allTracks.length, featuresFetched: fetched, featuresToFetch: missing }
+            });
+          });
+          analyzedTracks = analysis.tracks;
+          cacheStats = analysis.cacheStats;
+          logger.info(`Audio features: ${cacheStats.hits} cached, ${cacheStats.misses} fetched in ${cacheStats.batches} requests`);
+          
+          // Look up the artists' genres for the genre profile
+          progress.throwIfCancelled();
+          progress.report({ phase: 'fetching genres', percent: 85 });
+          const artistGenres = await getArtistGenres(session, analyzedTracks.flatMap(track => track.artistIds));
+          
+          // Create a summary of the playlist
+          progress.report({ phase: 'summarizing', percent: 95 });
+          summary = summarizePlaylist(analyzedTracks, artistGenres);
+          
+          playlistCache.set(playlistId, snapshotId, {
+            tracks: analyzedTracks.map(track => ({ ...track })),
+            summary
+          });
+        }
+        
+        return {
+          id: playlist.body.id,
+          name: playlist.body.name,
+          description: playlist.body.description,
+          owner: playlist.body.owner.display_name,
+          public: playlist.body.public,
+          snapshotId,
+          trackCount: playlist.body.tracks.total,
+          image: playlist.body.images.length > 0 ? playlist.body.images[0].url : null,
+          tracks: analyzedTracks,
+          summary,
+          featureCache: {
+            ...cacheStats,
+            totals: featureCache.stats()
+          },
+          playlistCache: {
+            hit: Boolean(cached),
+            totals: playlistCache.stats()
+          }
+        };
+      } catch (error) {
+        logger.error('Error getting playlist details:', error);
+        return { error: error.message };
+      }
+    },
+    
+    // Get a statistical profile of a playlist: distributions, keys and outlier tracks
+    async analyzePlaylistProfile({ args, state, logger }) {
+      const { playlistId, bins = 10, outlierThreshold = 2, account } = args;
+      
+      if (!playlistId) {
+        return { error: 'Playlist ID is required' };
+      }
+      
+      if (!Number.isInteger(bins) || bins < 1 || bins > 50) {
+        return { error: 'bins must be a whole number between 1 and 50' };
+      }
+      
+      const session = await ensureValidToken(account);
+      if (!session) {
+        return authError(account);
+      }
+      
+      try {
+        // Get playlist details including track analysis
+        const playlistDetails = await server.methods.getPlaylistDetails.call(this, {
+          args: { playlistId, account },
+          state,
+          logger
+        });
+        
+        if (playlistDetails.error) {
+          return playlistDetails;
+        }
+        
+        const profile = buildPlaylistProfile(playlistDetails.tracks, { bins, outlierThreshold });
+        logger.info(`Profiled playlist ${playlistDetails.name}: ${profile.outliers.length} outliers`);
+        
+        return {
+          playlistId: playlistDetails.id,
+          playlistName: playlistDetails.name,
+          mood: playlistDetails.summary.mood,
+          ...profile
+        };
+      } catch (error) {
+        logger.error('Error profiling playlist:', error);
+        return { error: error.message };
+      }
+    },
+    
+    // Get the user's saved tracks, analyzed like a playlist
+    async getSavedTracks({ args, state, logger }) {
+      const { limit = 50, account } = args;
+      return await getTrackSourceMethod({ type: 'savedTracks', limit }, account, logger);
+    },
+    
+    // Get the user's most played tracks for a time range, analyzed like a playlist
+    async getTopTracks({ args, state, logger }) {
+      const { timeRange = 'medium_term', limit = 20, account } = args;
+      return await getTrackSourceMethod({ type: 'topTracks', timeRange, limit }, account, logger);
+    },
+    
+    // Get the user's most recently played tracks, analyzed like a playlist
+    async getRecentlyPlayed({ args, state, logger }) {
+      const { limit = 20, account } = args;
+      return await getTrackSourceMethod({ type: 'recentlyPlayed', limit }, account, logger);
+    },
+    
+    // Get the user's most played artists for a time range
+    async getTopArtists({ args, state, logger }) {
+      const { timeRange = 'medium_term', limit = 20, account } = args;
+      
+      if (!Object.hasOwn(TIME_RANGES, timeRange)) {
+        return { error: `timeRange must be one of ${Object.keys(TIME_RANGES).join(', ')}` };
+      }
+      
+      if (!Number.isInteger(limit) || limit < 1) {
+        return { error: 'limit must be a positive whole number' };
+      }
+      
+      const session = await ensureValidToken(account);
+      if (!session) {
+        return authError(account);
+      }
+      
+      try {
+        const artists = await getTopItems(session, 'artists', timeRange, limit);
+        logger.info(`Retrieved ${artists.length} top artists (${TIME_RANGES[timeRange]})`);
+        
+        // Remember their genres for later genre profiles
+        artists.forEach(artist => artistGenreCache.set(artist.id, artist.genres));
+        
+        return {
+          timeRange,
+          period: TIME_RANGES[timeRange],
+          artists: artists.map(artist => ({
+            id: artist.id,
+            name: artist.name,
+            genres: artist.genres,
+            popularity: artist.popularity,
+            followers: artist.followers ? artist.followers.total : null,
+            uri: artist.uri
+          })),
+          genres: buildGenreProfile(
+            artists.map(artist => ({ artistIds: [artist.id] })),
+            new Map(artists.map(artist => [artist.id, artist.genres]))
+          )
+        };
+      } catch (error) {
+        logger.error('Error getting top artists:', error);
+        return { error: error.message };
+      }
+    },
+    
+    // Split a playlist into mood clusters, optionally creating a playlist for each
+    async clusterPlaylist({ args, state, logger }) {
+      const {
+        playlistId,
+        clusters,
+        maxClusters = 8,
+        createPlaylists = false,
+        namePrefix,
+        isPublic = false,
+        seed = 1,
+        account
+      } = args;
+      
+      if (!playlistId) {
+        return { error: 'Playlist ID is required' };
+      }
+      
+      if (clusters !== undefined && clusters !== 'auto' && (!Number.isInteger(clusters) || clusters < 1)) {
+        return { error: 'clusters must be a positive whole number or "auto"' };
+      }
+      
+      if (!Number.isInteger(maxClusters) || maxClusters < 2) {
+        return { error: 'maxClusters must be a whole number of at least 2' };
+      }
+      
+      const session = await ensureValidToken(account);
+      if (!session) {
+        return authError(account);
+      }
+      
+      try {
+        // Get playlist details including track analysis
+        const playlistDetails = await server.methods.getPlaylistDetails.call(this, {
+          args: { playlistId, account },
+          state,
+          logger
+        });
+        
+        if (playlistDetails.error) {
+          return playlistDetails;
+        }
+        
+        // Only tracks with every clustering feature can be placed
+        const tracks = playlistDetails.tracks.filter(track =>
+          CLUSTER_FEATURES.every(feature => typeof track[feature] === 'number')
+        );
+        const k = clusters === 'auto' ? undefined : clusters;
+        
+        if (tracks.length < (k ? k : 3)) {
+          return { error: `Not enough tracks with audio features to cluster (${tracks.length} found)` };
+        }
+        
+        const result = clusterPoints(normalizeTracks(tracks), { k, maxK: maxClusters, seed });
+        logger.info(`Split playlist ${playlistDetails.name} into ${result.k} clusters`);
+        
+        // Label each cluster with the same mood logic as summarizePlaylist
+        const labelCounts = {};
+        const groups = Array.from({ length: result.k }, (_, cluster) => {
+          const members = tracks.filter((_, index) => result.assignments[index] === cluster);
+          const summary = summarizePlaylist(members);
+          labelCounts[summary.mood] = (labelCounts[summary.mood] || 0) + 1;
+          
+          return {
+            label: summary.mood,
+            trackCount: members.length,
+            averages: Object.fromEntries(
+              Object.entries(summary.averages).map(([feature, value]) => [feature, value === null ? null : Number(value.toFixed(3))])
+            ),
+            tracks: members.map(track => ({
+              id: track.id,
+              name: track.name,
+              artists: track.artists,
+              uri: track.uri
+            }))
+          };
+        })
+          .filter(group => group.trackCount > 0)
+          .sort((a, b) => b.trackCount - a.trackCount);
+        
+        // Tell clusters with the same mood apart by tempo
+        groups.forEach(group => {
+          if (labelCounts[group.label] > 1) {
+            group.label = `${group.label} (${Math.round(group.averages.tempo)} BPM)`;
+          }
+        });
+        
+        if (createPlaylists) {
+          for (const group of groups) {
+            const playlist = await server.methods.createPlaylist.call(this, {
+              args: {
+                name: `${namePrefix || playlistDetails.name} – ${group.label}`,
+                description: `${group.label} tracks from ${playlistDetails.name}. Created by Spotify Playlist Curator.`,
+                isPublic,
+                account
+              },
+              state,
+              logger
+            });
+            
+            if (playlist.error) {
+              group.playlistError = playlist.error;
+              continue;
+            }
+            
+            // Spotify adds at most 100 tracks per request
+            const trackUris = group.tracks.map(track => track.uri);
+            for (let i = 0; i < trackUris.length; i += 100) {
+              await addTracksToPlaylist(session, playlist.id, trackUris.slice(i, i + 100));
+            }
+            
+            group.playlist = { id: playlist.id, name: playlist.name, url: playlist.url };
+          }
+        }
+        
+        return {
+          playlistId: playlistDetails.id,
+          playlistName: playlistDetails.name,
+          clusterCount: groups.length,
+          silhouette: result.silhouette !== undefined ? Number(result.silhouette.toFixed(3)) : undefined,
+          unclusteredCount: playlistDetails.tracks.length - tracks.length,
+          clusters: groups
+        };
+      } catch (error) {
+        logger.error('Error clustering playlist:', error);
+        return { error: error.message };
+      }
+    },
+    
+    // Get recommendations from Claude based on playlist analysis
+    async getClaudeRecommendations({ args, state, claude, logger, progress = silentProgress }) {
+      const {
+        playlistId,
+        source,
+        count = 10,
+        minConfidence = 0.6,
+        excludeExisting = false,
+        excludePlaylists = [],
+        excludeExplicit = false,
+        minPopularity,
+        maxPopularity,
+        features = {},
+        template = DEFAULT_PROMPT_TEMPLATE,
+        provider = DEFAULT_LLM_PROVIDER,
+        sampleSize = 10,
+        forceRefresh = false,
+        background = false,
+        account
+      } = args;
+      
+      if (!playlistId && !source) {
+        return { error: 'A playlist ID or a source (saved, top or recently played tracks) is required' };
+      }
+      
+      if (source) {
+        const sourceError = validateTrackSource(source);
+        if (sourceError) {
+          return { error: sourceError };
+        }
+      }
+      
+      if (!Array.isArray(excludePlaylists)) {
+        return { error: 'excludePlaylists must be an array of playlist IDs' };
+      }
+      
+      if (!promptTemplates.get(template)) {
+        return { error: `Unknown prompt template "${template}". Available templates: ${promptTemplates.list().map(entry => entry.name).join(', ')}` };
+      }
+      
+      const llm = llmProviders.get(provider);
+      if (!llm) {
+        return { error: `Unknown LLM provider "${provider}". Available providers: ${llmProviders.list().map(entry => entry.name).join(', ')}` };
+      }
+      
+      if (!Number.isInteger(sampleSize) || sampleSize < 1 || sampleSize > 50) {
+        return { error: 'sampleSize must be a whole number between 1 and 50' };
+      }
+      
+      const constraints = { excludeExplicit, minPopularity, maxPopularity, features };
+      const constraintError = validateConstraints(constraints);
+      if (constraintError) {
+        return { error: constraintError };
+      }
+      
+      const session = await ensureValidToken(account);
+      if (!session) {
+        return authError(account);
+      }
+      
+      if (background) {
+        return startInBackground('getClaudeRecommendations', { args, state, claude, logger });
+      }
+      
+      try {
+        // Get playlist details including track analysis, or the same for a library source
+        progress.report({ phase: 'fetching tracks', percent: 0 });
+        const playlistDetails = playlistId
+          ? await server.methods.getPlaylistDetails.call(this, {
+            args: { playlistId, forceRefresh, account },
+            state,
+            logger,
+            progress: progress.scope(0, 40)
+          })
+          : await getTrackSourceDetails(session, source);
+        
+        progress.throwIfCancelled();
+        
+        if (playlistDetails.error) {
+          return playlistDetails;
+        }
+        
+        if (playlistDetails.summary.mood === 'Unknown') {
+          return { error: `${playlistId ? 'The playlist has' : `${playlistDetails.name} have`} no tracks with audio features to base recommendations on` };
+        }
+        
+        // Fill in the prompt template with the analysis
+        const message = promptTemplates.render(template, buildPromptVariables(playlistDetails, {
+          count,
+          isPlaylist: Boolean(playlistId),
+          sampleSize,
+          constraints,
+          excludeExisting
+        }));
+        
+        // Get recommendations from the language model
+        progress.report({ phase: `prompting ${llm.name}`, percent: 40, partial: null });
+        const recommendationText = await llm.complete(message, { claude });
+        progress.throwIfCancelled();
+        
+        // Parse recommendations
+        const { format: responseFormat, recommendations } = parseRecommendations(recommendationText);
+        
+        if (responseFormat !== 'json') {
+          logger.info(`${llm.name} did not reply with JSON; parsed the recommendations as plain text`);
+        }
+        logger.info(`${llm.name} recommended ${recommendations.length} songs using the "${template}" template`);
+        
+        // Search for each recommendation on Spotify and keep the best-ranked candidate
+        const spotifyRecommendations = [];
+        progress.report({ phase: 'matching', percent: 60, partial: { suggested: recommendations.length, searched: 0, recommendations: [] } });
+        
+        for (const rec of recommendations) {
+          progress.throwIfCancelled();
+          
+          const suggestion = {
+            name: rec.title,
+            artist: rec.artist,
+            suggestedAlbum: rec.album,
+            year: rec.year,
+            reason: rec.reason
+          };
+          
+          try {
+            const [best] = await matchTrack(session, rec);
+            
+            if (best && best.confidence >= minConfidence) {
+              spotifyRecommendations.push({
+                id: best.track.id,
+                name: best.track.name,
+                artists: best.track.artists.map(artist => artist.name),
+                album: best.track.album.name,
+                uri: best.track.uri,
+                popularity: best.track.popularity,
+                explicit: best.track.explicit,
+                reason: rec.reason,
+                confidence: best.confidence,
+                matched: true
+              });
+            } else {
+              // Flag weak matches instead of accepting them
+              spotifyRecommendations.push({
+                ...suggestion,
+                matched: false,
+                confidence: best ? best.confidence : 0,
+                lowConfidence: Boolean(best),
+                bestCandidate: best ? {
+                  id: best.track.id,
+                  name: best.track.name,
+                  artists: best.track.artists.map(artist => artist.name),
+                  album: best.track.album.name,
+                  uri: best.track.uri
+                } : null
+              });
+            }
+          } catch (error) {
+            logger.error(`Error searching for track "${rec.title}":`, error);
+            
+            // Keep the recommendation so it isn't silently dropped
+            spotifyRecommendations.push({
+              ...suggestion,
+              matched: false,
+              searchError: error.message
+            });
+          }
+          
+          // The matches so far, before any filtering
+          progress.report({
+            phase: 'matching',
+            percent: 60 + (spotifyRecommendations.length / recommendations.length) * 35,
+            partial: {
+              suggested: recommendations.length,
+              searched: spotifyRecommendations.length,
+              recommendations: [...spotifyRecommendations]
+            }
+          });
+        }
+        
+        progress.report({ phase: 'filtering', percent: 95 });
+        
+        // Flag recommendations that are already in the playlist
+        const existingIds = new Set(playlistDetails.tracks.map(track => track.id));
+        const existingKeys = new Set(playlistDetails.tracks.map(track => trackKey(track.name, track.artists)));
+        spotifyRecommendations.forEach(rec => {
+          rec.inPlaylist = existingIds.has(rec.id) ||
+            existingKeys.has(trackKey(rec.name, rec.matched ? rec.artists : rec.artist));
+        });
+        
+        // Remove matched tracks that are excluded or don't meet the constraints
+        const exclusions = await collectExclusions(
+          session,
+          excludeExisting ? playlistDetails.tracks : [],
+          excludePlaylists
+        );
+        const { kept: matchedRecommendations, filteredOut } = await applyConstraints(
+          session,
+          spotifyRecommendations.filter(rec => rec.matched),
+          constraints,
+          exclusions
+        );
+        
+        // Unmatched suggestions can only be excluded by title and artist
+        const claudeRecommendations = spotifyRecommendations.filter(rec => {
+          if (rec.matched) {
+            return matchedRecommendations.includes(rec);
+          }
+          const excludedBy = exclusions.keys.get(trackKey(rec.name, rec.artist));
+          if (excludedBy) {
+            filteredOut.push({ ...rec, reasons: [excludedBy] });
+          }
+          return !excludedBy;
+        });
+        
+        if (filteredOut.length > 0) {
+          logger.info(`Filtered out ${filteredOut.length} recommendations that didn't meet the constraints`);
+        }
+        
+        // As a fallback, also get some recommendations directly from Spotify API
+        const seedTracks = [...playlistDetails.tracks]
+          .sort(() => 0.5 - Math.random()) // Randomize
+          .slice(0, 5)
+          .map(track => track.id);
+        
+        let spotifyApiRecommendations = [];
+        
+        try {
+          // Ask for extra tracks when some may be filtered out
+          const filtering = excludeExisting || excludePlaylists.length > 0 || hasConstraints(constraints);
+          const candidates = await getSpotifyRecommendations(session, seedTracks, filtering ? 20 : 5, constraints);
+          const { kept } = await applyConstraints(session, candidates, constraints, exclusions);
+          spotifyApiRecommendations = kept.slice(0, 5);
+        } catch (error) {
+          logger.error('Error getting Spotify API recommendations:', error);
+        }
+        
+        return {
+          playlistName: playlistDetails.name,
+          playlistId: playlistDetails.id,
+          source: playlistDetails.source,
+          claudeRecommendations,
+          spotifyRecommendations: spotifyApiRecommendations,
+          filteredOut,
+          template,
+          provider: llm.name,
+          originalPrompt: message,
+          claudeResponse: recommendationText
+        };
+      } catch (error) {
+        logger.error('Error getting Claude recommendations:', error);
+        return { error: error.message };
+      }
+    },
+    
+    // List the prompt templates recommendations can use
+    async listPromptTemplates({ logger }) {
+      const templates = promptTemplates.list();
+      logger.info(`Found ${templates.length} prompt templates in ${promptTemplates.directory}`);
+      
+      return {
+        directory: promptTemplates.directory,
+        defaultTemplate: DEFAULT_PROMPT_TEMPLATE,
+        variables: TEMPLATE_VARIABLES,
+        templates: templates.map(({ name, description, unknownVariables }) => ({ name, description, unknownVariables }))
+      };
+    },
+    
+    // List the language models recommendations can use
+    async listLlmProviders() {
+      return {
+        defaultProvider: DEFAULT_LLM_PROVIDER,
+        providers: llmProviders.list()
+      };
+    },
+    
+    // Add recommended tracks to the playlist
+    async addRecommendationsToPlaylist({ args, state, logger }) {
+      const { playlistId, trackUris, dryRun = false, account } = args;
+      
+      if (!playlistId || !trackUris || !Array.isArray(trackUris)) {
+        return { error: 'Playlist ID and an array of track URIs are required' };
+      }
+      
+      const session = await ensureValidToken(account);
+      if (!session) {
+        return authError(account);
       }
       
       try {
-        const data = await state.spotifyApi.getUserPlaylists();
-        logger.info(`Retrieved ${data.body.items.length} playlists`);
+        const playlistState = await getPlaylistState(session, playlistId);
+        
+        if (dryRun) {
+          return {
+            dryRun: true,
+            diff: diffTrackLists(playlistState.trackUris, [...playlistState.trackUris, ...trackUris])
+          };
+        }
+        
+        const snapshot = savePlaylistSnapshot(session, playlistId, playlistState, 'addRecommendationsToPlaylist',
+          `Before adding ${trackUris.length} tracks`);
+        
+        await addTracksToPlaylist(session, playlistId, trackUris);
+        logger.info(`Added ${trackUris.length} tracks to playlist ${playlistId}`);
         
         return {
-          playlists: data.body.items.map(playlist => ({
-            id: playlist.id,
-            name: playlist.name,
-            trackCount: playlist.tracks.total,
-            image: playlist.images.length > 0 ? playlist.images[0].url : null,
-            owner: playlist.owner.display_name,
-            public: playlist.public
+          success: true,
+          localSnapshotId: snapshot.id,
+          message: `Successfully added ${trackUris.length} tracks to the playlist`
+        };
+      } catch (error) {
+        logger.error('Error adding tracks to playlist:', error);
+        return { error: error.message };
+      }
+    },
+    
+    // Remove tracks from a playlist
+    async removeTracksFromPlaylist({ args, state, logger }) {
+      const { playlistId, trackUris, tracks, snapshotId, dryRun = false, account } = args;
+      
+      if (!playlistId || (!Array.isArray(trackUris) && !Array.isArray(tracks))) {
+        return { error: 'Playlist ID and an array of track URIs (or tracks with positions) are required' };
+      }
+      
+      const session = await ensureValidToken(account);
+      if (!session) {
+        return authError(account);
+      }
+      
+      try {
+        const removals = tracks || trackUris.map(uri => ({ uri }));
+        const playlistState = await getPlaylistState(session, playlistId);
+        
+        if (dryRun) {
+          return {
+            dryRun: true,
+            diff: diffTrackLists(playlistState.trackUris, applyRemovals(playlistState.trackUris, removals))
+          };
+        }
+        
+        const snapshot = savePlaylistSnapshot(session, playlistId, playlistState, 'removeTracksFromPlaylist',
+          `Before removing ${removals.length} tracks`);
+        
+        const result = await removeTracksFromPlaylist(session, playlistId, removals, snapshotId);
+        logger.info(`Removed ${removals.length} tracks from playlist ${playlistId}`);
+        
+        return {
+          success: true,
+          snapshotId: result.snapshotId,
+          localSnapshotId: snapshot.id,
+          message: `Successfully removed ${removals.length} tracks from the playlist`
+        };
+      } catch (error) {
+        logger.error('Error removing tracks from playlist:', error);
+        return { error: error.message };
+      }
+    },
+    
+    // Find repeated songs in a playlist, optionally removing the extra copies
+    async findDuplicates({ args, state, logger }) {
+      const {
+        playlistId,
+        includeNearDuplicates = true,
+        durationToleranceMs = 20000,
+        keep = 'first',
+        remove = false,
+        dryRun = false,
+        account
+      } = args;
+      
+      if (!playlistId) {
+        return { error: 'Playlist ID is required' };
+      }
+      
+      if (!['first', 'popular'].includes(keep)) {
+        return { error: 'keep must be either "first" or "popular"' };
+      }
+      
+      const session = await ensureValidToken(account);
+      if (!session) {
+        return authError(account);
+      }
+      
+      try {
+        // Get playlist details including track analysis
+        const playlistDetails = await server.methods.getPlaylistDetails.call(this, {
+          args: { playlistId, account },
+          state,
+          logger
+        });
+        
+        if (playlistDetails.error) {
+          return playlistDetails;
+        }
+        
+        const groups = findDuplicateGroups(playlistDetails.tracks, {
+          includeNearDuplicates,
+          durationToleranceMs,
+          keep
+        });
+        
+        const describe = ({ track, position }) => ({
+          position,
+          id: track.id,
+          name: track.name,
+          artists: track.artists,
+          album: track.album,
+          uri: track.uri,
+          popularity: track.popularity,
+          addedAt: track.addedAt
+        });
+        
+        const duplicateCount = groups.reduce((acc, group) => acc + group.duplicates.length, 0);
+        logger.info(`Found ${duplicateCount} duplicate tracks in playlist ${playlistDetails.name}`);
+        
+        let removed = 0;
+        let snapshotId = playlistDetails.snapshotId;
+        let localSnapshotId;
+        let diff;
+        
+        if (remove && duplicateCount > 0) {
+          // Group the extra copies by URI so exact repeats are removed by position only
+          const positionsByUri = new Map();
+          groups.flatMap(group => group.duplicates).forEach(({ track, position }) => {
+            if (!positionsByUri.has(track.uri)) {
+              positionsByUri.set(track.uri, []);
+            }
+            positionsByUri.get(track.uri).push(position);
+          });
+          
+          const removals = [...positionsByUri].map(([uri, positions]) => ({ uri, positions }));
+          const playlistState = {
+            spotifySnapshotId: playlistDetails.snapshotId,
+            trackUris: playlistDetails.tracks.map(track => track.uri)
+          };
+          
+          if (dryRun) {
+            diff = diffTrackLists(playlistState.trackUris, applyRemovals(playlistState.trackUris, removals));
+          } else {
+            const snapshot = savePlaylistSnapshot(session, playlistId, playlistState, 'findDuplicates',
+              `Before removing ${duplicateCount} duplicate tracks`);
+            const result = await removeTracksFromPlaylist(session, playlistId, removals, playlistDetails.snapshotId);
+            
+            removed = duplicateCount;
+            snapshotId = result.snapshotId;
+            localSnapshotId = snapshot.id;
+            logger.info(`Removed ${removed} duplicate tracks from playlist ${playlistId}`);
+          }
+        }
+        
+        return {
+          playlistId: playlistDetails.id,
+          playlistName: playlistDetails.name,
+          duplicateCount,
+          removed,
+          snapshotId,
+          localSnapshotId,
+          dryRun: remove && dryRun ? true : undefined,
+          diff,
+          groups: groups.map(group => ({
+            reason: group.reason,
+            keep: describe(group.keep),
+            duplicates: group.duplicates.map(describe)
           }))
         };
       } catch (error) {
-        logger.error('Error getting playlists:', error);
+        logger.error('Error finding duplicates:', error);
+        return { error: error.message };
+      }
+    },
+    
+    // Reorder a playlist for smooth DJ-style transitions
+    async sequencePlaylist({ args, state, logger }) {
+      const {
+        playlistId,
+        harmonic = true,
+        energyCurve = 'none',
+        startTrackId,
+        apply = false,
+        dryRun = false,
+        account
+      } = args;
+      
+      if (!playlistId) {
+        return { error: 'Playlist ID is required' };
+      }
+      
+      if (!Object.hasOwn(ENERGY_CURVES, energyCurve)) {
+        return {
+          error: `Unknown energy curve "${energyCurve}". Available curves: ${Object.keys(ENERGY_CURVES).join(', ')}`
+        };
+      }
+      
+      const session = await ensureValidToken(account);
+      if (!session) {
+        return authError(account);
+      }
+      
+      try {
+        // Get playlist details including track analysis
+        const playlistDetails = await server.methods.getPlaylistDetails.call(this, {
+          args: { playlistId, account },
+          state,
+          logger
+        });
+        
+        if (playlistDetails.error) {
+          return playlistDetails;
+        }
+        
+        const { tracks } = playlistDetails;
+        const { order, transitions } = sequenceTracks(tracks, { harmonic, energyCurve, startTrackId });
+        
+        const originalOrder = tracks.map((_, index) => index);
+        const score = {
+          original: Number(scoreOrder(tracks, originalOrder, { harmonic, energyCurve }).toFixed(3)),
+          sequenced: Number(scoreOrder(tracks, order, { harmonic, energyCurve }).toFixed(3))
+        };
+        
+        let applied = null;
+        let localSnapshotId;
+        let diff;
+        
+        if (apply) {
+          const trackUris = tracks.map(track => track.uri);
+          
+          if (dryRun) {
+            diff = diffTrackLists(trackUris, order.map(index => trackUris[index]));
+          } else {
+            const snapshot = savePlaylistSnapshot(session, playlistId, {
+              spotifySnapshotId: playlistDetails.snapshotId,
+              trackUris
+            }, 'sequencePlaylist', `Before sequencing (${energyCurve} energy curve)`);
+            localSnapshotId = snapshot.id;
+            
+            applied = await reorderPlaylistTracks(session, playlistId, order, playlistDetails.snapshotId);
+            logger.info(`Reordered playlist ${playlistId} with ${applied.moves} moves`);
+          }
+        }
+        
+        return {
+          playlistId: playlistDetails.id,
+          playlistName: playlistDetails.name,
+          harmonic,
+          energyCurve,
+          applied: Boolean(applied),
+          dryRun: apply && dryRun ? true : undefined,
+          diff,
+          moves: applied ? applied.moves : undefined,
+          snapshotId: applied ? applied.snapshotId : playlistDetails.snapshotId,
+          localSnapshotId,
+          score,
+          tracks: order.map((index, position) => {
+            const track = tracks[index];
+            const camelot = toCamelot(track.key, track.mode);
+            return {
+              position,
+              previousPosition: index,
+              id: track.id,
+              name: track.name,
+              artists: track.artists,
+              uri: track.uri,
+              camelot: camelot ? camelot.code : null,
+              tempo: track.tempo,
+              energy: track.energy
+            };
+          }),
+          transitions
+        };
+      } catch (error) {
+        logger.error('Error sequencing playlist:', error);
+        return { error: error.message };
+      }
+    },
+    
+    // List the local snapshots saved before the curator changed a playlist
+    async listPlaylistSnapshots({ args, logger }) {
+      const { playlistId, account } = args;
+      
+      if (!playlistId) {
+        return { error: 'Playlist ID is required' };
+      }
+      
+      const session = await ensureValidToken(account);
+      if (!session) {
+        return authError(account);
+      }
+      
+      // Each account only sees the snapshots of its own changes
+      const snapshots = snapshotStore.list(playlistId, session.userId);
+      logger.info(`Found ${snapshots.length} snapshots of playlist ${playlistId}`);
+      
+      return {
+        playlistId,
+        snapshots: snapshots.map(snapshot => ({
+          localSnapshotId: snapshot.id,
+          createdAt: snapshot.createdAt,
+          action: snapshot.action,
+          description: snapshot.description,
+          account: snapshot.account,
+          spotifySnapshotId: snapshot.spotifySnapshotId,
+          trackCount: snapshot.trackUris.length
+        }))
+      };
+    },
+    
+    // Put a playlist back the way it was in a local snapshot (the latest one by default)
+    async restorePlaylistSnapshot({ args, logger }) {
+      const { playlistId, localSnapshotId, dryRun = false, account } = args;
+      
+      if (!playlistId) {
+        return { error: 'Playlist ID is required' };
+      }
+      
+      const session = await ensureValidToken(account);
+      if (!session) {
+        return authError(account);
+      }
+      
+      // Without a snapshot ID, undo the account's latest change that hasn't been undone already
+      const snapshot = localSnapshotId
+        ? snapshotStore.get(localSnapshotId)
+        : snapshotStore.undoTarget(playlistId, session.userId);
+      
+      if (!snapshot || snapshot.playlistId !== playlistId || snapshot.account !== session.userId) {
+        return { error: localSnapshotId ? `Snapshot ${localSnapshotId} not found for this playlist` : 'This playlist has no changes left to undo' };
+      }
+      
+      try {
+        const playlistState = await getPlaylistState(session, playlistId);
+        
+        // Local files can't be added back through the Web API
+        const trackUris = snapshot.trackUris.filter(uri => !uri.startsWith('spotify:local:'));
+        const diff = diffTrackLists(playlistState.trackUris, trackUris);
+        
+        if (dryRun || !diff.changed) {
+          return {
+            dryRun,
+            restored: false,
+            localSnapshotId: snapshot.id,
+            skippedLocalFiles: snapshot.trackUris.length - trackUris.length,
+            diff
+          };
+        }
+        
+        // Snapshot the current state too, so the restore itself can be undone
+        const backup = savePlaylistSnapshot(session, playlistId, playlistState, 'restorePlaylistSnapshot',
+          `Before restoring snapshot ${snapshot.id}`, snapshot.id);
+        
+        const result = await replacePlaylistTracks(session, playlistId, trackUris);
+        logger.info(`Restored playlist ${playlistId} to snapshot ${snapshot.id}`);
+        
+        return {
+          success: true,
+          restored: true,
+          localSnapshotId: snapshot.id,
+          backupSnapshotId: backup.id,
+          snapshotId: result.snapshotId,
+          skippedLocalFiles: snapshot.trackUris.length - trackUris.length,
+          diff
+        };
+      } catch (error) {
+        logger.error('Error restoring playlist snapshot:', error);
+        return { error: error.message };
+      }
+    },
+    
+    // Export a playlist and its track analysis as M3U8, XSPF, CSV or JSON
+    async exportPlaylist({ args, state, logger }) {
+      const { playlistId, format = 'json', filePath, account } = args;
+      
+      if (!playlistId) {
+        return { error: 'Playlist ID is required' };
+      }
+      
+      if (!EXPORT_FORMATS.includes(format)) {
+        return { error: `Unsupported export format "${format}". Supported formats: ${EXPORT_FORMATS.join(', ')}` };
+      }
+      
+      const output = filePath !== undefined ? resolvePlaylistFile(filePath) : null;
+      if (output?.error) {
+        return { error: output.error };
+      }
+      
+      const session = await ensureValidToken(account);
+      if (!session) {
+        return authError(account);
+      }
+      
+      try {
+        // Get playlist details including track analysis
+        const playlistDetails = await server.methods.getPlaylistDetails.call(this, {
+          args: { playlistId, account },
+          state,
+          logger
+        });
+        
+        if (playlistDetails.error) {
+          return playlistDetails;
+        }
+        
+        const content = serializePlaylist(playlistDetails, format);
+        
+        // Write the file if a path was given, otherwise return the contents
+        if (output) {
+          const outputPath = output.filePath;
+          mkdirSync(path.dirname(outputPath), { recursive: true });
+          writeFileSync(outputPath, content);
+          logger.info(`Exported playlist ${playlistDetails.name} to ${outputPath}`);
+          
+          return {
+            playlistId: playlistDetails.id,
+            playlistName: playlistDetails.name,
+            format,
+            trackCount: playlistDetails.tracks.length,
+            filePath: outputPath
+          };
+        }
+        
+        logger.info(`Exported playlist ${playlistDetails.name} as ${format}`);
+        
+        return {
+          playlistId: playlistDetails.id,
+          playlistName: playlistDetails.name,
+          format,
+          trackCount: playlistDetails.tracks.length,
+          content
+        };
+      } catch (error) {
+        logger.error('Error exporting playlist:', error);
         return { error: error.message };
       }
     },
     
-    // Get a specific playlist with its tracks
-    async getPlaylistDetails({ args, state, logger }) {
-      const { playlistId } = args;
+    // Import a playlist file, matching every entry on Spotify, and create it as a new playlist
+    async importPlaylist({ args, state, logger }) {
+      const {
+        content,
+        filePath,
+        format,
+        name,
+        description,
+        isPublic = false,
+        minConfidence = 0.6,
+        dryRun = false,
+        account
+      } = args;
       
-      if (!playlistId) {
-        return { error: 'Playlist ID is required' };
+      if (!content && !filePath) {
+        return { error: 'Playlist file content or a file path is required' };
       }
       
-      const isValid = await ensureValidToken();
-      if (!isValid) {
-        return {
-          error: 'Not authenticated with Spotify',
-          authUrl: `http://localhost:${PORT}/login`
-        };
+      if (format && !IMPORT_FORMATS.includes(format)) {
+        return { error: `Unsupported import format "${format}". Supported formats: ${IMPORT_FORMATS.join(', ')}` };
+      }
+      
+      const input = content ? null : resolvePlaylistFile(filePath);
+      if (input?.error) {
+        return { error: input.error };
+      }
+      
+      const session = await ensureValidToken(account);
+      if (!session) {
+        return authError(account);
       }
       
       try {
-        // Get the playlist
-        const playlist = await state.spotifyApi.getPlaylist(playlistId);
+        const fileContent = content ?? readFileSync(input.filePath, 'utf8');
+        const fileFormat = format || detectFormat(fileContent, filePath);
+        const parsed = parsePlaylist(fileContent, fileFormat);
+        const entries = parsed.entries.filter(entry => entry.uri || entry.title);
         
-        // Get all tracks (handling pagination)
-        let allTracks = [];
-        let offset = 0;
-        const limit = 100;
+        logger.info(`Matching ${entries.length} ${fileFormat} entries on Spotify`);
         
-        while (true) {
-          const tracks = await state.spotifyApi.getPlaylistTracks(playlistId, {
-            offset,
-            limit
-          });
-          
-          allTracks = [...allTracks, ...tracks.body.items];
+        // Match every entry (the limiter keeps the number of parallel searches in check)
+        const results = await Promise.all(entries.map(async (entry, index) => {
+          const report = {
+            entry: index + 1,
+            title: entry.title,
+            artist: entry.artist
+          };
           
-          if (tracks.body.items.length < limit) {
-            break;
+          // Entries that already name a Spotify track don't need a search
+          if (entry.uri) {
+            return { ...report, matched: true, confidence: 1, uri: entry.uri };
           }
           
-          offset += limit;
-        }
+          try {
+            const [best] = await matchTrack(session, entry);
+            
+            if (!best) {
+              return { ...report, matched: false, confidence: 0, reason: 'No search results' };
+            }
+            
+            const track = {
+              id: best.track.id,
+              name: best.track.name,
+              artists: best.track.artists.map(artist => artist.name),
+              album: best.track.album.name,
+              uri: best.track.uri
+            };
+            
+            return best.confidence >= minConfidence
+              ? { ...report, matched: true, confidence: best.confidence, uri: track.uri, track }
+              : { ...report, matched: false, confidence: best.confidence, reason: 'Low confidence', bestCandidate: track };
+          } catch (error) {
+            logger.error(`Error matching "${entry.title}":`, error);
+            return { ...report, matched: false, confidence: 0, reason: error.message };
+          }
+        }));
         
-        logger.info(`Retrieved ${allTracks.length} tracks from playlist ${playlist.body.name}`);
+        const matched = results.filter(result => result.matched);
+        const unmatched = results.filter(result => !result.matched);
+        logger.info(`Matched ${matched.length} of ${results.length} entries`);
         
-        // Analyze tracks to get audio features
-        const analyzedTracks = await analyzePlaylistTracks(allTracks);
+        let playlist = null;
         
-        // Create a summary of the playlist
-        const summary = summarizePlaylist(analyzedTracks);
+        if (!dryRun && matched.length > 0) {
+          const baseName = filePath ? path.basename(filePath, path.extname(filePath)) : null;
+          playlist = await server.methods.createPlaylist.call(this, {
+            args: {
+              name: name || parsed.name || baseName || 'Imported playlist',
+              description: description ?? `Imported from ${fileFormat.toUpperCase()} by Spotify Playlist Curator.`,
+              isPublic,
+              account
+            },
+            state,
+            logger
+          });
+          
+          if (playlist.error) {
+            return playlist;
+          }
+          
+          // Spotify adds at most 100 tracks per request
+          const trackUris = matched.map(result => result.uri);
+          for (let i = 0; i < trackUris.length; i += 100) {
+            await addTracksToPlaylist(session, playlist.id, trackUris.slice(i, i + 100));
+          }
+          
+          logger.info(`Created playlist "${playlist.name}" with ${trackUris.length} imported tracks`);
+        }
         
         return {
-          id: playlist.body.id,
-          name: playlist.body.name,
-          description: playlist.body.description,
-          owner: playlist.body.owner.display_name,
-          public: playlist.body.public,
-          trackCount: playlist.body.tracks.total,
-          image: playlist.body.images.length > 0 ? playlist.body.images[0].url : null,
-          tracks: analyzedTracks,
-          summary
+          dryRun,
+          format: fileFormat,
+          playlist,
+          totalEntries: results.length,
+          matchedCount: matched.length,
+          unmatchedCount: unmatched.length,
+          matched,
+          unmatched
         };
       } catch (error) {
-        logger.error('Error getting playlist details:', error);
+        logger.error('Error importing playlist:', error);
         return { error: error.message };
       }
     },
     
-    // Get recommendations from Claude based on playlist analysis
-    async getClaudeRecommendations({ args, state, claude, logger }) {
-      const { playlistId, count = 10 } = args;
-      
-      if (!playlistId) {
-        return { error: 'Playlist ID is required' };
-      }
+    // Create a playlist from rules over the user's library and audio features
+    async createSmartPlaylist({ args, state, logger }) {
+      const {
+        name,
+        description,
+        isPublic = false,
+        playlistId,
+        rules,
+        sources = { savedTracks: true },
+        sortBy = 'addedAt',
+        sortOrder = 'desc',
+        limit,
+        dryRun = false,
+        account
+      } = args;
       
-      const isValid = await ensureValidToken();
-      if (!isValid) {
-        return {
-          error: 'Not authenticated with Spotify',
-          authUrl: `http://localhost:${PORT}/login`
-        };
+      if (!name && !playlistId) {
+        return { error: 'A playlist name (or an existing playlist ID) is required' };
       }
       
       try {
-        // Get playlist details including track analysis
-        const playlistDetails = await server.methods.getPlaylistDetails.call(this, {
-          args: { playlistId },
-          state,
-          logger
-        });
-        
-        if (playlistDetails.error) {
-          return playlistDetails;
+        const definitionError = validateSmartPlaylistDefinition({ rules, sources, sortBy, sortOrder, limit });
+        if (definitionError) {
+          return { error: definitionError };
         }
         
-        // Create a prompt for Claude with the playlist analysis
-        const message = `I want you to recommend ${count} songs that would fit well with this Spotify playlist. 
-Here's the analysis of the existing playlist:
-
-Playlist name: ${playlistDetails.name}
-Description: ${playlistDetails.description || 'No description'}
-Number of tracks: ${playlistDetails.trackCount}
-
-Playlist mood: ${playlistDetails.summary.mood}
-Average tempo: ${Math.round(playlistDetails.summary.averages.tempo)} BPM
-Average energy: ${playlistDetails.summary.averages.energy.toFixed(2)} (0-1 scale)
-Average danceability: ${playlistDetails.summary.averages.danceability.toFixed(2)} (0-1 scale)
-Average valence (positivity): ${playlistDetails.summary.averages.valence.toFixed(2)} (0-1 scale)
-Average acousticness: ${playlistDetails.summary.averages.acousticness.toFixed(2)} (0-1 scale)
-
-Some example tracks in the playlist:
-${playlistDetails.tracks.slice(0, 5).map(track => 
-  `- "${track.name}" by ${track.artists.join(', ')}`
-).join('\n')}
-
-Based on this information, please recommend ${count} songs (with artists) that would fit well with this playlist's mood, style, and energy level. Just provide the song titles and artists, nothing else. Format each recommendation as "Song Title - Artist Name" on a separate line.`;
-
-        // Get recommendations from Claude
-        const claudeResponse = await claude.sendMessage(message);
-        const recommendationText = claudeResponse.content[0].text;
-        
-        // Parse recommendations
-        const recommendations = recommendationText
-          .split('\n')
-          .filter(line => line.trim() !== '' && line.includes('-'))
-          .map(line => {
-            const [name, artist] = line.split('-').map(part => part.trim());
-            return { name, artist };
-          });
+        const session = await ensureValidToken(account);
+        if (!session) {
+          return authError(account);
+        }
         
-        logger.info(`Claude recommended ${recommendations.length} songs`);
+        const definition = {
+          playlistId,
+          name,
+          account: session.userId,
+          rules,
+          sources,
+          sortBy,
+          sortOrder,
+          limit,
+          createdAt: new Date().toISOString()
+        };
         
-        // Search for each recommendation on Spotify
-        const spotifyRecommendations = [];
+        if (dryRun) {
+          const { tracks, sourceTrackCount } = await buildSmartPlaylistTracks(session, definition);
+          return {
+            dryRun: true,
+            sourceTrackCount,
+            trackCount: tracks.length,
+            tracks
+          };
+        }
         
-        for (const rec of recommendations) {
-          try {
-            const searchQuery = `track:${rec.name} artist:${rec.artist}`;
-            const searchResult = await state.spotifyApi.searchTracks(searchQuery, { limit: 1 });
-            
-            if (searchResult.body.tracks.items.length > 0) {
-              const track = searchResult.body.tracks.items[0];
-              spotifyRecommendations.push({
-                id: track.id,
-                name: track.name,
-                artists: track.artists.map(artist => artist.name),
-                album: track.album.name,
-                uri: track.uri,
-                matched: true
-              });
-            } else {
-              // If no exact match, add the recommendation anyway
-              spotifyRecommendations.push({
-                ...rec,
-                matched: false
-              });
-            }
-          } catch (error) {
-            logger.error(`Error searching for track "${rec.name}":`, error);
+        // Create the playlist unless an existing one is being turned into a smart playlist
+        if (!playlistId) {
+          const playlist = await server.methods.createPlaylist.call(this, {
+            args: {
+              name,
+              description: description ?? 'Smart playlist created by Spotify Playlist Curator.',
+              isPublic,
+              account
+            },
+            state,
+            logger
+          });
+          
+          if (playlist.error) {
+            return playlist;
           }
+          
+          definition.playlistId = playlist.id;
+          definition.name = playlist.name;
         }
         
-        // As a fallback, also get some recommendations directly from Spotify API
-        const seedTracks = playlistDetails.tracks
-          .sort(() => 0.5 - Math.random()) // Randomize
-          .slice(0, 5)
-          .map(track => track.id);
-        
-        let spotifyApiRecommendations = [];
+        // Store the rule so the playlist can be rebuilt later
+        smartPlaylistStore.save(definition);
         
-        try {
-          spotifyApiRecommendations = await getSpotifyRecommendations(seedTracks, 5);
-        } catch (error) {
-          logger.error('Error getting Spotify API recommendations:', error);
+        return await refreshSmartPlaylistContents(session, definition, logger);
+      } catch (error) {
+        logger.error('Error creating smart playlist:', error);
+        return { error: error.message };
+      }
+    },
+    
+    // Rebuild a smart playlist from its stored rule
+    async refreshSmartPlaylist({ args, logger }) {
+      const { playlistId, dryRun = false } = args;
+      
+      if (!playlistId) {
+        return { error: 'Playlist ID is required' };
+      }
+      
+      const definition = smartPlaylistStore.get(playlistId);
+      if (!definition) {
+        return { error: `Playlist ${playlistId} is not a smart playlist` };
+      }
+      
+      // Smart playlists are rebuilt as the account that created them
+      const account = args.account || definition.account;
+      const session = await ensureValidToken(account);
+      if (!session) {
+        return authError(account);
+      }
+      
+      try {
+        if (dryRun) {
+          const playlistState = await getPlaylistState(session, playlistId);
+          const { tracks, sourceTrackCount } = await buildSmartPlaylistTracks(session, definition);
+          return {
+            dryRun: true,
+            sourceTrackCount,
+            trackCount: tracks.length,
+            diff: diffTrackLists(playlistState.trackUris, tracks.map(track => track.uri))
+          };
         }
         
-        return {
-          playlistName: playlistDetails.name,
-          playlistId: playlistDetails.id,
-          claudeRecommendations: spotifyRecommendations,
-          spotifyRecommendations: spotifyApiRecommendations,
-          originalPrompt: message,
-          claudeResponse: recommendationText
-        };
+        return await refreshSmartPlaylistContents(session, definition, logger);
       } catch (error) {
-        logger.error('Error getting Claude recommendations:', error);
+        logger.error('Error refreshing smart playlist:', error);
         return { error: error.message };
       }
     },
     
-    // Add recommended tracks to the playlist
-    async addRecommendationsToPlaylist({ args, state, logger }) {
-      const { playlistId, trackUris } = args;
+    // List the stored smart playlist rules
+    async listSmartPlaylists({ logger }) {
+      const smartPlaylists = smartPlaylistStore.list();
+      logger.info(`Found ${smartPlaylists.length} smart playlists`);
       
-      if (!playlistId || !trackUris || !Array.isArray(trackUris)) {
-        return { error: 'Playlist ID and an array of track URIs are required' };
+      return { smartPlaylists };
+    },
+    
+    // List the devices Spotify can play on
+    async getDevices({ args, logger }) {
+      const { account } = args;
+      
+      const session = await ensureValidToken(account);
+      if (!session) {
+        return authError(account);
       }
       
-      const isValid = await ensureValidToken();
-      if (!isValid) {
+      try {
+        const devices = await spotifyCall(session, api => api.getMyDevices());
+        
         return {
-          error: 'Not authenticated with Spotify',
-          authUrl: `http://localhost:${PORT}/login`
+          devices: devices.body.devices.map(device => ({
+            id: device.id,
+            name: device.name,
+            type: device.type,
+            isActive: device.is_active,
+            isRestricted: device.is_restricted,
+            volumePercent: device.volume_percent
+          }))
         };
+      } catch (error) {
+        logger.error('Error getting devices:', error);
+        return { error: playbackErrorMessage(error) };
+      }
+    },
+    
+    // Start playing a playlist or some tracks, so recommendations can be heard before they're added
+    async startPlayback({ args, logger }) {
+      const { deviceId, playlistId, trackUris, offset, positionMs, account } = args;
+      
+      if (!playlistId && (!Array.isArray(trackUris) || trackUris.length === 0)) {
+        return { error: 'A playlist ID or an array of track URIs is required' };
+      }
+      
+      if (playlistId && trackUris) {
+        return { error: 'Pass either a playlist ID or track URIs, not both' };
+      }
+      
+      if (offset !== undefined && !(Number.isInteger(offset) && offset >= 0) && typeof offset !== 'string') {
+        return { error: 'offset must be a track position (from 0) or a track URI' };
+      }
+      
+      const session = await ensureValidToken(account);
+      if (!session) {
+        return authError(account);
       }
       
       try {
-        await addTracksToPlaylist(playlistId, trackUris);
-        logger.info(`Added ${trackUris.length} tracks to playlist ${playlistId}`);
+        const options = playlistId
+          ? { context_uri: `spotify:playlist:${playlistId}` }
+          : { uris: trackUris };
+        
+        if (deviceId) {
+          options.device_id = deviceId;
+        }
+        if (offset !== undefined) {
+          options.offset = typeof offset === 'string' ? { uri: offset } : { position: offset };
+        }
+        if (positionMs !== undefined) {
+          options.position_ms = positionMs;
+        }
+        
+        await spotifyCall(session, api => api.play(options));
+        logger.info(`Started playback of ${playlistId ? `playlist ${playlistId}` : `${trackUris.length} tracks`}`);
         
         return {
           success: true,
-          message: `Successfully added ${trackUris.length} tracks to the playlist`
+          deviceId: deviceId || null,
+          playing: playlistId ? { playlistId } : { trackUris }
         };
       } catch (error) {
-        logger.error('Error adding tracks to playlist:', error);
+        logger.error('Error starting playback:', error);
+        return { error: playbackErrorMessage(error) };
+      }
+    },
+    
+    // Add tracks to the end of the playback queue
+    async addToQueue({ args, logger }) {
+      const { trackUris, deviceId, account } = args;
+      
+      if (!Array.isArray(trackUris) || trackUris.length === 0) {
+        return { error: 'An array of track URIs is required' };
+      }
+      
+      const session = await ensureValidToken(account);
+      if (!session) {
+        return authError(account);
+      }
+      
+      // Spotify queues one track per request, so report each one
+      const queued = [];
+      const failed = [];
+      
+      for (const [index, uri] of trackUris.entries()) {
+        try {
+          await spotifyCall(session, api => api.addToQueue(uri, deviceId ? { device_id: deviceId } : {}), { idempotent: false });
+          queued.push(uri);
+        } catch (error) {
+          logger.error(`Error queueing ${uri}:`, error);
+          failed.push({ uri, error: playbackErrorMessage(error) });
+          
+          // Without an active device or Premium, the other tracks would fail too
+          if (error.statusCode === 403 || error.statusCode === 404) {
+            trackUris.slice(index + 1).forEach(rest => failed.push({ uri: rest, error: 'Skipped' }));
+            break;
+          }
+        }
+      }
+      
+      logger.info(`Queued ${queued.length} of ${trackUris.length} tracks`);
+      
+      return {
+        success: failed.length === 0,
+        queued,
+        failed
+      };
+    },
+    
+    // Register a recurring job that adds recommendations to a playlist or rebuilds a smart playlist
+    async createJob({ args, claude, logger }) {
+      const { name, type, playlistId, schedule, options = {}, account } = args;
+      
+      if (claude) {
+        jobContext.claude = claude;
+      }
+      
+      const definitionError = validateJobDefinition({ type, playlistId, schedule, options });
+      if (definitionError) {
+        return { error: definitionError };
+      }
+      
+      const session = await ensureValidToken(account);
+      if (!session) {
+        return authError(account);
+      }
+      
+      try {
+        const job = jobStore.create({
+          name: name || `${type} ${playlistId}`,
+          type,
+          playlistId,
+          // Jobs always run as the account that created them
+          account: session.userId,
+          schedule,
+          options: type === 'addRecommendations' ? options : {}
+        });
+        logger.info(`Created job "${job.name}", running ${describeSchedule(schedule)}`);
+        
+        return describeJob(job);
+      } catch (error) {
+        logger.error('Error creating job:', error);
         return { error: error.message };
       }
     },
     
+    // List the recurring jobs with their next run and run history
+    async listJobs({ args = {}, claude }) {
+      const { playlistId } = args;
+      
+      if (claude) {
+        jobContext.claude = claude;
+      }
+      
+      return {
+        jobs: jobStore.list()
+          .filter(job => !playlistId || job.playlistId === playlistId)
+          .map(describeJob)
+      };
+    },
+    
+    // Run a job straight away, outside its schedule
+    async runJobNow({ args, claude, logger }) {
+      const { jobId } = args;
+      
+      if (claude) {
+        jobContext.claude = claude;
+      }
+      
+      const job = jobStore.get(jobId);
+      if (!job) {
+        return { error: `Job ${jobId} not found` };
+      }
+      
+      logger.info(`Running job "${job.name}" now`);
+      const run = await runJob(job, 'manual');
+      
+      return {
+        job: describeJob(jobStore.get(jobId) || job),
+        run
+      };
+    },
+    
+    // Delete a job (a run in progress still finishes)
+    async deleteJob({ args, logger }) {
+      const { jobId } = args;
+      
+      const job = jobStore.remove(jobId);
+      if (!job) {
+        return { error: `Job ${jobId} not found` };
+      }
+      
+      logger.info(`Deleted job "${job.name}"`);
+      
+      return {
+        success: true,
+        message: `Deleted job "${job.name}"`
+      };
+    },
+    
+    // Get the phase, progress and (partial) results of a background job
+    async getJobStatus({ args, logger }) {
+      const { jobId } = args;
+      
+      if (!jobId) {
+        return { error: 'Job ID is required' };
+      }
+      
+      const job = backgroundJobs.get(jobId);
+      if (!job) {
+        return { error: `Background job ${jobId} not found` };
+      }
+      
+      return job;
+    },
+    
+    // Cancel a running background job
+    async cancelJob({ args, logger }) {
+      const { jobId } = args;
+      
+      if (!jobId) {
+        return { error: 'Job ID is required' };
+      }
+      
+      const job = backgroundJobs.cancel(jobId);
+      if (!job) {
+        return { error: `Background job ${jobId} not found` };
+      }
+      
+      if (job.status !== 'running') {
+        return { error: `Background job ${jobId} has already finished (${job.status})` };
+      }
+      
+      logger.info(`Cancelling background job ${jobId} (${job.method})`);
+      
+      return {
+        success: true,
+        message: `Cancelling background job ${jobId}; it stops at its next checkpoint`,
+        job
+      };
+    },
+    
     // Search for tracks on Spotify
     async searchTracks({ args, state, logger }) {
-      const { query, limit = 10 } = args;
+      const { query, limit = 10, offset = 0, market, account } = args;
       
       if (!query) {
         return { error: 'Search query is required' };
       }
       
-      const isValid = await ensureValidToken();
-      if (!isValid) {
-        return {
-          error: 'Not authenticated with Spotify',
-          authUrl: `http://localhost:${PORT}/login`
-        };
+      const pagingError = validatePaging(offset, limit, MAX_SEARCH_OFFSET);
+      if (pagingError) {
+        return { error: pagingError };
+      }
+      
+      const marketError = validateMarket(market);
+      if (marketError) {
+        return { error: marketError };
+      }
+      
+      const session = await ensureValidToken(account);
+      if (!session) {
+        return authError(account);
       }
       
       try {
-        const results = await state.spotifyApi.searchTracks(query, { limit });
+        const results = await spotifyCall(session, api => api.searchTracks(query, {
+          limit,
+          offset,
+          ...(market ? { market } : {})
+        }));
         
         logger.info(`Found ${results.body.tracks.items.length} tracks for query "${query}"`);
         
         return {
-          tracks: results.body.tracks.items.map(track => ({
-            id: track.id,
-            name: track.name,
-            artists: track.artists.map(artist => artist.name),
-            album: track.album.name,
-            uri: track.uri
-          }))
+          tracks: results.body.tracks.items.filter(Boolean).map(track => formatSearchItem('track', track)),
+          total: results.body.tracks.total,
+          offset
         };
       } catch (error) {
         logger.error('Error searching for tracks:', error);
@@ -541,33 +3316,84 @@ Based on this information, please recommend ${count} songs (with artists) that w
       }
     },
     
+    // Search Spotify for tracks, artists, albums and playlists at once
+    async searchSpotify({ args, state, logger }) {
+      const { query, types = ['track'], limit = 10, offset = 0, market, account } = args;
+      
+      if (!query) {
+        return { error: 'Search query is required' };
+      }
+      
+      if (!Array.isArray(types) || types.length === 0 || types.some(type => !SEARCH_TYPES.includes(type))) {
+        return { error: `types must be a list of ${SEARCH_TYPES.join(', ')}` };
+      }
+      
+      const pagingError = validatePaging(offset, limit, MAX_SEARCH_OFFSET);
+      if (pagingError) {
+        return { error: pagingError };
+      }
+      
+      const marketError = validateMarket(market);
+      if (marketError) {
+        return { error: marketError };
+      }
+      
+      const session = await ensureValidToken(account);
+      if (!session) {
+        return authError(account);
+      }
+      
+      try {
+        const results = await spotifyCall(session, api => api.search(query, types, {
+          limit,
+          offset,
+          ...(market ? { market } : {})
+        }));
+        
+        // Results come back per type, e.g. { artists: { items, total } }
+        const response = { query };
+        for (const type of types) {
+          const page = results.body[`${type}s`] || { items: [], total: 0 };
+          // Spotify sometimes returns null in place of playlists it can't show
+          const items = page.items.filter(Boolean);
+          
+          response[`${type}s`] = {
+            items: items.map(item => formatSearchItem(type, item)),
+            total: page.total,
+            offset,
+            nextOffset: nextPageOffset(offset, page.items.length, page.total, MAX_SEARCH_OFFSET)
+          };
+        }
+        
+        logger.info(`Searched Spotify for "${query}" (${types.join(', ')})`);
+        
+        return response;
+      } catch (error) {
+        logger.error('Error searching Spotify:', error);
+        return { error: error.message };
+      }
+    },
+    
     // Create a new playlist
     async createPlaylist({ args, state, logger }) {
-      const { name, description = '', isPublic = false } = args;
+      const { name, description = '', isPublic = false, account } = args;
       
       if (!name) {
         return { error: 'Playlist name is required' };
       }
       
-      const isValid = await ensureValidToken();
-      if (!isValid) {
-        return {
-          error: 'Not authenticated with Spotify',
-          authUrl: `http://localhost:${PORT}/login`
-        };
+      const session = await ensureValidToken(account);
+      if (!session) {
+        return authError(account);
       }
       
       try {
-        // Get user profile to get user ID
-        const user = await state.spotifyApi.getMe();
-        const userId = user.body.id;
-        
         // Create the playlist
-        const playlist = await state.spotifyApi.createPlaylist(userId, {
+        const playlist = await spotifyCall(session, api => api.createPlaylist(session.userId, {
           name,
           description,
           public: isPublic
-        });
+        }), { idempotent: false });
         
         logger.info(`Created new playlist "${name}" with ID ${playlist.body.id}`);
         
@@ -588,6 +3414,10 @@ Based on this information, please recommend ${count} songs (with artists) that w
 });
 
 // Start the server
-server.listen(() => {
-  console.log('Spotify Playlist Curator MCP server is running');
-});
+if (isMainModule) {
+  server.listen(() => {
+    console.log('Spotify Playlist Curator MCP server is running');
+  });
+}
+
+export { server };
@@ -0,0 +1,60 @@
+// spotify-playlist-curator-mcp/playlist-cache.js
+// In-memory cache of analysed playlist contents, keyed by playlist ID and Spotify snapshot ID
+
+// Function to create a playlist cache holding up to maxEntries playlists, least recently used first out
+export function createPlaylistCache({ maxEntries = 20 } = {}) {
+  // Map keeps insertion order, so the first key is always the least recently used
+  const entries = new Map();
+
+  // Running totals since the server started
+  const totals = { hits: 0, misses: 0, stale: 0, invalidations: 0 };
+
+  return {
+    // Look up a playlist, returning its cached contents only if the snapshot still matches
+    get(playlistId, snapshotId) {
+      const entry = entries.get(playlistId);
+
+      if (!entry || entry.snapshotId !== snapshotId) {
+        if (entry) {
+          entries.delete(playlistId);
+          totals.stale++;
+        }
+        totals.misses++;
+        return null;
+      }
+
+      entries.delete(playlistId);
+      entries.set(playlistId, entry);
+      totals.hits++;
+      return entry;
+    },
+
+    // Remember a playlist's analysed tracks and summary at a snapshot
+    set(playlistId, snapshotId, { tracks, summary }) {
+      entries.delete(playlistId);
+      entries.set(playlistId, { snapshotId, tracks, summary, cachedAt: new Date().toISOString() });
+
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    // Forget a playlist, for example after the server has changed it
+    invalidate(playlistId) {
+      if (entries.delete(playlistId)) {
+        totals.invalidations++;
+      }
+    },
+
+    // Overall cache statistics
+    stats() {
+      const lookups = totals.hits + totals.misses;
+      return {
+        size: entries.size,
+        maxEntries,
+        ...totals,
+        hitRate: lookups > 0 ? Number((totals.hits / lookups).toFixed(3)) : 0
+      };
+    }
+  };
+}
@@ -0,0 +1,313 @@
+// spotify-playlist-curator-mcp/playlist-formats.js
+// Reading and writing playlists as M3U8, XSPF, CSV, JSON and plain text
+
+export const EXPORT_FORMATS = ['m3u8', 'xspf', 'csv', 'json'];
+export const IMPORT_FORMATS = ['m3u8', 'xspf', 'csv', 'json', 'text'];
+
+// Audio feature columns included in CSV exports
+const FEATURE_COLUMNS = [
+  'danceability', 'energy', 'key', 'loudness', 'mode', 'speechiness', 'acousticness',
+  'instrumentalness', 'liveness', 'valence', 'tempo', 'time_signature'
+];
+
+// Function to get the open.spotify.com link for a track URI
+function trackUrl(uri) {
+  const id = uri ? uri.split(':').pop() : '';
+  return `https://open.spotify.com/track/${id}`;
+}
+
+// Function to pull a Spotify track URI out of a URI or open.spotify.com link
+export function parseSpotifyTrackUri(value = '') {
+  const match = value.trim().match(/^(?:spotify:track:|https?:\/\/open\.spotify\.com\/(?:intl-[a-z-]+\/)?track\/)([A-Za-z0-9]{22})/);
+  return match ? `spotify:track:${match[1]}` : null;
+}
+
+// Function to escape text for XML
+function escapeXml(text = '') {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Function to unescape XML text
+function unescapeXml(text = '') {
+  return text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+    .replace(/&amp;/g, '&');
+}
+
+// Function to quote a CSV field when needed
+function csvField(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Function to split CSV text into rows of fields (RFC 4180 quoting)
+function parseCsvRows(content) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+// Function to write playlist details (as returned by getPlaylistDetails) in a file format
+export function serializePlaylist(playlist, format) {
+  const tracks = playlist.tracks || [];
+
+  switch (format) {
+    case 'm3u8':
+      return [
+        '#EXTM3U',
+        `#PLAYLIST:${playlist.name}`,
+        ...tracks.flatMap(track => [
+          `#EXTINF:${track.duration_ms ? Math.round(track.duration_ms / 1000) : -1},${track.artists.join(', ')} - ${track.name}`,
+          trackUrl(track.uri)
+        ])
+      ].join('\n') + '\n';
+
+    case 'xspf':
+      return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+        `  <title>${escapeXml(playlist.name)}</title>`,
+        playlist.description ? `  <annotation>${escapeXml(playlist.description)}</annotation>` : null,
+        '  <trackList>',
+        ...tracks.map(track => [
+          '    <track>',
+          `      <location>${escapeXml(trackUrl(track.uri))}</location>`,
+          `      <identifier>${escapeXml(track.uri)}</identifier>`,
+          `      <title>${escapeXml(track.name)}</title>`,
+          `      <creator>${escapeXml(track.artists.join(', '))}</creator>`,
+          `      <album>${escapeXml(track.album)}</album>`,
+          track.duration_ms ? `      <duration>${track.duration_ms}</duration>` : null,
+          '    </track>'
+        ].filter(Boolean).join('\n')),
+        '  </trackList>',
+        '</playlist>'
+      ].filter(line => line !== null).join('\n') + '\n';
+
+    case 'csv': {
+      const header = ['position', 'id', 'uri', 'name', 'artists', 'album', 'duration_ms', 'popularity', 'added_at', ...FEATURE_COLUMNS];
+      const rows = tracks.map((track, position) => [
+        position + 1,
+        track.id,
+        track.uri,
+        track.name,
+        track.artists.join('; '),
+        track.album,
+        track.duration_ms,
+        track.popularity,
+        track.addedAt,
+        ...FEATURE_COLUMNS.map(column => track[column])
+      ]);
+      return [header, ...rows].map(row => row.map(csvField).join(',')).join('\n') + '\n';
+    }
+
+    case 'json':
+      return JSON.stringify(playlist, null, 2);
+
+    default:
+      throw new Error(`Unsupported export format "${format}". Supported formats: ${EXPORT_FORMATS.join(', ')}`);
+  }
+}
+
+// Function to split a "Title - Artist" line (the artist follows the last " - ")
+function parseTitleArtist(line) {
+  const separator = line.lastIndexOf(' - ');
+  if (separator === -1) {
+    return { title: line.trim(), artist: '' };
+  }
+  return {
+    title: line.slice(0, separator).trim(),
+    artist: line.slice(separator + 3).trim()
+  };
+}
+
+// Function to guess the format of a playlist file from its name or contents
+export function detectFormat(content, fileName = '') {
+  const extension = fileName.split('.').pop().toLowerCase();
+  if (extension === 'm3u' || extension === 'm3u8') return 'm3u8';
+  if (['xspf', 'csv', 'json'].includes(extension)) return extension;
+  if (extension === 'txt') return 'text';
+
+  const start = content.trimStart();
+  if (start.startsWith('#EXTM3U')) return 'm3u8';
+  if (start.startsWith('<?xml') || start.startsWith('<playlist')) return 'xspf';
+  if (start.startsWith('{') || start.startsWith('[')) return 'json';
+
+  // A comma-separated header row naming the track column
+  const firstLine = start.split(/\r?\n/)[0];
+  if (firstLine.includes(',') && /(^|,)\s*"?(name|title|track|track name|uri)"?\s*(,|$)/i.test(firstLine)) return 'csv';
+  return 'text';
+}
+
+// Function to read a playlist file into a name and a list of entries to match on Spotify.
+// Each entry is { title, artist, album, durationMs, uri }; only title (or uri) is required.
+export function parsePlaylist(content, format) {
+  switch (format) {
+    case 'm3u8': {
+      const entries = [];
+      let name = null;
+      let pending = null;
+
+      content.split(/\r?\n/).forEach(rawLine => {
+        const line = rawLine.trim();
+        if (line.startsWith('#PLAYLIST:')) {
+          name = line.slice('#PLAYLIST:'.length).trim();
+        } else if (line.startsWith('#EXTINF:')) {
+          // #EXTINF:<seconds>,<Artist> - <Title>
+          const [duration, ...rest] = line.slice('#EXTINF:'.length).split(',');
+          const info = rest.join(',');
+          const separator = info.indexOf(' - ');
+          pending = {
+            artist: separator === -1 ? '' : info.slice(0, separator).trim(),
+            title: separator === -1 ? info.trim() : info.slice(separator + 3).trim(),
+            durationMs: Number(duration) > 0 ? Number(duration) * 1000 : undefined
+          };
+        } else if (line && !line.startsWith('#')) {
+          const uri = parseSpotifyTrackUri(line);
+          if (pending) {
+            entries.push({ ...pending, uri });
+          } else if (uri) {
+            entries.push({ title: '', artist: '', uri });
+          } else {
+            // A bare file path: use the file name as "Artist - Title"
+            const fileName = line.split(/[\\/]/).pop().replace(/\.[a-z0-9]+$/i, '');
+            const { title, artist } = parseTitleArtist(fileName);
+            entries.push(artist ? { title: artist, artist: title } : { title, artist: '' });
+          }
+          pending = null;
+        }
+      });
+
+      return { name, entries };
+    }
+
+    case 'xspf': {
+      const tag = (xml, tagName) => {
+        const match = xml.match(new RegExp(`<${tagName}[^>]*>([\\s\\S]*?)</${tagName}>`));
+        return match ? unescapeXml(match[1].trim()) : '';
+      };
+
+      const trackList = content.match(/<trackList>([\s\S]*?)<\/trackList>/);
+      const header = trackList ? content.slice(0, trackList.index) : content;
+      const tracks = trackList ? trackList[1].match(/<track>[\s\S]*?<\/track>/g) || [] : [];
+
+      return {
+        name: tag(header, 'title') || null,
+        entries: tracks.map(track => ({
+          title: tag(track, 'title'),
+          artist: tag(track, 'creator'),
+          album: tag(track, 'album'),
+          durationMs: Number(tag(track, 'duration')) || undefined,
+          uri: parseSpotifyTrackUri(tag(track, 'identifier')) || parseSpotifyTrackUri(tag(track, 'location'))
+        }))
+      };
+    }
+
+    case 'csv': {
+      const [header = [], ...rows] = parseCsvRows(content);
+      const columns = header.map(column => column.trim().toLowerCase());
+      const column = (row, ...names) => {
+        const index = columns.findIndex(name => names.includes(name));
+        return index === -1 ? '' : (row[index] || '').trim();
+      };
+
+      return {
+        name: null,
+        entries: rows.map(row => ({
+          title: column(row, 'name', 'title', 'track', 'track name', 'song'),
+          artist: column(row, 'artists', 'artist', 'artist name(s)', 'artist name').split(/;\s*/)[0],
+          album: column(row, 'album', 'album name'),
+          durationMs: Number(column(row, 'duration_ms', 'duration (ms)')) || undefined,
+          uri: parseSpotifyTrackUri(column(row, 'uri', 'track uri', 'spotify uri')) ||
+            (column(row, 'id') ? parseSpotifyTrackUri(`spotify:track:${column(row, 'id')}`) : null)
+        }))
+      };
+    }
+
+    case 'json': {
+      const data = JSON.parse(content);
+      const tracks = Array.isArray(data) ? data : data.tracks || [];
+
+      return {
+        name: Array.isArray(data) ? null : data.name || null,
+        entries: tracks.map(track => ({
+          title: track.name || track.title || '',
+          artist: Array.isArray(track.artists) ? track.artists[0] || '' : track.artist || track.artists || '',
+          album: track.album || '',
+          durationMs: track.duration_ms || track.durationMs,
+          uri: parseSpotifyTrackUri(track.uri || '') || (track.id ? parseSpotifyTrackUri(`spotify:track:${track.id}`) : null)
+        }))
+      };
+    }
+
+    case 'text':
+      return {
+        name: null,
+        entries: content
+          .split(/\r?\n/)
+          .map(line => line.trim())
+          .filter(line => line !== '' && !line.startsWith('#'))
+          .map(line => {
+            const uri = parseSpotifyTrackUri(line);
+            if (uri) {
+              return { title: '', artist: '', uri };
+            }
+            // Allow numbered lists such as "1. Title - Artist"
+            return parseTitleArtist(line.replace(/^\d+[.)]\s+/, ''));
+          })
+      };
+
+    default:
+      throw new Error(`Unsupported import format "${format}". Supported formats: ${IMPORT_FORMATS.join(', ')}`);
+  }
+}
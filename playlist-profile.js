@@ -0,0 +1,163 @@
+// spotify-playlist-curator-mcp/playlist-profile.js
+// Statistical profile of a playlist's audio features, including outlier detection
+
+import { toCamelot } from './sequencer.js';
+
+// Continuous features described by the profile, with the range their histograms cover
+export const PROFILE_FEATURES = {
+  danceability: [0, 1],
+  energy: [0, 1],
+  valence: [0, 1],
+  acousticness: [0, 1],
+  instrumentalness: [0, 1],
+  speechiness: [0, 1],
+  liveness: [0, 1],
+  loudness: [-60, 0],
+  tempo: [40, 220]
+};
+
+// Pitch class names, indexed by Spotify's key number
+const KEY_NAMES = ['C', 'C#/Db', 'D', 'D#/Eb', 'E', 'F', 'F#/Gb', 'G', 'G#/Ab', 'A', 'A#/Bb', 'B'];
+
+// Function to round a statistic for display
+const round = value => (value === null ? null : Number(value.toFixed(3)));
+
+// Function to calculate count, mean, median, standard deviation and range of some numbers
+export function describeValues(values) {
+  if (values.length === 0) {
+    return { count: 0, mean: null, median: null, stdDev: null, min: null, max: null };
+  }
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const mean = values.reduce((acc, value) => acc + value, 0) / values.length;
+  const middle = Math.floor(sorted.length / 2);
+  const median = sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+  const variance = values.reduce((acc, value) => acc + (value - mean) ** 2, 0) / values.length;
+
+  return {
+    count: values.length,
+    mean,
+    median,
+    stdDev: Math.sqrt(variance),
+    min: sorted[0],
+    max: sorted[sorted.length - 1]
+  };
+}
+
+// Function to count values into equal-width bins (values outside the range go in the end bins)
+function histogram(values, [low, high], bins) {
+  const width = (high - low) / bins;
+  const counts = Array(bins).fill(0);
+
+  values.forEach(value => {
+    const bin = Math.min(bins - 1, Math.max(0, Math.floor((value - low) / width)));
+    counts[bin]++;
+  });
+
+  return counts.map((count, bin) => ({
+    from: round(low + bin * width),
+    to: round(low + (bin + 1) * width),
+    count
+  }));
+}
+
+// Function to count how often each label occurs, most common first
+function distribution(labels) {
+  const counts = new Map();
+  labels.forEach(label => counts.set(label, (counts.get(label) || 0) + 1));
+
+  return [...counts]
+    .map(([label, count]) => ({ label, count, share: round(count / labels.length) }))
+    .sort((a, b) => b.count - a.count);
+}
+
+// Function to find tracks far from the playlist's centroid in normalised (z-score) feature space
+function findOutliers(tracks, stats, threshold) {
+  const features = Object.keys(PROFILE_FEATURES).filter(feature => stats[feature].stdDev > 0);
+  if (features.length === 0 || tracks.length < 3) {
+    return [];
+  }
+
+  // Tracks without features can't be placed in feature space
+  const placed = tracks
+    .map((track, position) => ({ track, position }))
+    .filter(({ track }) => features.every(feature => typeof track[feature] === 'number'))
+    .map(entry => {
+      const zScores = Object.fromEntries(features.map(feature =>
+        [feature, (entry.track[feature] - stats[feature].mean) / stats[feature].stdDev]
+      ));
+      const distance = Math.sqrt(features.reduce((acc, feature) => acc + zScores[feature] ** 2, 0) / features.length);
+      return { ...entry, zScores, distance };
+    });
+
+  const distances = describeValues(placed.map(entry => entry.distance));
+  if (!distances.stdDev) {
+    return [];
+  }
+
+  return placed
+    .map(entry => ({ ...entry, score: (entry.distance - distances.mean) / distances.stdDev }))
+    .filter(entry => entry.score > threshold)
+    .sort((a, b) => b.score - a.score)
+    .map(({ track, position, zScores, distance, score }) => {
+      // Explain the outlier by the features that deviate the most
+      const deviations = features
+        .filter(feature => Math.abs(zScores[feature]) >= 1.5)
+        .sort((a, b) => Math.abs(zScores[b]) - Math.abs(zScores[a]))
+        .slice(0, 3)
+        .map(feature => `${feature} ${round(track[feature])} is ${Math.abs(zScores[feature]).toFixed(1)} SD ${zScores[feature] > 0 ? 'above' : 'below'} the playlist mean of ${round(stats[feature].mean)}`);
+
+      return {
+        position,
+        id: track.id,
+        name: track.name,
+        artists: track.artists,
+        distance: round(distance),
+        outlierScore: round(score),
+        reason: deviations.length > 0
+          ? deviations.join('; ')
+          : 'A combination of several features is unusual for this playlist'
+      };
+    });
+}
+
+// Function to build a statistical profile of analyzed tracks
+export function buildPlaylistProfile(tracks, { bins = 10, outlierThreshold = 2 } = {}) {
+  const stats = {};
+  const features = {};
+
+  Object.entries(PROFILE_FEATURES).forEach(([feature, range]) => {
+    const values = tracks
+      .map(track => track[feature])
+      .filter(value => typeof value === 'number');
+
+    stats[feature] = describeValues(values);
+    features[feature] = {
+      count: stats[feature].count,
+      mean: round(stats[feature].mean),
+      median: round(stats[feature].median),
+      stdDev: round(stats[feature].stdDev),
+      min: round(stats[feature].min),
+      max: round(stats[feature].max),
+      histogram: values.length > 0 ? histogram(values, range, bins) : []
+    };
+  });
+
+  const withKey = tracks.filter(track => typeof track.key === 'number' && track.key >= 0 && typeof track.mode === 'number');
+  const keyModes = withKey.map(track => `${KEY_NAMES[track.key]} ${track.mode === 1 ? 'major' : 'minor'}`);
+  const camelotKeys = withKey.map(track => toCamelot(track.key, track.mode).code);
+  const timeSignatures = tracks
+    .filter(track => typeof track.time_signature === 'number')
+    .map(track => `${track.time_signature}/4`);
+
+  return {
+    trackCount: tracks.length,
+    analyzedTrackCount: tracks.filter(track => typeof track.energy === 'number').length,
+    features,
+    keys: distribution(keyModes),
+    camelotKeys: distribution(camelotKeys),
+    modes: distribution(withKey.map(track => (track.mode === 1 ? 'major' : 'minor'))),
+    timeSignatures: distribution(timeSignatures),
+    outliers: findOutliers(tracks, stats, outlierThreshold)
+  };
+}
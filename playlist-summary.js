@@ -0,0 +1,103 @@
+// spotify-playlist-curator-mcp/playlist-summary.js
+// Mood and style summary of analyzed tracks
+
+import { buildArtistProfile, buildGenreProfile } from './genres.js';
+
+// Function to determine a mood label from average valence and energy
+export function determineMood(valence, energy) {
+  if (valence > 0.7) {
+    return energy > 0.7 ? 'Euphoric/Excited' : 'Happy/Cheerful';
+  } else if (valence > 0.4) {
+    return energy > 0.7 ? 'Energetic/Tense' : 'Balanced/Neutral';
+  }
+  return energy > 0.7 ? 'Angry/Intense' : 'Sad/Melancholic';
+}
+
+// Function to summarize playlist mood and style.
+// Pass the artists' genres (a Map of artist ID to genres) to include a genre profile.
+export function summarizePlaylist(analyzedTracks, artistGenres = null) {
+  // Calculate averages for numerical features
+  const features = [
+    'danceability', 'energy', 'loudness', 'speechiness',
+    'acousticness', 'instrumentalness', 'liveness', 'valence', 'tempo'
+  ];
+
+  const averages = {};
+  features.forEach(feature => {
+    const values = analyzedTracks
+      .map(track => track[feature])
+      .filter(value => value !== undefined && value !== null);
+
+    const sum = values.reduce((acc, val) => acc + val, 0);
+    averages[feature] = values.length > 0 ? sum / values.length : null;
+  });
+
+  const popularityAvg = analyzedTracks.length > 0
+    ? analyzedTracks.reduce((acc, track) => acc + (track.popularity || 0), 0) / analyzedTracks.length
+    : null;
+
+  // Describe the artists, and their genres when we know them
+  const artists = buildArtistProfile(analyzedTracks);
+  const genres = artistGenres ? buildGenreProfile(analyzedTracks, artistGenres) : null;
+
+  // Empty playlists, or tracks without audio features, can't be described
+  if (averages.energy === null || averages.valence === null) {
+    return {
+      mood: 'Unknown',
+      averages,
+      trackCount: analyzedTracks.length,
+      popularityAvg,
+      artists,
+      genres,
+      summary: analyzedTracks.length === 0
+        ? 'This playlist has no tracks yet.'
+        : `This playlist has ${analyzedTracks.length} tracks, but no audio features are available to describe its mood.`
+    };
+  }
+
+  // Determine mood based on valence and energy
+  const mood = determineMood(averages.valence, averages.energy);
+
+  return {
+    mood,
+    averages,
+    trackCount: analyzedTracks.length,
+    popularityAvg,
+    artists,
+    genres,
+    summary: `This playlist has ${analyzedTracks.length} tracks with an average tempo of ${Math.round(averages.tempo)} BPM. 
+      The overall mood seems ${mood.toLowerCase()}, with 
+      ${averages.energy > 0.7 ? 'high' : averages.energy > 0.4 ? 'moderate' : 'low'} energy and 
+      ${averages.danceability > 0.7 ? 'high' : averages.danceability > 0.4 ? 'moderate' : 'low'} danceability.
+      ${averages.acousticness > 0.6 ? 'The playlist features mostly acoustic sounds.' : ''}
+      ${averages.instrumentalness > 0.5 ? 'The playlist is primarily instrumental.' : ''}
+      ${averages.speechiness > 0.33 ? 'The playlist contains significant spoken word elements.' : ''}
+      ${genres && genres.topGenres.length > 0 ? `Its main genres are ${genres.topGenres.slice(0, 3).map(({ genre }) => genre).join(', ')}.` : ''}`
+  };
+}
+
+// Function to describe when a playlist's tracks were released, for prompts (empty when unknown)
+export function describeReleaseYears(analyzedTracks) {
+  const years = analyzedTracks
+    .map(track => Number.parseInt(track.releaseDate, 10))
+    .filter(year => Number.isFinite(year) && year > 1900)
+    .sort((a, b) => a - b);
+
+  if (years.length === 0) {
+    return '';
+  }
+
+  // The middle 80% of years, so a few outliers don't stretch the range
+  const at = share => years[Math.min(years.length - 1, Math.floor(share * years.length))];
+  const decades = new Map();
+  years.forEach(year => {
+    const decade = `${Math.floor(year / 10) * 10}s`;
+    decades.set(decade, (decades.get(decade) || 0) + 1);
+  });
+
+  return `Release years: ${years[0]}-${years[years.length - 1]}, mostly ${at(0.1)}-${at(0.9)} (median ${at(0.5)})\n` +
+    `By decade: ${[...decades]
+      .sort((a, b) => b[1] - a[1])
+      .map(([decade, count]) => `${decade} ${Math.round(count / years.length * 100)}%`)
+      .join(', ')}`;
+}
@@ -0,0 +1,95 @@
+// spotify-playlist-curator-mcp/prompt-templates.js
+// Named prompt templates, kept as text files in a config directory
+
+import { readFileSync, readdirSync } from 'fs';
+import path from 'path';
+
+// Variables every template can use
+export const TEMPLATE_VARIABLES = [
+  'count', 'target', 'subject', 'name', 'description', 'trackCount',
+  'mood', 'summary', 'tempo', 'energy', 'danceability', 'valence', 'acousticness', 'popularity',
+  'genres', 'eras', 'sampleTracks', 'sampleSize', 'constraints', 'excludeExisting', 'existing', 'schema'
+];
+
+const TEMPLATE_EXTENSION = '.txt';
+
+// Function to render a template. It understands a small part of Mustache:
+// {{variable}}, {{#variable}}shown when set{{/variable}}, {{^variable}}shown when not set{{/variable}}
+// and {{! comments }}. Lines holding only a section tag or comment disappear entirely.
+export function renderTemplate(text, variables) {
+  const isSet = value => value !== undefined && value !== null && value !== false && value !== '' &&
+    !(Array.isArray(value) && value.length === 0);
+
+  let output = text.replace(/^[ \t]*(\{\{[#^/!][^}]*\}\})[ \t]*\r?\n/gm, '$1');
+  output = output.replace(/\{\{![\s\S]*?\}\}/g, '');
+
+  // Sections can nest, so keep going until none are left
+  const section = /\{\{([#^])(\w+)\}\}([\s\S]*?)\{\{\/\2\}\}/g;
+  let previous;
+  do {
+    previous = output;
+    output = output.replace(section, (_, kind, name, body) =>
+      ((kind === '#') === isSet(variables[name]) ? body : ''));
+  } while (output !== previous);
+
+  return output.replace(/\{\{(\w+)\}\}/g, (_, name) => (isSet(variables[name]) ? String(variables[name]) : ''));
+}
+
+// Function to list the variables a template uses that aren't known
+export function unknownVariables(text) {
+  const used = [...text.replace(/\{\{![\s\S]*?\}\}/g, '').matchAll(/\{\{[#^/]?(\w+)\}\}/g)].map(match => match[1]);
+  return [...new Set(used)].filter(name => !TEMPLATE_VARIABLES.includes(name));
+}
+
+// Function to create a template library backed by a directory of .txt files.
+// Files are read on every call, so templates can be edited while the server runs.
+export function createPromptTemplates({ directory }) {
+  // Function to read one template, with the description from its leading {{! comment }}
+  const load = name => {
+    if (!/^[\w-]+$/.test(name)) {
+      return null;
+    }
+
+    let text;
+    try {
+      text = readFileSync(path.join(directory, `${name}${TEMPLATE_EXTENSION}`), 'utf8');
+    } catch (error) {
+      return null;
+    }
+
+    const comment = text.match(/^\s*\{\{!\s*([\s\S]*?)\s*\}\}/);
+    return {
+      name,
+      description: comment ? comment[1].replace(/\s+/g, ' ') : '',
+      text,
+      unknownVariables: unknownVariables(text)
+    };
+  };
+
+  return {
+    directory,
+
+    get: load,
+
+    list() {
+      let files = [];
+      try {
+        files = readdirSync(directory);
+      } catch (error) {
+        files = [];
+      }
+
+      return files
+        .filter(file => file.endsWith(TEMPLATE_EXTENSION))
+        .map(file => load(path.basename(file, TEMPLATE_EXTENSION)))
+        .filter(Boolean)
+        .sort((a, b) => a.name.localeCompare(b.name));
+    },
+
+    // Render a template by name; returns null when there's no such template
+    render(name, variables) {
+      const template = load(name);
+      return template ? renderTemplate(template.text, variables) : null;
+    }
+  };
+}
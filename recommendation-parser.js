@@ -0,0 +1,88 @@
+// spotify-playlist-curator-mcp/recommendation-parser.js
+// Parsing Claude's song recommendations
+
+// The JSON shape Claude is asked to reply with
+export const RECOMMENDATION_SCHEMA = `{
+  "recommendations": [
+    {
+      "title": "Song title exactly as released (string, required)",
+      "artist": "Primary artist name (string, required)",
+      "album": "Album the song appears on (string or null)",
+      "year": "Release year (number or null)",
+      "reason": "One sentence on why it fits the playlist (string)"
+    }
+  ]
+}`;
+
+// Function to pull the JSON document out of a reply that may wrap it in prose or code fences
+function extractJson(text) {
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+  if (fenced) {
+    return fenced[1];
+  }
+
+  const start = text.search(/[[{]/);
+  const end = Math.max(text.lastIndexOf('}'), text.lastIndexOf(']'));
+  return start !== -1 && end > start ? text.slice(start, end + 1) : null;
+}
+
+// Function to clean up one recommendation, or return null if it's unusable
+function normalizeRecommendation(item) {
+  if (!item || typeof item !== 'object') {
+    return null;
+  }
+
+  const title = typeof item.title === 'string' ? item.title.trim() : '';
+  const artist = typeof item.artist === 'string' ? item.artist.trim() : '';
+  if (!title || !artist) {
+    return null;
+  }
+
+  const year = Number.parseInt(item.year, 10);
+
+  return {
+    title,
+    artist,
+    album: typeof item.album === 'string' && item.album.trim() ? item.album.trim() : null,
+    year: Number.isFinite(year) ? year : null,
+    reason: typeof item.reason === 'string' && item.reason.trim() ? item.reason.trim() : null
+  };
+}
+
+// Function to parse Claude's reply into recommendations.
+// Expects JSON matching RECOMMENDATION_SCHEMA; falls back to "Title - Artist" lines.
+export function parseRecommendations(text) {
+  const json = extractJson(text);
+
+  if (json) {
+    try {
+      const data = JSON.parse(json);
+      const items = Array.isArray(data) ? data : data.recommendations;
+
+      if (Array.isArray(items)) {
+        return {
+          format: 'json',
+          recommendations: items.map(normalizeRecommendation).filter(Boolean)
+        };
+      }
+    } catch (error) {
+      // Not valid JSON; try the plain text format below
+    }
+  }
+
+  // The artist follows the last " - ", so hyphens in titles and names (e.g. "Jay-Z") survive
+  const recommendations = text
+    .split('\n')
+    .map(line => line.trim().replace(/^(\d+[.)]|[-*•])\s+/, ''))
+    .filter(line => line.includes(' - '))
+    .map(line => {
+      const separator = line.lastIndexOf(' - ');
+      return normalizeRecommendation({
+        title: line.slice(0, separator).replace(/^"|"$/g, ''),
+        artist: line.slice(separator + 3)
+      });
+    })
+    .filter(Boolean);
+
+  return { format: 'text', recommendations };
+}
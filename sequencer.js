@@ -0,0 +1,228 @@
+// spotify-playlist-curator-mcp/sequencer.js
+// Helpers for ordering playlist tracks into smooth, DJ-style transitions
+
+// Camelot wheel numbers indexed by Spotify pitch class (0 = C, 1 = C#/Db, ... 11 = B)
+const CAMELOT_MAJOR = [8, 3, 10, 5, 12, 7, 2, 9, 4, 11, 6, 1];
+const CAMELOT_MINOR = [5, 12, 7, 2, 9, 4, 11, 6, 1, 8, 3, 10];
+
+// Energy curve presets, mapping a position in the set (0-1) to a relative energy level (0-1)
+export const ENERGY_CURVES = {
+  none: null,
+  'warmup-peak-cooldown': t => (t < 0.7 ? 0.2 + 0.8 * (t / 0.7) : 1 - 0.6 * ((t - 0.7) / 0.3)),
+  ascending: t => t,
+  descending: t => 1 - t,
+  wave: t => 0.5 - 0.5 * Math.cos(t * 4 * Math.PI),
+  steady: () => 0.5
+};
+
+// How much each aspect of a transition counts towards its cost
+const WEIGHTS = {
+  harmonic: 0.4,
+  tempo: 0.35,
+  energy: 0.25
+};
+
+// Function to convert Spotify's key/mode pair to a Camelot wheel position
+export function toCamelot(key, mode) {
+  // Spotify reports -1 when no key was detected
+  if (key === undefined || key === null || key < 0 || mode === undefined || mode === null) {
+    return null;
+  }
+
+  const number = mode === 1 ? CAMELOT_MAJOR[key] : CAMELOT_MINOR[key];
+  const letter = mode === 1 ? 'B' : 'A';
+
+  return { number, letter, code: `${number}${letter}` };
+}
+
+// Function to score how well two Camelot keys mix (0 = perfect, 1 = clash)
+export function harmonicDistance(a, b) {
+  if (!a || !b) {
+    return 0.5;
+  }
+
+  const diff = Math.abs(a.number - b.number);
+  const steps = Math.min(diff, 12 - diff);
+
+  if (a.letter === b.letter) {
+    if (steps === 0) return 0;
+    // Adjacent keys on the wheel mix cleanly
+    if (steps === 1) return 0.1;
+    // Two steps up is the classic "energy boost" mix
+    if (steps === 2) return 0.4;
+  } else if (steps === 0) {
+    // Relative major/minor
+    return 0.15;
+  }
+
+  return Math.min(1, 0.4 + steps * 0.1);
+}
+
+// Function to score the tempo change between two tracks, allowing half/double-time mixes
+export function tempoDistance(a, b) {
+  if (!a || !b) {
+    return 0.5;
+  }
+
+  const diff = Math.min(
+    Math.abs(a - b),
+    Math.abs(a - b * 2),
+    Math.abs(a - b / 2)
+  );
+
+  return Math.min(1, diff / 20);
+}
+
+// Function to check whether a track has enough audio features to be sequenced
+function hasFeatures(track) {
+  return track.tempo !== undefined && track.tempo !== null &&
+    track.energy !== undefined && track.energy !== null;
+}
+
+// Function to build the energy target for each position of the set
+function buildEnergyTargets(tracks, energyCurve, length) {
+  const curve = ENERGY_CURVES[energyCurve];
+  if (!curve) {
+    return null;
+  }
+
+  const energies = tracks.map(track => track.energy);
+  const min = Math.min(...energies);
+  const max = Math.max(...energies);
+
+  return Array.from({ length }, (_, position) => {
+    const t = length > 1 ? position / (length - 1) : 0;
+    return min + curve(t) * (max - min);
+  });
+}
+
+// Function to calculate the cost of playing `next` after `previous` at a given position
+function transitionCost(previous, next, { harmonic, energyTarget, energyRange }) {
+  const harmonicCost = harmonic
+    ? harmonicDistance(toCamelot(previous.key, previous.mode), toCamelot(next.key, next.mode))
+    : 0;
+  const tempoCost = tempoDistance(previous.tempo, next.tempo);
+  const energyCost = energyTarget !== undefined
+    ? Math.abs(next.energy - energyTarget) / energyRange
+    : Math.abs(next.energy - previous.energy) / energyRange;
+
+  return (harmonic ? WEIGHTS.harmonic * harmonicCost : 0) +
+    WEIGHTS.tempo * tempoCost +
+    WEIGHTS.energy * Math.min(1, energyCost);
+}
+
+// Function to calculate the average transition cost of an ordering (lower is smoother)
+export function scoreOrder(tracks, order, { harmonic = true, energyCurve = 'none' } = {}) {
+  const sequenced = order.map(index => tracks[index]).filter(hasFeatures);
+  if (sequenced.length < 2) {
+    return 0;
+  }
+
+  const targets = buildEnergyTargets(sequenced, energyCurve, sequenced.length);
+  const energyRange = energyRangeOf(sequenced);
+
+  let total = 0;
+  for (let i = 1; i < sequenced.length; i++) {
+    total += transitionCost(sequenced[i - 1], sequenced[i], {
+      harmonic,
+      energyTarget: targets ? targets[i] : undefined,
+      energyRange
+    });
+  }
+
+  return total / (sequenced.length - 1);
+}
+
+// Function to get the spread of energy values, used to normalise energy costs
+function energyRangeOf(tracks) {
+  const energies = tracks.map(track => track.energy);
+  return Math.max(...energies) - Math.min(...energies) || 1;
+}
+
+// Function to describe the transition between two tracks
+function describeTransition(previous, next) {
+  const fromKey = toCamelot(previous.key, previous.mode);
+  const toKey = toCamelot(next.key, next.mode);
+
+  return {
+    from: previous.name,
+    to: next.name,
+    fromKey: fromKey ? fromKey.code : null,
+    toKey: toKey ? toKey.code : null,
+    harmonicMatch: fromKey && toKey ? harmonicDistance(fromKey, toKey) <= 0.15 : null,
+    bpmChange: hasFeatures(previous) && hasFeatures(next) ? Math.round(next.tempo - previous.tempo) : null,
+    energyChange: hasFeatures(previous) && hasFeatures(next) ? Number((next.energy - previous.energy).toFixed(2)) : null
+  };
+}
+
+// Function to order tracks for smooth transitions.
+// Returns the new order as indices into `tracks`, plus a description of each transition.
+export function sequenceTracks(tracks, { harmonic = true, energyCurve = 'none', startTrackId } = {}) {
+  if (!Object.hasOwn(ENERGY_CURVES, energyCurve)) {
+    throw new Error(`Unknown energy curve "${energyCurve}". Available curves: ${Object.keys(ENERGY_CURVES).join(', ')}`);
+  }
+
+  const candidates = [];
+  const unsequenced = [];
+  tracks.forEach((track, index) => {
+    if (hasFeatures(track)) {
+      candidates.push(index);
+    } else {
+      unsequenced.push(index);
+    }
+  });
+
+  const order = [];
+
+  if (candidates.length > 0) {
+    const sequencable = candidates.map(index => tracks[index]);
+    const targets = buildEnergyTargets(sequencable, energyCurve, candidates.length);
+    const energyRange = energyRangeOf(sequencable);
+    const remaining = new Set(candidates);
+
+    // Pick the opening track: the requested one, the best fit for the curve, or the current opener
+    let current = candidates.find(index => tracks[index].id === startTrackId);
+    if (current === undefined && targets) {
+      current = candidates.reduce((best, index) =>
+        Math.abs(tracks[index].energy - targets[0]) < Math.abs(tracks[best].energy - targets[0]) ? index : best
+      );
+    }
+    if (current === undefined) {
+      current = candidates[0];
+    }
+
+    order.push(current);
+    remaining.delete(current);
+
+    // Greedily pick the smoothest next track for each position
+    while (remaining.size > 0) {
+      const position = order.length;
+      let bestIndex = null;
+      let bestCost = Infinity;
+
+      for (const index of remaining) {
+        const cost = transitionCost(tracks[current], tracks[index], {
+          harmonic,
+          energyTarget: targets ? targets[position] : undefined,
+          energyRange
+        });
+
+        if (cost < bestCost) {
+          bestCost = cost;
+          bestIndex = index;
+        }
+      }
+
+      order.push(bestIndex);
+      remaining.delete(bestIndex);
+      current = bestIndex;
+    }
+  }
+
+  // Tracks without audio features keep their relative order at the end
+  order.push(...unsequenced);
+
+  const transitions = order.slice(1).map((index, i) => describeTransition(tracks[order[i]], tracks[index]));
+
+  return { order, transitions };
+}
@@ -0,0 +1,188 @@
+// spotify-playlist-curator-mcp/smart-playlists.js
+// Rule-based "smart playlists" and the store that remembers their rules
+
+import { readFileSync, writeFileSync } from 'fs';
+
+// Fields a rule can test, and the kind of value each one holds
+export const RULE_FIELDS = {
+  danceability: 'number',
+  energy: 'number',
+  key: 'number',
+  loudness: 'number',
+  mode: 'number',
+  speechiness: 'number',
+  acousticness: 'number',
+  instrumentalness: 'number',
+  liveness: 'number',
+  valence: 'number',
+  tempo: 'number',
+  duration_ms: 'number',
+  time_signature: 'number',
+  popularity: 'number',
+  addedAt: 'date',
+  name: 'text',
+  artist: 'text',
+  album: 'text'
+};
+
+// Operators allowed for each kind of field
+const OPERATORS = {
+  number: ['>', '>=', '<', '<=', '=', '!=', 'between'],
+  date: ['inLast', 'notInLast', 'before', 'after'],
+  text: ['is', 'isNot', 'contains', 'notContains']
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Function to check a rule set, returning an error message or null.
+// A rule set is { match: 'all' | 'any', conditions: [...] }, where each condition is
+// { field, operator, value } or a nested rule set.
+export function validateRules(rules, path = 'rules') {
+  if (!rules || typeof rules !== 'object' || !Array.isArray(rules.conditions) || rules.conditions.length === 0) {
+    return `${path} must have a non-empty "conditions" array`;
+  }
+  if (rules.match !== undefined && !['all', 'any'].includes(rules.match)) {
+    return `${path}.match must be "all" or "any"`;
+  }
+
+  for (const [index, condition] of rules.conditions.entries()) {
+    const conditionPath = `${path}.conditions[${index}]`;
+
+    if (condition && Array.isArray(condition.conditions)) {
+      const error = validateRules(condition, conditionPath);
+      if (error) return error;
+      continue;
+    }
+
+    const kind = Object.hasOwn(RULE_FIELDS, condition?.field) ? RULE_FIELDS[condition.field] : null;
+    if (!kind) {
+      return `${conditionPath}: unknown field "${condition?.field}". Supported fields: ${Object.keys(RULE_FIELDS).join(', ')}`;
+    }
+    if (!OPERATORS[kind].includes(condition.operator)) {
+      return `${conditionPath}: operator for ${condition.field} must be one of ${OPERATORS[kind].join(', ')}`;
+    }
+
+    const { operator, value } = condition;
+    if (operator === 'between') {
+      if (!Array.isArray(value) || value.length !== 2 || value.some(bound => typeof bound !== 'number')) {
+        return `${conditionPath}: "between" needs a [min, max] pair of numbers`;
+      }
+    } else if (kind === 'number' || operator === 'inLast' || operator === 'notInLast') {
+      if (typeof value !== 'number') {
+        return `${conditionPath}: value must be a number${kind === 'date' ? ' of days' : ''}`;
+      }
+    } else if (kind === 'date') {
+      if (Number.isNaN(Date.parse(value))) {
+        return `${conditionPath}: value must be a date`;
+      }
+    } else if (typeof value !== 'string') {
+      return `${conditionPath}: value must be text`;
+    }
+  }
+
+  return null;
+}
+
+// Function to test one condition against an analyzed track
+function matchesCondition(track, { field, operator, value }, now) {
+  const kind = RULE_FIELDS[field];
+
+  if (kind === 'text') {
+    const candidates = (field === 'artist' ? track.artists : [track[field]])
+      .filter(Boolean)
+      .map(text => text.toLowerCase());
+    const wanted = value.toLowerCase();
+
+    switch (operator) {
+      case 'is': return candidates.includes(wanted);
+      case 'isNot': return !candidates.includes(wanted);
+      case 'contains': return candidates.some(text => text.includes(wanted));
+      case 'notContains': return !candidates.some(text => text.includes(wanted));
+    }
+  }
+
+  if (kind === 'date') {
+    const time = Date.parse(track.addedAt);
+    if (Number.isNaN(time)) return false;
+
+    switch (operator) {
+      case 'inLast': return now - time <= value * DAY_MS;
+      case 'notInLast': return now - time > value * DAY_MS;
+      case 'before': return time < Date.parse(value);
+      case 'after': return time > Date.parse(value);
+    }
+  }
+
+  // Tracks without the audio feature never match numeric conditions
+  const number = track[field];
+  if (number === undefined || number === null) return false;
+
+  switch (operator) {
+    case '>': return number > value;
+    case '>=': return number >= value;
+    case '<': return number < value;
+    case '<=': return number <= value;
+    case '=': return number === value;
+    case '!=': return number !== value;
+    case 'between': return number >= Math.min(...value) && number <= Math.max(...value);
+  }
+
+  return false;
+}
+
+// Function to test an analyzed track against a rule set
+export function matchesRules(track, rules, now = Date.now()) {
+  const test = condition => (Array.isArray(condition.conditions)
+    ? matchesRules(track, condition, now)
+    : matchesCondition(track, condition, now));
+
+  return rules.match === 'any'
+    ? rules.conditions.some(test)
+    : rules.conditions.every(test);
+}
+
+// Function to sort analyzed tracks by a rule field
+export function sortTracks(tracks, sortBy, sortOrder = 'desc') {
+  const direction = sortOrder === 'asc' ? 1 : -1;
+  const value = track => (sortBy === 'addedAt' ? Date.parse(track.addedAt) || 0 : track[sortBy]);
+
+  return [...tracks].sort((a, b) => {
+    const left = value(a);
+    const right = value(b);
+    if (left === right) return 0;
+    if (left === undefined || left === null) return 1;
+    if (right === undefined || right === null) return -1;
+    return (left < right ? -1 : 1) * direction;
+  });
+}
+
+// Function to create a store of smart playlist definitions backed by a JSON file
+export function createSmartPlaylistStore({ filePath }) {
+  let definitions = {};
+
+  // Load any previously saved definitions
+  try {
+    definitions = JSON.parse(readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    definitions = {};
+  }
+
+  const persist = () => writeFileSync(filePath, JSON.stringify(definitions, null, 2));
+
+  return {
+    // Save a definition, keyed by its Spotify playlist ID
+    save(definition) {
+      definitions[definition.playlistId] = definition;
+      persist();
+      return definition;
+    },
+
+    get(playlistId) {
+      return definitions[playlistId] || null;
+    },
+
+    list() {
+      return Object.values(definitions);
+    }
+  };
+}
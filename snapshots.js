@@ -0,0 +1,131 @@
+// spotify-playlist-curator-mcp/snapshots.js
+// Local snapshots of playlist contents, taken before the curator changes a playlist
+
+import { readFileSync, writeFileSync } from 'fs';
+import { randomBytes } from 'crypto';
+
+// Function to create a snapshot store backed by a JSON file
+export function createSnapshotStore({ filePath, maxPerPlaylist = 20 }) {
+  let snapshots = [];
+
+  // Load any previously saved snapshots
+  try {
+    snapshots = JSON.parse(readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    snapshots = [];
+  }
+
+  // Function to write the snapshots to disk
+  const persist = () => writeFileSync(filePath, JSON.stringify(snapshots));
+
+  return {
+    // Save a snapshot, keeping only the most recent ones for each playlist
+    // `restoredSnapshotId` marks the backup taken before restoring that snapshot
+    save({ playlistId, account, action, description, spotifySnapshotId, trackUris, restoredSnapshotId }) {
+      const snapshot = {
+        id: `${Date.now().toString(36)}-${randomBytes(3).toString('hex')}`,
+        playlistId,
+        account,
+        action,
+        description,
+        spotifySnapshotId,
+        createdAt: new Date().toISOString(),
+        trackUris,
+        ...(restoredSnapshotId ? { restoredSnapshotId } : {})
+      };
+
+      snapshots.push(snapshot);
+
+      const forPlaylist = snapshots.filter(entry => entry.playlistId === playlistId);
+      if (forPlaylist.length > maxPerPlaylist) {
+        const expired = new Set(forPlaylist.slice(0, forPlaylist.length - maxPerPlaylist));
+        snapshots = snapshots.filter(entry => !expired.has(entry));
+      }
+
+      persist();
+      return snapshot;
+    },
+
+    // List a playlist's snapshots taken for one account, newest first
+    list(playlistId, account) {
+      return snapshots
+        .filter(entry => entry.playlistId === playlistId && entry.account === account)
+        .reverse();
+    },
+
+    // Find a snapshot by its ID
+    get(id) {
+      return snapshots.find(entry => entry.id === id) || null;
+    },
+
+    // Find the snapshot that undoes the latest change still in effect, or null.
+    // Backups taken by a restore are skipped together with the snapshots they restored,
+    // so undoing again steps further back instead of redoing what was just undone.
+    undoTarget(playlistId, account) {
+      // Snapshots to skip until they have been passed (the list is newest first)
+      const skipping = new Set();
+      for (const snapshot of this.list(playlistId, account)) {
+        if (snapshot.restoredSnapshotId) {
+          skipping.delete(snapshot.id);
+          skipping.add(snapshot.restoredSnapshotId);
+        } else if (skipping.size > 0) {
+          skipping.delete(snapshot.id);
+        } else {
+          return snapshot;
+        }
+      }
+      return null;
+    }
+  };
+}
+
+// Function to describe how a playlist's track list would change
+export function diffTrackLists(before, after) {
+  const remaining = new Map();
+  before.forEach(uri => remaining.set(uri, (remaining.get(uri) || 0) + 1));
+
+  // Tracks in the new list that weren't in the old one (counting repeats)
+  const added = [];
+  const kept = [];
+  after.forEach(uri => {
+    const count = remaining.get(uri) || 0;
+    if (count > 0) {
+      remaining.set(uri, count - 1);
+      kept.push(uri);
+    } else {
+      added.push(uri);
+    }
+  });
+
+  // Tracks in the old list that didn't make it into the new one
+  const removed = [];
+  remaining.forEach((count, uri) => {
+    for (let i = 0; i < count; i++) {
+      removed.push(uri);
+    }
+  });
+
+  // Kept tracks that end up in a different order
+  const removedCounts = new Map();
+  removed.forEach(uri => removedCounts.set(uri, (removedCounts.get(uri) || 0) + 1));
+  const keptBefore = [];
+  for (let i = before.length - 1; i >= 0; i--) {
+    const uri = before[i];
+    const count = removedCounts.get(uri) || 0;
+    if (count > 0) {
+      removedCounts.set(uri, count - 1);
+    } else {
+      keptBefore.unshift(uri);
+    }
+  }
+  const reordered = keptBefore.filter((uri, index) => kept[index] !== uri).length;
+
+  return {
+    before: before.length,
+    after: after.length,
+    added,
+    removed,
+    reordered,
+    changed: added.length > 0 || removed.length > 0 || reordered > 0
+  };
+}
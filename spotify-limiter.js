@@ -0,0 +1,125 @@
+// spotify-playlist-curator-mcp/spotify-limiter.js
+// Rate-limit aware wrapper for Spotify Web API calls
+
+// Function to wait for a number of milliseconds
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Function to check whether a failed request is worth retrying.
+// A request that isn't idempotent (e.g. adding tracks) may have been carried out even though it failed
+// with a network error or 5xx, so only a 429, which Spotify rejects before doing anything, is retried.
+function isRetryable(error, idempotent) {
+  const status = error.statusCode;
+  if (status === 429) {
+    return true;
+  }
+
+  // No status code means the request never got a response (network error, timeout)
+  return idempotent && (status === undefined || status >= 500);
+}
+
+// Function to read SPOTIFY_MAX_RETRIES. "0" turns retries off; only a missing or unparseable value falls back to 5.
+export function parseMaxRetries(value) {
+  const retries = Number.parseInt(value, 10);
+  return Number.isNaN(retries) ? 5 : Math.max(0, retries);
+}
+
+// Function to read how long Spotify asked us to wait after a 429 response
+function retryAfterMs(error) {
+  const headers = error.headers || {};
+  const seconds = Number(headers['retry-after'] ?? headers['Retry-After']);
+  return Number.isFinite(seconds) && seconds >= 0 ? seconds * 1000 : 1000;
+}
+
+// Function to create a limiter that runs Spotify requests with bounded concurrency.
+// It waits out 429 responses for every queued request, retries network and 5xx errors
+// of idempotent requests with jittered exponential backoff, and refreshes the token once after a 401.
+export function createSpotifyLimiter({
+  maxConcurrent = 4,
+  maxRetries = 5,
+  baseDelayMs = 500,
+  maxDelayMs = 30000
+} = {}) {
+  let active = 0;
+  const waiting = [];
+
+  // Time until which every request is held back after a 429
+  let pausedUntil = 0;
+
+  // Function to wait for a free request slot
+  async function acquire() {
+    if (active < maxConcurrent) {
+      active++;
+      return;
+    }
+
+    // The releasing request hands its slot over directly
+    await new Promise(resolve => waiting.push(resolve));
+  }
+
+  // Function to free a request slot
+  function release() {
+    const next = waiting.shift();
+    if (next) {
+      next();
+    } else {
+      active--;
+    }
+  }
+
+  // Function to calculate the backoff delay ("full jitter") for a retry attempt
+  function backoffMs(attempt) {
+    const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+  }
+
+  return {
+    // Run a request; `onUnauthorized` should refresh the access token.
+    // Pass `idempotent: false` for requests that mustn't be sent twice.
+    async run(request, { onUnauthorized, idempotent = true } = {}) {
+      let refreshed = false;
+
+      for (let attempt = 0; ; attempt++) {
+        // Respect any Retry-After pause that's in effect
+        while (pausedUntil > Date.now()) {
+          await sleep(pausedUntil - Date.now());
+        }
+
+        let error;
+        await acquire();
+        try {
+          return await request();
+        } catch (requestError) {
+          error = requestError;
+        } finally {
+          release();
+        }
+
+        // Expired or revoked access token: refresh once and try again
+        if (error.statusCode === 401 && onUnauthorized && !refreshed) {
+          refreshed = true;
+          await onUnauthorized();
+          continue;
+        }
+
+        if (!isRetryable(error, idempotent) || attempt >= maxRetries) {
+          throw error;
+        }
+
+        if (error.statusCode === 429) {
+          pausedUntil = Math.max(pausedUntil, Date.now() + retryAfterMs(error));
+        } else {
+          await sleep(backoffMs(attempt));
+        }
+      }
+    },
+
+    // Current load, for logging
+    stats() {
+      return {
+        active,
+        queued: waiting.length,
+        pausedForMs: Math.max(0, pausedUntil - Date.now())
+      };
+    }
+  };
+}
@@ -0,0 +1,90 @@
+// spotify-playlist-curator-mcp/test/background-jobs.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBackgroundJobs, silentProgress } from '../background-jobs.js';
+
+// Function to wait until a job has finished
+async function finished(jobs, id) {
+  for (let i = 0; i < 100 && jobs.get(id).status === 'running'; i++) {
+    await new Promise(resolve => setTimeout(resolve, 1));
+  }
+  return jobs.get(id);
+}
+
+test('reports scoped progress and partial results, then the result', async () => {
+  const jobs = createBackgroundJobs();
+  let release;
+  const gate = new Promise(resolve => { release = resolve; });
+
+  const job = jobs.start('analyze', async progress => {
+    progress.report({ phase: 'fetching', percent: 40, partial: { fetched: 10 } });
+    progress.scope(50, 100).report({ phase: 'matching', percent: 50 });
+    await gate;
+    return { tracks: 10 };
+  });
+  assert.equal(job.status, 'running');
+
+  await new Promise(resolve => setTimeout(resolve, 1));
+  const running = jobs.get(job.id);
+  assert.equal(running.phase, 'matching');
+  assert.equal(running.percent, 75);
+  assert.deepEqual(running.partial, { fetched: 10 });
+
+  release();
+  const done = await finished(jobs, job.id);
+  assert.equal(done.status, 'completed');
+  assert.equal(done.percent, 100);
+  assert.deepEqual(done.result, { tracks: 10 });
+});
+
+test('a method result with an error, or a thrown error, fails the job', async () => {
+  const jobs = createBackgroundJobs();
+
+  const returned = jobs.start('a', async () => ({ error: 'Playlist not found' }));
+  const thrown = jobs.start('b', async () => { throw new Error('Boom'); });
+
+  assert.equal((await finished(jobs, returned.id)).error, 'Playlist not found');
+  assert.equal((await finished(jobs, thrown.id)).status, 'failed');
+  assert.equal(jobs.get(thrown.id).error, 'Boom');
+});
+
+test('a cancelled job stops at its next checkpoint', async () => {
+  const jobs = createBackgroundJobs();
+  let release;
+  const gate = new Promise(resolve => { release = resolve; });
+  let reachedEnd = false;
+
+  const job = jobs.start('slow', async progress => {
+    await gate;
+    progress.throwIfCancelled();
+    reachedEnd = true;
+  });
+
+  assert.equal(jobs.cancel(job.id).cancelRequested, true);
+  release();
+
+  const done = await finished(jobs, job.id);
+  assert.equal(done.status, 'cancelled');
+  assert.equal(reachedEnd, false);
+  assert.equal(jobs.cancel('bg-unknown'), null);
+});
+
+test('keeps only the most recent finished jobs', async () => {
+  const jobs = createBackgroundJobs({ maxFinished: 2 });
+
+  const ids = [];
+  for (let i = 0; i < 3; i++) {
+    const job = jobs.start('quick', async () => ({ i }));
+    ids.push(job.id);
+    await finished(jobs, job.id);
+  }
+
+  assert.equal(jobs.get(ids[0]), null);
+  assert.deepEqual(jobs.list().map(job => job.id), ids.slice(1));
+});
+
+test('the silent reporter ignores progress', () => {
+  silentProgress.scope(0, 50).report({ phase: 'anything', percent: 10 });
+  silentProgress.throwIfCancelled();
+});
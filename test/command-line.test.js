@@ -0,0 +1,36 @@
+// spotify-playlist-curator-mcp/test/command-line.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { tokenize, parseOptions, parseSelection } from '../command-line.js';
+
+test('tokenize keeps quoted phrases together', () => {
+  assert.deepEqual(tokenize('open "Evening Drive"  --x'), ['open', 'Evening Drive', '--x']);
+  assert.deepEqual(tokenize(`new 'Rock \\'n\\' Roll' --description=""`), ['new', 'Rock \'n\' Roll', '--description=']);
+  assert.deepEqual(tokenize('   '), []);
+  assert.throws(() => tokenize('open "Evening'), /Unclosed " quote/);
+});
+
+test('parseOptions reads typed options and leaves the rest positional', () => {
+  const spec = { count: 'number', template: 'string', 'exclude-existing': 'boolean' };
+
+  assert.deepEqual(
+    parseOptions(['a', '--count', '15', '--template=deep-cuts', '--exclude-existing', 'b'], spec),
+    { positional: ['a', 'b'], options: { count: 15, template: 'deep-cuts', excludeExisting: true } }
+  );
+  assert.deepEqual(parseOptions(['--no-exclude-existing', '--', '--count'], spec), {
+    positional: ['--count'],
+    options: { excludeExisting: false }
+  });
+  assert.throws(() => parseOptions(['--count', 'lots'], spec), /--count must be a number/);
+  assert.throws(() => parseOptions(['--count'], spec), /--count needs a value/);
+  assert.throws(() => parseOptions(['--colour'], spec), /Unknown option --colour/);
+});
+
+test('parseSelection understands lists, ranges and all', () => {
+  assert.deepEqual(parseSelection('1,3, 5-7,3', 8), [0, 2, 4, 5, 6]);
+  assert.deepEqual(parseSelection('all', 3), [0, 1, 2]);
+  assert.throws(() => parseSelection('9', 8), /outside 1-8/);
+  assert.throws(() => parseSelection('two', 8), /not a number/);
+  assert.throws(() => parseSelection('', 8), /Say which items/);
+});
@@ -0,0 +1,29 @@
+// spotify-playlist-curator-mcp/test/constraints.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateConstraints } from '../constraints.js';
+
+test('accepts feature ranges within their bounds', () => {
+  assert.equal(validateConstraints({ minPopularity: 20, features: { energy: { min: 0.5, target: 0.8 }, tempo: { max: 130 } } }), null);
+  assert.equal(validateConstraints({ features: { energy: { min: 0.9, max: 0.2 } } }), 'energy.min cannot be greater than energy.max');
+  assert.match(validateConstraints({ features: { tempo: { target: 400 } } }), /tempo.target must be a number between 0 and 250/);
+});
+
+test('rejects a feature range that is null', () => {
+  assert.match(validateConstraints({ features: { energy: null } }), /energy must be an object/);
+});
+
+test('rejects a feature range that is a bare number', () => {
+  assert.match(validateConstraints({ features: { energy: 0.8 } }), /energy must be an object/);
+});
+
+test('rejects features that are not an object', () => {
+  assert.match(validateConstraints({ features: null }), /features must be an object/);
+  assert.match(validateConstraints({ features: ['energy'] }), /features must be an object/);
+});
+
+test('rejects feature names inherited from Object.prototype', () => {
+  assert.match(validateConstraints({ features: { toString: { min: 1 } } }), /Unknown audio feature "toString"/);
+  assert.match(validateConstraints({ features: { constructor: { target: 0.5 } } }), /Unknown audio feature "constructor"/);
+});
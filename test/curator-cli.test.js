@@ -0,0 +1,149 @@
+// spotify-playlist-curator-mcp/test/curator-cli.test.js
+// The `curator` command line against a scripted MCP client
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runCli, EXIT_CODES } from '../curator-cli.js';
+
+const PLAYLISTS = [
+  { id: 'pl-evening', name: 'Evening Drive', trackCount: 6, owner: 'Test User', ownerId: 'test-user', public: false, collaborative: false },
+  { id: 'pl-quiet', name: 'Quiet, Hours', trackCount: 5, owner: 'Test User', ownerId: 'test-user', public: true, collaborative: false }
+];
+
+// Function to run the command line with scripted method responses, collecting what it writes
+async function run(argv, responses = {}, files = {}) {
+  const calls = [];
+  const stdout = [];
+  const stderr = [];
+  const client = new Proxy({}, {
+    get: (_, method) => async args => {
+      calls.push({ method, args });
+      const response = responses[method];
+      return typeof response === 'function' ? response(args) : response;
+    }
+  });
+
+  const exitCode = await runCli(argv, {
+    client,
+    stdout: text => stdout.push(text),
+    stderr: text => stderr.push(text),
+    readFile: async filePath => {
+      if (!(filePath in files)) {
+        throw new Error('no such file');
+      }
+      return files[filePath];
+    }
+  });
+
+  return { exitCode, calls, stdout: stdout.join('\n'), stderr: stderr.join('\n') };
+}
+
+test('playlists writes JSON, CSV or a table', async () => {
+  const responses = { getPlaylists: { playlists: PLAYLISTS } };
+
+  const json = await run(['playlists', '--json', '--owned'], responses);
+  assert.equal(json.exitCode, EXIT_CODES.ok);
+  assert.deepEqual(JSON.parse(json.stdout), PLAYLISTS);
+  assert.equal(json.calls[0].args.ownership, 'owned');
+
+  const csv = await run(['playlists', '--format', 'csv'], responses);
+  assert.deepEqual(csv.stdout.split('\n').slice(0, 3), [
+    'id,name,trackCount,owner,ownerId,public,collaborative',
+    'pl-evening,Evening Drive,6,Test User,test-user,false,false',
+    'pl-quiet,"Quiet, Hours",5,Test User,test-user,true,false'
+  ]);
+
+  const table = await run(['playlists'], responses);
+  assert.match(table.stdout, /Evening Drive/);
+});
+
+test('errors are machine-readable and keep the authUrl', async () => {
+  const auth = await run(['playlists', '--json'], {
+    getPlaylists: { error: 'Not authenticated with Spotify', authUrl: 'http://localhost:3000/login' }
+  });
+  assert.equal(auth.exitCode, EXIT_CODES.auth);
+  assert.equal(auth.stdout, '');
+  assert.deepEqual(JSON.parse(auth.stderr), {
+    error: 'Not authenticated with Spotify',
+    authUrl: 'http://localhost:3000/login',
+    exitCode: EXIT_CODES.auth
+  });
+
+  const failed = await run(['analyze', 'pl-missing'], { getPlaylistDetails: { error: 'Playlist not found' } });
+  assert.equal(failed.exitCode, EXIT_CODES.error);
+  assert.equal(failed.stderr, 'Error: Playlist not found');
+
+  assert.equal((await run(['analyze'])).exitCode, EXIT_CODES.usage);
+  assert.equal((await run(['dance'])).exitCode, EXIT_CODES.usage);
+  assert.equal((await run(['recommend', 'pl-evening', '--count', 'ten'])).exitCode, EXIT_CODES.usage);
+  assert.equal((await run(['playlists', '--format', 'xml'])).exitCode, EXIT_CODES.usage);
+  assert.equal((await run([])).exitCode, EXIT_CODES.usage);
+  assert.equal((await run(['help'])).exitCode, EXIT_CODES.ok);
+});
+
+test('analyze --format csv exports the tracks with their features', async () => {
+  const result = await run(['analyze', 'pl-evening', '--format', 'csv'], {
+    exportPlaylist: { content: 'name,artists,energy\nNeon Tide,Lumen Drift,0.8' }
+  });
+
+  assert.equal(result.exitCode, EXIT_CODES.ok);
+  assert.deepEqual(result.calls[0], { method: 'exportPlaylist', args: { playlistId: 'pl-evening', format: 'csv', account: undefined } });
+  assert.match(result.stdout, /^name,artists,energy/);
+});
+
+test('recommend --add-matched adds Claude\'s matched picks', async () => {
+  const result = await run(['recommend', 'pl-evening', '--count', '10', '--energy', '0.7', '--add-matched', '--json'], {
+    getClaudeRecommendations: {
+      claudeRecommendations: [
+        { matched: true, name: 'Cedar Smoke', artists: ['Mara Quinn'], uri: 'spotify:track:tr-09', confidence: 0.95 },
+        { matched: false, name: 'Made Up', artist: 'Nobody', confidence: 0 }
+      ],
+      spotifyRecommendations: [{ name: 'Fog Index', artists: ['Greyfield'], uri: 'spotify:track:tr-07' }]
+    },
+    addRecommendationsToPlaylist: { success: true, localSnapshotId: 'snap-1' }
+  });
+
+  assert.equal(result.exitCode, EXIT_CODES.ok);
+  assert.deepEqual(result.calls[0].args.features, { energy: { target: 0.7 } });
+  assert.deepEqual(result.calls[1].args, { playlistId: 'pl-evening', trackUris: ['spotify:track:tr-09'], dryRun: false, account: undefined });
+  assert.deepEqual(JSON.parse(result.stdout).added, { trackUris: ['spotify:track:tr-09'], dryRun: false, localSnapshotId: 'snap-1' });
+});
+
+test('recommend --add-matched skips picks already in the playlist', async () => {
+  const result = await run(['recommend', 'pl-evening', '--add-matched', '--json'], {
+    getClaudeRecommendations: {
+      claudeRecommendations: [
+        { matched: true, inPlaylist: true, name: 'Neon Tide', artists: ['Lumen Drift'], uri: 'spotify:track:tr-01', confidence: 1 },
+        { matched: true, name: 'Cedar Smoke', artists: ['Mara Quinn'], uri: 'spotify:track:tr-09', confidence: 0.95 }
+      ],
+      spotifyRecommendations: []
+    },
+    addRecommendationsToPlaylist: { success: true, localSnapshotId: 'snap-2' }
+  });
+
+  assert.equal(result.exitCode, EXIT_CODES.ok);
+  assert.deepEqual(result.calls[1].args.trackUris, ['spotify:track:tr-09']);
+  assert.deepEqual(JSON.parse(result.stdout).added.trackUris, ['spotify:track:tr-09']);
+});
+
+test('create --from-file imports the file as a new playlist', async () => {
+  const result = await run(['create', 'Night Walk', '--from-file', 'tracks.txt'], {
+    importPlaylist: {
+      dryRun: false,
+      playlist: { id: 'pl-new', name: 'Night Walk', url: 'https://open.spotify.com/playlist/pl-new' },
+      totalEntries: 2,
+      matchedCount: 1,
+      unmatched: [{ title: 'Made Up', artist: 'Nobody' }]
+    }
+  }, { 'tracks.txt': 'Cedar Smoke - Mara Quinn\nMade Up - Nobody\n' });
+
+  assert.equal(result.exitCode, EXIT_CODES.ok);
+  assert.equal(result.calls[0].args.format, 'text');
+  assert.equal(result.calls[0].args.name, 'Night Walk');
+  assert.match(result.stdout, /Created Night Walk with 1 of 2 tracks/);
+  assert.equal(result.stderr, 'Not matched: Made Up - Nobody');
+
+  const missing = await run(['create', 'Night Walk', '--from-file', 'nope.txt']);
+  assert.equal(missing.exitCode, EXIT_CODES.usage);
+  assert.equal(missing.calls.length, 0);
+});
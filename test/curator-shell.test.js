@@ -0,0 +1,128 @@
+// spotify-playlist-curator-mcp/test/curator-shell.test.js
+// The interactive shell's commands against a scripted MCP client
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCuratorShell } from '../curator-shell.js';
+
+const PLAYLISTS = [
+  { id: 'pl-evening', name: 'Evening Drive', trackCount: 6, owner: 'Test User', public: false },
+  { id: 'pl-quiet', name: 'Quiet Hours', trackCount: 5, owner: 'Test User', public: true }
+];
+
+const RECOMMENDATIONS = {
+  claudeRecommendations: [
+    { matched: true, name: 'Cedar Smoke', artists: ['Mara Quinn'], uri: 'spotify:track:tr-09', confidence: 0.95, reason: 'Warm' },
+    { matched: false, name: 'Made Up', artist: 'Nobody', confidence: 0, reason: 'Invented' }
+  ],
+  spotifyRecommendations: [{ name: 'Fog Index', artists: ['Greyfield'], uri: 'spotify:track:tr-07' }],
+  filteredOut: []
+};
+
+// Function to create a client whose methods record their calls and answer from `responses`
+function createScriptedClient(responses) {
+  const calls = [];
+  const client = new Proxy({}, {
+    get: (_, method) => async args => {
+      calls.push({ method, args });
+      const response = responses[method];
+      return typeof response === 'function' ? response(args) : response;
+    }
+  });
+  return { client, calls };
+}
+
+// Function to create a shell that collects its output
+function createTestShell(responses) {
+  const output = [];
+  const { client, calls } = createScriptedClient(responses);
+  const shell = createCuratorShell({ client, print: line => output.push(line) });
+  return { shell, calls, output };
+}
+
+test('ls, open, recommend and add work on the open playlist', async () => {
+  const { shell, calls, output } = createTestShell({
+    getPlaylists: { playlists: PLAYLISTS },
+    getClaudeRecommendations: RECOMMENDATIONS,
+    addRecommendationsToPlaylist: { success: true, message: 'Successfully added 2 tracks to the playlist' }
+  });
+
+  await shell.execute('ls');
+  assert.match(output.at(-1), /Evening Drive/);
+
+  await shell.execute('open 2');
+  assert.equal(shell.prompt(), 'curator:Quiet Hours> ');
+
+  await shell.execute('recommend --count 15 --energy 0.8 --exclude-existing');
+  assert.deepEqual(calls.at(-1).args.features, { energy: { target: 0.8 } });
+  assert.equal(calls.at(-1).args.count, 15);
+  assert.equal(calls.at(-1).args.excludeExisting, true);
+  assert.match(output.at(-1), /Cedar Smoke.*matched/);
+  assert.match(output.at(-1), /Made Up.*not found/);
+
+  // The unmatched pick is skipped
+  await shell.execute('add 1-3');
+  assert.deepEqual(calls.at(-1), {
+    method: 'addRecommendationsToPlaylist',
+    args: { playlistId: 'pl-quiet', trackUris: ['spotify:track:tr-09', 'spotify:track:tr-07'] }
+  });
+  assert.match(output.at(-2), /Skipping 2/);
+});
+
+test('errors are printed and the shell keeps going', async () => {
+  const { shell, output } = createTestShell({
+    getPlaylists: { error: 'Not authenticated with Spotify', authUrl: 'http://localhost:3000/login' }
+  });
+
+  assert.equal(await shell.execute('ls'), true);
+  assert.deepEqual(output.slice(-2), [
+    'Error: Not authenticated with Spotify',
+    'Sign in to Spotify at http://localhost:3000/login, then try again.'
+  ]);
+
+  assert.equal(await shell.execute('add 1'), true);
+  assert.match(output.at(-1), /Open a playlist first/);
+
+  assert.equal(await shell.execute('recommend --colour blue'), true);
+  assert.match(output.at(-1), /Unknown option --colour/);
+
+  assert.equal(await shell.execute('dance'), true);
+  assert.match(output.at(-1), /Unknown command "dance"/);
+
+  assert.equal(await shell.execute('exit'), false);
+});
+
+test('open finds playlists by name, and new creates and opens one with picks', async () => {
+  const { shell, calls } = createTestShell({
+    getPlaylists: { playlists: PLAYLISTS },
+    searchTracks: { tracks: [{ name: 'Fog Index', artists: ['Greyfield'], album: 'Static', uri: 'spotify:track:tr-07' }] },
+    createPlaylist: { id: 'pl-new', name: 'Night Walk', url: 'https://open.spotify.com/playlist/pl-new' },
+    addRecommendationsToPlaylist: { success: true, message: 'Successfully added 1 tracks to the playlist' },
+    restorePlaylistSnapshot: { restored: true, diff: { added: [], removed: ['spotify:track:tr-07'] } }
+  });
+
+  await shell.execute('open "evening drive"');
+  assert.equal(shell.state.playlist.id, 'pl-evening');
+
+  await shell.execute('search fog index');
+  await shell.execute('new "Night Walk" --add 1');
+  assert.deepEqual(calls.find(call => call.method === 'createPlaylist').args, {
+    name: 'Night Walk',
+    description: 'Based on Evening Drive. Created by Spotify Playlist Curator.',
+    isPublic: false
+  });
+  assert.deepEqual(calls.at(-1).args, { playlistId: 'pl-new', trackUris: ['spotify:track:tr-07'] });
+  assert.equal(shell.state.playlist.id, 'pl-new');
+
+  await shell.execute('undo');
+  assert.deepEqual(calls.at(-1), { method: 'restorePlaylistSnapshot', args: { playlistId: 'pl-new', dryRun: false } });
+});
+
+test('completes commands, options and playlist names', async () => {
+  const { shell } = createTestShell({ getPlaylists: { playlists: PLAYLISTS } });
+  await shell.execute('ls');
+
+  assert.deepEqual(shell.complete('re'), [['recommend'], 're']);
+  assert.deepEqual(shell.complete('recommend --ex'), [['--exclude-existing', '--exclude-explicit'], '--ex']);
+  assert.deepEqual(shell.complete('open Ev'), [['Evening Drive'], 'Ev']);
+});
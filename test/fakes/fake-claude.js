@@ -0,0 +1,29 @@
+// spotify-playlist-curator-mcp/test/fakes/fake-claude.js
+// Scripted stand-in for the Claude client the MCP framework passes to methods
+
+// Function to create a fake Claude that answers with scripted replies, in order.
+// A reply is a string, an object (sent as JSON) or a function of the prompt.
+export function createFakeClaude(replies = [], { fallback = '{"recommendations": []}' } = {}) {
+  const queue = [...replies];
+  const prompts = [];
+
+  return {
+    prompts,
+
+    async sendMessage(message) {
+      prompts.push(message);
+
+      const reply = queue.length > 0 ? queue.shift() : fallback;
+      const text = typeof reply === 'function'
+        ? reply(message)
+        : typeof reply === 'string' ? reply : JSON.stringify(reply);
+
+      return { content: [{ type: 'text', text }] };
+    },
+
+    // Queue more replies
+    script(...more) {
+      queue.push(...more);
+    }
+  };
+}
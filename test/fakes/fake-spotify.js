@@ -0,0 +1,489 @@
+// spotify-playlist-curator-mcp/test/fakes/fake-spotify.js
+// Fixture-backed stand-in for spotify-web-api-node, for tests and offline work
+
+import { readFileSync } from 'fs';
+
+// Function to load the default fixture library
+export function loadFixtures(fileUrl = new URL('../fixtures/spotify-library.json', import.meta.url)) {
+  return JSON.parse(readFileSync(fileUrl, 'utf8'));
+}
+
+// Function to build an error shaped like the ones spotify-web-api-node throws
+export function spotifyError(statusCode, message, { retryAfter } = {}) {
+  const error = new Error(message || `Spotify responded with ${statusCode}`);
+  error.statusCode = statusCode;
+  error.headers = retryAfter !== undefined ? { 'retry-after': String(retryAfter) } : {};
+  error.body = { error: { status: statusCode, message: error.message } };
+  return error;
+}
+
+// Function to make a fixture track for generated playlists (e.g. to test pagination)
+export function makeTrack(index, artistId = 'ar-lumen') {
+  const id = `gen-${String(index).padStart(5, '0')}`;
+  return {
+    track: {
+      id,
+      name: `Generated Track ${index}`,
+      artistIds: [artistId],
+      album: 'Generated',
+      releaseDate: '2020-01-01',
+      durationMs: 180000 + (index % 60) * 1000,
+      popularity: index % 100,
+      explicit: false
+    },
+    features: {
+      danceability: (index % 10) / 10,
+      energy: ((index * 3) % 10) / 10,
+      valence: ((index * 7) % 10) / 10,
+      tempo: 80 + (index % 80),
+      key: index % 12,
+      mode: index % 2,
+      acousticness: 0.2,
+      instrumentalness: 0.1,
+      speechiness: 0.05,
+      liveness: 0.1,
+      loudness: -8,
+      time_signature: 4
+    }
+  };
+}
+
+// Function to create a fake Spotify backend. `createApi` returns clients that behave like
+// SpotifyWebApi instances; they share the backend's playlists, tokens and scripted failures.
+export function createFakeSpotify(fixtures = loadFixtures()) {
+  const artists = new Map(fixtures.artists.map(artist => [artist.id, artist]));
+  const tracks = new Map(fixtures.tracks.map(track => [track.id, track]));
+  const audioFeatures = new Map(Object.entries(fixtures.audioFeatures));
+  const playlists = new Map(fixtures.playlists.map(playlist => [playlist.id, {
+    ...playlist,
+    items: playlist.trackIds.map((id, index) => ({ id, addedAt: new Date(Date.UTC(2024, 0, 1 + index)).toISOString() })),
+    version: 1
+  }]));
+  const savedTrackIds = [...(fixtures.savedTrackIds || [])];
+  const devices = fixtures.devices || [];
+
+  // Every call made, in order, as { method, args }
+  const calls = [];
+  // Scripted failures, consumed in order: { method, error }
+  const failures = [];
+  // What was played and queued
+  const playback = { playing: null, queue: [] };
+
+  // Only the newest access token is accepted
+  let tokenCounter = 1;
+  let validAccessToken = 'access-1';
+
+  // Function to convert a stored track to Spotify's track object
+  const toTrack = track => ({
+    id: track.id,
+    name: track.name,
+    uri: `spotify:track:${track.id}`,
+    artists: track.artistIds.map(id => ({ id, name: artists.get(id)?.name || id, uri: `spotify:artist:${id}` })),
+    album: { name: track.album, release_date: track.releaseDate },
+    duration_ms: track.durationMs,
+    popularity: track.popularity,
+    explicit: Boolean(track.explicit)
+  });
+
+  const toArtist = artist => ({
+    id: artist.id,
+    name: artist.name,
+    genres: artist.genres,
+    popularity: artist.popularity,
+    followers: { total: artist.popularity * 1000 },
+    uri: `spotify:artist:${artist.id}`
+  });
+
+  const snapshotId = playlist => `${playlist.id}-v${playlist.version}`;
+
+  const toPlaylist = playlist => ({
+    id: playlist.id,
+    name: playlist.name,
+    description: playlist.description,
+    owner: { id: playlist.ownerId, display_name: playlist.ownerName || fixtures.user.display_name },
+    public: playlist.public,
+    collaborative: Boolean(playlist.collaborative),
+    snapshot_id: snapshotId(playlist),
+    tracks: { total: playlist.items.length },
+    images: [],
+    uri: `spotify:playlist:${playlist.id}`,
+    external_urls: { spotify: `https://open.spotify.com/playlist/${playlist.id}` }
+  });
+
+  const getPlaylist = id => {
+    const playlist = playlists.get(id);
+    if (!playlist) {
+      throw spotifyError(404, `Playlist ${id} not found`);
+    }
+    return playlist;
+  };
+
+  const uriToId = uri => uri.replace('spotify:track:', '');
+
+  // Function to record a call, apply any scripted failure and check the token
+  function handle(api, method, args, respond) {
+    calls.push({ method, args });
+
+    const index = failures.findIndex(failure => failure.method === method || failure.method === '*');
+    if (index !== -1) {
+      const [failure] = failures.splice(index, 1);
+      return Promise.reject(failure.error);
+    }
+
+    if (api.accessToken !== validAccessToken) {
+      return Promise.reject(spotifyError(401, 'The access token expired'));
+    }
+
+    try {
+      return Promise.resolve({ body: respond(), headers: {}, statusCode: 200 });
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  }
+
+  // Function to create one client, like `new SpotifyWebApi(credentials)`
+  function createApi(credentials = {}) {
+    const api = {
+      credentials,
+      accessToken: null,
+      refreshToken: null,
+
+      setAccessToken(token) { api.accessToken = token; },
+      setRefreshToken(token) { api.refreshToken = token; },
+      getAccessToken() { return api.accessToken; },
+      getRefreshToken() { return api.refreshToken; },
+      getRedirectURI() { return credentials.redirectUri; },
+
+      createAuthorizeURL(scopes, state) {
+        return `https://accounts.spotify.com/authorize?scope=${encodeURIComponent(scopes.join(' '))}&state=${state}`;
+      },
+
+      authorizationCodeGrant(code) {
+        calls.push({ method: 'authorizationCodeGrant', args: [code] });
+        return Promise.resolve({
+          body: { access_token: validAccessToken, refresh_token: 'refresh-1', expires_in: 3600 }
+        });
+      },
+
+      refreshAccessToken() {
+        calls.push({ method: 'refreshAccessToken', args: [] });
+        if (!api.refreshToken) {
+          return Promise.reject(spotifyError(400, 'No refresh token'));
+        }
+        return Promise.resolve({ body: { access_token: validAccessToken, expires_in: 3600 } });
+      },
+
+      getMe() {
+        return handle(api, 'getMe', [], () => ({ ...fixtures.user }));
+      },
+
+      getUserPlaylists(options = {}) {
+        return handle(api, 'getUserPlaylists', [options], () => {
+          const { offset = 0, limit = 20 } = options;
+          if (limit > 50) {
+            throw spotifyError(400, 'Invalid limit');
+          }
+          const all = [...playlists.values()];
+          return { items: all.slice(offset, offset + limit).map(toPlaylist), total: all.length, offset, limit };
+        });
+      },
+
+      getPlaylist(id, options = {}) {
+        return handle(api, 'getPlaylist', [id, options], () => toPlaylist(getPlaylist(id)));
+      },
+
+      getPlaylistTracks(id, options = {}) {
+        return handle(api, 'getPlaylistTracks', [id, options], () => {
+          const { offset = 0, limit = 100 } = options;
+          if (limit > 100) {
+            throw spotifyError(400, 'Invalid limit');
+          }
+          const playlist = getPlaylist(id);
+          return {
+            items: playlist.items.slice(offset, offset + limit).map(item => ({
+              added_at: item.addedAt,
+              track: tracks.has(item.id) ? toTrack(tracks.get(item.id)) : null
+            })),
+            total: playlist.items.length,
+            offset,
+            limit
+          };
+        });
+      },
+
+      getAudioFeaturesForTracks(ids) {
+        return handle(api, 'getAudioFeaturesForTracks', [ids], () => {
+          if (ids.length > 100) {
+            throw spotifyError(400, 'Too many ids requested');
+          }
+          return {
+            audio_features: ids.map(id => (audioFeatures.has(id)
+              ? { id, uri: `spotify:track:${id}`, duration_ms: tracks.get(id)?.durationMs, ...audioFeatures.get(id) }
+              : null))
+          };
+        });
+      },
+
+      getArtists(ids) {
+        return handle(api, 'getArtists', [ids], () => {
+          if (ids.length > 50) {
+            throw spotifyError(400, 'Too many ids requested');
+          }
+          return { artists: ids.map(id => (artists.has(id) ? toArtist(artists.get(id)) : null)) };
+        });
+      },
+
+      // Supports "track:Title artist:Name" field filters and plain words
+      searchTracks(query, options = {}) {
+        return handle(api, 'searchTracks', [query, options], () => {
+          const { limit = 20, offset = 0 } = options;
+          const fields = query.match(/^track:(.+?)(?: artist:(.+))?$/);
+          const matches = [...tracks.values()].filter(track => {
+            const title = track.name.toLowerCase();
+            const artistNames = track.artistIds.map(id => artists.get(id)?.name.toLowerCase() || '').join(' ');
+            if (fields) {
+              return title.includes(fields[1].toLowerCase()) &&
+                (!fields[2] || artistNames.includes(fields[2].toLowerCase()));
+            }
+            return query.toLowerCase().split(/\s+/).filter(Boolean)
+              .every(word => title.includes(word) || artistNames.includes(word));
+          });
+          return { tracks: { items: matches.slice(offset, offset + limit).map(toTrack), total: matches.length } };
+        });
+      },
+
+      // Searches names only; albums are the distinct album names of the tracks
+      search(query, types, options = {}) {
+        return handle(api, 'search', [query, types, options], () => {
+          const { limit = 20, offset = 0 } = options;
+          const matches = name => name.toLowerCase().includes(query.toLowerCase());
+          const page = items => ({ items: items.slice(offset, offset + limit), total: items.length, offset, limit });
+          const albums = [...new Map([...tracks.values()].map(track => [track.album, track])).values()];
+          const pages = {
+            track: () => page([...tracks.values()].filter(track => matches(track.name)).map(toTrack)),
+            artist: () => page([...artists.values()].filter(artist => matches(artist.name)).map(toArtist)),
+            album: () => page(albums.filter(track => matches(track.album)).map(track => ({
+              id: `al-${track.id}`,
+              name: track.album,
+              artists: toTrack(track).artists,
+              release_date: track.releaseDate,
+              total_tracks: [...tracks.values()].filter(other => other.album === track.album).length,
+              uri: `spotify:album:al-${track.id}`
+            }))),
+            playlist: () => page([...playlists.values()].filter(playlist => matches(playlist.name)).map(toPlaylist))
+          };
+          return Object.fromEntries(types.map(type => [`${type}s`, pages[type]()]));
+        });
+      },
+
+      // Recommends tracks that aren't seeds, most popular first
+      getRecommendations(options = {}) {
+        return handle(api, 'getRecommendations', [options], () => {
+          const seeds = new Set(options.seed_tracks || []);
+          const items = [...tracks.values()]
+            .filter(track => !seeds.has(track.id))
+            .sort((a, b) => b.popularity - a.popularity)
+            .slice(0, options.limit || 20);
+          return { tracks: items.map(toTrack) };
+        });
+      },
+
+      getMySavedTracks(options = {}) {
+        return handle(api, 'getMySavedTracks', [options], () => {
+          const { offset = 0, limit = 20 } = options;
+          return {
+            items: savedTrackIds.slice(offset, offset + limit).map((id, index) => ({
+              added_at: new Date(Date.UTC(2024, 5, 1 + offset + index)).toISOString(),
+              track: toTrack(tracks.get(id))
+            })),
+            total: savedTrackIds.length
+          };
+        });
+      },
+
+      getMyTopTracks(options = {}) {
+        return handle(api, 'getMyTopTracks', [options], () => {
+          const { offset = 0, limit = 20 } = options;
+          const top = [...tracks.values()].sort((a, b) => b.popularity - a.popularity);
+          return { items: top.slice(offset, offset + limit).map(toTrack), total: top.length };
+        });
+      },
+
+      getMyTopArtists(options = {}) {
+        return handle(api, 'getMyTopArtists', [options], () => {
+          const { offset = 0, limit = 20 } = options;
+          const top = [...artists.values()].sort((a, b) => b.popularity - a.popularity);
+          return { items: top.slice(offset, offset + limit).map(toArtist), total: top.length };
+        });
+      },
+
+      getMyRecentlyPlayedTracks(options = {}) {
+        return handle(api, 'getMyRecentlyPlayedTracks', [options], () => ({
+          items: [...tracks.values()].slice(0, options.limit || 20).map((track, index) => ({
+            track: toTrack(track),
+            played_at: new Date(Date.UTC(2024, 6, 1, 12, 0) - index * 240000).toISOString()
+          }))
+        }));
+      },
+
+      createPlaylist(userId, options = {}) {
+        return handle(api, 'createPlaylist', [userId, options], () => {
+          const playlist = {
+            id: `pl-new-${playlists.size + 1}`,
+            name: options.name,
+            description: options.description || '',
+            ownerId: userId,
+            public: Boolean(options.public),
+            items: [],
+            version: 1
+          };
+          playlists.set(playlist.id, playlist);
+          return toPlaylist(playlist);
+        });
+      },
+
+      addTracksToPlaylist(id, uris, options = {}) {
+        return handle(api, 'addTracksToPlaylist', [id, uris, options], () => {
+          if (uris.length > 100) {
+            throw spotifyError(400, 'Too many tracks');
+          }
+          const playlist = getPlaylist(id);
+          const addedAt = new Date().toISOString();
+          const added = uris.map(uri => ({ id: uriToId(uri), addedAt }));
+          const position = options.position ?? playlist.items.length;
+          playlist.items.splice(position, 0, ...added);
+          playlist.version++;
+          return { snapshot_id: snapshotId(playlist) };
+        });
+      },
+
+      removeTracksFromPlaylist(id, entries, options = {}) {
+        return handle(api, 'removeTracksFromPlaylist', [id, entries, options], () => {
+          const playlist = getPlaylist(id);
+          const remove = new Set();
+          entries.forEach(({ uri, positions }) => {
+            playlist.items.forEach((item, index) => {
+              if (`spotify:track:${item.id}` === uri && (!positions || positions.includes(index))) {
+                remove.add(index);
+              }
+            });
+          });
+          playlist.items = playlist.items.filter((_, index) => !remove.has(index));
+          playlist.version++;
+          return { snapshot_id: snapshotId(playlist) };
+        });
+      },
+
+      replaceTracksInPlaylist(id, uris) {
+        return handle(api, 'replaceTracksInPlaylist', [id, uris], () => {
+          const playlist = getPlaylist(id);
+          const addedAt = new Date().toISOString();
+          playlist.items = uris.map(uri => ({ id: uriToId(uri), addedAt }));
+          playlist.version++;
+          return { snapshot_id: snapshotId(playlist) };
+        });
+      },
+
+      reorderTracksInPlaylist(id, rangeStart, insertBefore, options = {}) {
+        return handle(api, 'reorderTracksInPlaylist', [id, rangeStart, insertBefore, options], () => {
+          const playlist = getPlaylist(id);
+          const length = options.range_length || 1;
+          const moved = playlist.items.splice(rangeStart, length);
+          const target = insertBefore > rangeStart ? insertBefore - length : insertBefore;
+          playlist.items.splice(target, 0, ...moved);
+          playlist.version++;
+          return { snapshot_id: snapshotId(playlist) };
+        });
+      },
+
+      getMyDevices() {
+        return handle(api, 'getMyDevices', [], () => ({ devices }));
+      },
+
+      play(options = {}) {
+        return handle(api, 'play', [options], () => {
+          if (devices.length === 0) {
+            throw spotifyError(404, 'Player command failed: No active device found');
+          }
+          playback.playing = options;
+          return {};
+        });
+      },
+
+      addToQueue(uri, options = {}) {
+        return handle(api, 'addToQueue', [uri, options], () => {
+          if (devices.length === 0) {
+            throw spotifyError(404, 'Player command failed: No active device found');
+          }
+          playback.queue.push(uri);
+          return {};
+        });
+      }
+    };
+
+    api.setAccessToken(credentials.accessToken || null);
+    api.setRefreshToken(credentials.refreshToken || null);
+    return api;
+  }
+
+  return {
+    createApi,
+    calls,
+    playback,
+
+    // Make the next call to `method` ('*' for any) fail with an error from spotifyError
+    failNext(method, error) {
+      failures.push({ method, error });
+    },
+
+    // Invalidate every issued access token; clients get a 401 until they refresh
+    expireAccessToken() {
+      tokenCounter++;
+      validAccessToken = `access-${tokenCounter}`;
+    },
+
+    get validAccessToken() {
+      return validAccessToken;
+    },
+
+    // Count the calls made to a method
+    callCount(method) {
+      return calls.filter(call => call.method === method).length;
+    },
+
+    // Add a playlist made of generated tracks (with audio features).
+    // `details` can override the name, ownerId, ownerName, public and collaborative flags.
+    addGeneratedPlaylist(id, trackCount, details = {}) {
+      const items = [];
+      for (let i = 0; i < trackCount; i++) {
+        const { track, features } = makeTrack(i);
+        tracks.set(track.id, track);
+        audioFeatures.set(track.id, features);
+        items.push({ id: track.id, addedAt: new Date(Date.UTC(2024, 0, 1)).toISOString() });
+      }
+      playlists.set(id, {
+        id,
+        name: `Generated ${trackCount}`,
+        description: '',
+        ownerId: fixtures.user.id,
+        public: false,
+        ...details,
+        items,
+        version: 1
+      });
+      return id;
+    },
+
+    // Change a playlist's tracks behind the server's back, as if someone edited it in the Spotify app
+    editPlaylist(id, trackIds) {
+      const playlist = getPlaylist(id);
+      playlist.items = trackIds.map(trackId => ({ id: trackId, addedAt: new Date().toISOString() }));
+      playlist.version++;
+    },
+
+    // The playlist's current track IDs, in order
+    playlistTrackIds(id) {
+      return getPlaylist(id).items.map(item => item.id);
+    }
+  };
+}
@@ -0,0 +1,65 @@
+// spotify-playlist-curator-mcp/test/llm-providers.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { createClaudeProvider, createLocalProvider, createStubProvider, createProviderRegistry } from '../llm-providers.js';
+import { createFakeClaude } from './fakes/fake-claude.js';
+
+test('the Claude provider sends the prompt to the client of the call', async () => {
+  const claude = createFakeClaude(['hello']);
+  const provider = createClaudeProvider({ getClient: context => context.claude });
+
+  assert.equal(await provider.complete('prompt', { claude }), 'hello');
+  assert.deepEqual(claude.prompts, ['prompt']);
+  await assert.rejects(provider.complete('prompt', {}), /No Claude client/);
+});
+
+test('the stub provider recommends the prompt\'s example tracks back', async () => {
+  const reply = await createStubProvider().complete('Tracks:\n- "Neon Tide" by Lumen Drift, Sola Vega\n- "Fog Index" by Greyfield\n');
+
+  assert.deepEqual(JSON.parse(reply).recommendations.map(rec => [rec.title, rec.artist]), [
+    ['Neon Tide', 'Lumen Drift'],
+    ['Fog Index', 'Greyfield']
+  ]);
+  assert.equal(await createStubProvider({ reply: prompt => prompt.toUpperCase() }).complete('abc'), 'ABC');
+});
+
+test('the local provider calls an OpenAI-compatible chat completions endpoint', async () => {
+  const requests = [];
+  const localServer = createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ url: req.url, auth: req.headers.authorization, body: JSON.parse(body) });
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ choices: [{ message: { content: '{"recommendations": []}' } }] }));
+    });
+  });
+  await new Promise(resolve => localServer.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const provider = createLocalProvider({
+      baseUrl: `http://127.0.0.1:${localServer.address().port}/v1/`,
+      model: 'test-model',
+      apiKey: 'secret'
+    });
+
+    assert.equal(await provider.complete('prompt'), '{"recommendations": []}');
+    assert.equal(requests[0].url, '/v1/chat/completions');
+    assert.equal(requests[0].auth, 'Bearer secret');
+    assert.equal(requests[0].body.model, 'test-model');
+    assert.deepEqual(requests[0].body.messages, [{ role: 'user', content: 'prompt' }]);
+  } finally {
+    localServer.close();
+  }
+});
+
+test('the registry looks providers up by name and checks new ones', () => {
+  const registry = createProviderRegistry([createStubProvider()]);
+  registry.register({ name: 'echo', description: 'Echo', complete: async prompt => prompt });
+
+  assert.deepEqual(registry.list().map(provider => provider.name), ['stub', 'echo']);
+  assert.equal(registry.get('missing'), null);
+  assert.throws(() => registry.register({ name: 'broken' }), /complete/);
+});
@@ -0,0 +1,47 @@
+// spotify-playlist-curator-mcp/test/playlist-cache.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPlaylistCache } from '../playlist-cache.js';
+
+const contents = name => ({ tracks: [{ id: `${name}-1`, uri: `spotify:track:${name}-1` }], summary: { mood: 'Calm' } });
+
+test('returns a playlist only while its snapshot matches', () => {
+  const cache = createPlaylistCache();
+  cache.set('pl-a', 'snap-1', contents('a'));
+
+  assert.equal(cache.get('pl-a', 'snap-1').tracks[0].id, 'a-1');
+  assert.equal(cache.get('pl-a', 'snap-2'), null);
+  // A stale entry is dropped, so the old snapshot doesn't come back either
+  assert.equal(cache.get('pl-a', 'snap-1'), null);
+  assert.deepEqual(
+    { hits: cache.stats().hits, misses: cache.stats().misses, stale: cache.stats().stale },
+    { hits: 1, misses: 2, stale: 1 }
+  );
+});
+
+test('invalidate forgets a playlist', () => {
+  const cache = createPlaylistCache();
+  cache.set('pl-a', 'snap-1', contents('a'));
+
+  cache.invalidate('pl-a');
+  cache.invalidate('pl-unknown');
+
+  assert.equal(cache.get('pl-a', 'snap-1'), null);
+  assert.equal(cache.stats().invalidations, 1);
+});
+
+test('evicts the least recently used playlist when full', () => {
+  const cache = createPlaylistCache({ maxEntries: 2 });
+  cache.set('pl-a', 'snap-1', contents('a'));
+  cache.set('pl-b', 'snap-1', contents('b'));
+
+  // Using pl-a makes pl-b the oldest
+  cache.get('pl-a', 'snap-1');
+  cache.set('pl-c', 'snap-1', contents('c'));
+
+  assert.equal(cache.stats().size, 2);
+  assert.notEqual(cache.get('pl-a', 'snap-1'), null);
+  assert.equal(cache.get('pl-b', 'snap-1'), null);
+  assert.notEqual(cache.get('pl-c', 'snap-1'), null);
+});
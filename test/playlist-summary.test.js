@@ -0,0 +1,86 @@
+// spotify-playlist-curator-mcp/test/playlist-summary.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { summarizePlaylist, determineMood } from '../playlist-summary.js';
+
+// Function to make an analyzed track with the given audio features
+const track = (features, artists = ['Lumen Drift'], artistIds = ['ar-lumen']) => ({
+  id: `tr-${Math.random().toString(36).slice(2)}`,
+  name: 'Track',
+  artists,
+  artistIds,
+  popularity: 50,
+  danceability: 0.5,
+  loudness: -8,
+  speechiness: 0.05,
+  acousticness: 0.2,
+  instrumentalness: 0.1,
+  liveness: 0.1,
+  tempo: 120,
+  ...features
+});
+
+test('maps valence and energy to moods', () => {
+  assert.equal(determineMood(0.8, 0.8), 'Euphoric/Excited');
+  assert.equal(determineMood(0.8, 0.5), 'Happy/Cheerful');
+  assert.equal(determineMood(0.5, 0.8), 'Energetic/Tense');
+  assert.equal(determineMood(0.5, 0.5), 'Balanced/Neutral');
+  assert.equal(determineMood(0.2, 0.8), 'Angry/Intense');
+  assert.equal(determineMood(0.2, 0.2), 'Sad/Melancholic');
+});
+
+test('averages the audio features and describes the mood', () => {
+  const summary = summarizePlaylist([
+    track({ valence: 0.9, energy: 0.8, tempo: 124 }),
+    track({ valence: 0.7, energy: 0.9, tempo: 128 })
+  ]);
+
+  assert.equal(summary.mood, 'Euphoric/Excited');
+  assert.equal(summary.trackCount, 2);
+  assert.equal(summary.averages.tempo, 126);
+  assert.ok(Math.abs(summary.averages.valence - 0.8) < 1e-9);
+  assert.equal(summary.popularityAvg, 50);
+  assert.match(summary.summary, /average tempo of 126 BPM/);
+  assert.match(summary.summary, /high energy/);
+});
+
+test('ignores tracks without audio features in the averages', () => {
+  const summary = summarizePlaylist([
+    track({ valence: 0.2, energy: 0.2 }),
+    track({ valence: undefined, energy: undefined, tempo: undefined })
+  ]);
+
+  assert.equal(summary.averages.valence, 0.2);
+  assert.equal(summary.averages.tempo, 120);
+  assert.equal(summary.mood, 'Sad/Melancholic');
+});
+
+test('describes empty playlists and playlists without features as Unknown', () => {
+  const empty = summarizePlaylist([]);
+  assert.equal(empty.mood, 'Unknown');
+  assert.equal(empty.popularityAvg, null);
+  assert.equal(empty.averages.energy, null);
+  assert.equal(empty.summary, 'This playlist has no tracks yet.');
+
+  const featureless = summarizePlaylist([track({ valence: null, energy: null })]);
+  assert.equal(featureless.mood, 'Unknown');
+  assert.match(featureless.summary, /no audio features/);
+});
+
+test('adds artist and genre profiles', () => {
+  const tracks = [
+    track({ valence: 0.5, energy: 0.5 }),
+    track({ valence: 0.5, energy: 0.5 }),
+    track({ valence: 0.5, energy: 0.5 }, ['Mara Quinn'], ['ar-mara'])
+  ];
+  const genres = new Map([['ar-lumen', ['chillwave']], ['ar-mara', ['indie folk']]]);
+
+  const summary = summarizePlaylist(tracks, genres);
+
+  assert.equal(summary.artists.topArtists[0].name, 'Lumen Drift');
+  assert.equal(summary.artists.topArtists[0].trackCount, 2);
+  assert.equal(summary.genres.topGenres[0].genre, 'chillwave');
+  assert.match(summary.summary, /main genres are chillwave, indie folk/);
+  assert.equal(summarizePlaylist(tracks).genres, null);
+});
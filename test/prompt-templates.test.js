@@ -0,0 +1,69 @@
+// spotify-playlist-curator-mcp/test/prompt-templates.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { renderTemplate, unknownVariables, createPromptTemplates } from '../prompt-templates.js';
+
+const directory = fileURLToPath(new URL('../prompts', import.meta.url));
+
+test('fills in variables and leaves unknown ones empty', () => {
+  assert.equal(renderTemplate('Recommend {{count}} songs{{missing}}.', { count: 5 }), 'Recommend 5 songs.');
+});
+
+test('shows sections only when their variable is set', () => {
+  const text = 'A\n{{#genres}}\nGenres: {{genres}}\n{{/genres}}\n{{^genres}}\nNo genres\n{{/genres}}\nB';
+
+  assert.equal(renderTemplate(text, { genres: 'rock' }), 'A\nGenres: rock\nB');
+  assert.equal(renderTemplate(text, { genres: '' }), 'A\nNo genres\nB');
+  assert.equal(renderTemplate(text, {}), 'A\nNo genres\nB');
+});
+
+test('handles nested sections and drops comments', () => {
+  const text = '{{! a comment }}\n{{#a}}[{{#b}}{{b}}{{/b}}]{{/a}}';
+
+  assert.equal(renderTemplate(text, { a: true, b: 'x' }), '[x]');
+  assert.equal(renderTemplate(text, { a: true }), '[]');
+  assert.equal(renderTemplate(text, { b: 'x' }), '');
+});
+
+test('reports variables that no template can fill', () => {
+  assert.deepEqual(unknownVariables('{{count}} {{#decade}}{{decade}}{{/decade}} {{! {{ignored}} }}'), ['decade']);
+});
+
+test('loads the bundled templates with their descriptions', () => {
+  const templates = createPromptTemplates({ directory });
+  const names = templates.list().map(template => template.name);
+
+  assert.ok(['default', 'deep-cuts', 'era-matched'].every(name => names.includes(name)));
+  templates.list().forEach(template => {
+    assert.ok(template.description.length > 0);
+    assert.deepEqual(template.unknownVariables, []);
+  });
+});
+
+test('renders the default template without leftover tags', () => {
+  const templates = createPromptTemplates({ directory });
+  const prompt = templates.render('default', {
+    count: 3,
+    target: 'this Spotify playlist',
+    subject: 'the existing playlist',
+    name: 'Evening Drive',
+    sampleTracks: '- "Neon Tide" by Lumen Drift',
+    constraints: '- No songs with explicit lyrics',
+    schema: '{}'
+  });
+
+  assert.match(prompt, /^I want you to recommend 3 songs/);
+  assert.match(prompt, /Playlist name: Evening Drive/);
+  assert.match(prompt, /requirements:\n- No songs with explicit lyrics/);
+  assert.doesNotMatch(prompt, /\{\{|\}\}|Stay within the genres/);
+});
+
+test('returns null for unknown or unsafe template names', () => {
+  const templates = createPromptTemplates({ directory });
+
+  assert.equal(templates.get('no-such-template'), null);
+  assert.equal(templates.get('../package-json'), null);
+  assert.equal(templates.render('no-such-template', {}), null);
+});
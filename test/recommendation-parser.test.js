@@ -0,0 +1,58 @@
+// spotify-playlist-curator-mcp/test/recommendation-parser.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRecommendations } from '../recommendation-parser.js';
+
+test('parses a JSON reply', () => {
+  const { format, recommendations } = parseRecommendations(JSON.stringify({
+    recommendations: [
+      { title: ' Neon Tide ', artist: 'Lumen Drift', album: 'Night Swim', year: '2019', reason: 'Same hazy synths' },
+      { title: 'Cedar Smoke', artist: 'Mara Quinn', album: '', year: null }
+    ]
+  }));
+
+  assert.equal(format, 'json');
+  assert.deepEqual(recommendations, [
+    { title: 'Neon Tide', artist: 'Lumen Drift', album: 'Night Swim', year: 2019, reason: 'Same hazy synths' },
+    { title: 'Cedar Smoke', artist: 'Mara Quinn', album: null, year: null, reason: null }
+  ]);
+});
+
+test('finds JSON inside code fences and prose', () => {
+  const fenced = parseRecommendations('Here you go:\n```json\n{"recommendations": [{"title": "Fog Index", "artist": "Greyfield"}]}\n```\nEnjoy!');
+  const bare = parseRecommendations('Sure! [{"title": "Fog Index", "artist": "Greyfield"}] Hope that helps.');
+
+  assert.equal(fenced.format, 'json');
+  assert.equal(fenced.recommendations[0].title, 'Fog Index');
+  assert.equal(bare.format, 'json');
+  assert.equal(bare.recommendations[0].artist, 'Greyfield');
+});
+
+test('drops entries without a title or artist', () => {
+  const { recommendations } = parseRecommendations(JSON.stringify({
+    recommendations: [{ title: 'No Artist' }, null, 'text', { title: 'Paper Boats', artist: 'The Harbor Lights' }]
+  }));
+
+  assert.deepEqual(recommendations.map(rec => rec.title), ['Paper Boats']);
+});
+
+test('falls back to "Title - Artist" lines', () => {
+  const { format, recommendations } = parseRecommendations([
+    'Here are some songs:',
+    '1. "Satellite Kiss" - Sola Vega',
+    '- Run-Around Sue - Dion',
+    '* Empire State of Mind - Jay-Z'
+  ].join('\n'));
+
+  assert.equal(format, 'text');
+  assert.deepEqual(recommendations.map(rec => [rec.title, rec.artist]), [
+    ['Satellite Kiss', 'Sola Vega'],
+    ['Run-Around Sue', 'Dion'],
+    ['Empire State of Mind', 'Jay-Z']
+  ]);
+});
+
+test('returns no recommendations for an unusable reply', () => {
+  assert.deepEqual(parseRecommendations('I cannot help with that.'), { format: 'text', recommendations: [] });
+});
@@ -0,0 +1,75 @@
+// spotify-playlist-curator-mcp/test/scheduler.test.js
+// Catching up on scheduled jobs at startup, before the MCP framework hands over a Claude client
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { createFakeSpotify } from './fakes/fake-spotify.js';
+import { createMemoryTokenStore } from '../token-store.js';
+
+const dataDir = mkdtempSync(path.join(tmpdir(), 'curator-scheduler-test-'));
+const overdue = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+
+// Function to describe a job that should have run an hour ago
+const overdueJob = (id, options) => ({
+  id,
+  name: id,
+  type: 'addRecommendations',
+  playlistId: 'pl-quiet',
+  account: 'test-user',
+  schedule: { every: 'day', at: '08:00' },
+  options,
+  createdAt: overdue,
+  nextRunAt: overdue,
+  lastRunAt: null,
+  history: []
+});
+
+// The server reads these when it's imported
+process.env.CURATOR_DATA_DIR = dataDir;
+process.env.SPOTIFY_CLIENT_ID = 'test-client';
+process.env.SPOTIFY_CLIENT_SECRET = 'test-secret';
+process.env.SPOTIFY_USE_PKCE = 'false';
+process.env.TOKEN_STORE = 'memory';
+
+writeFileSync(path.join(dataDir, '.spotify_jobs.json'), JSON.stringify([
+  overdueJob('needs-claude', { count: 1 }),
+  overdueJob('uses-stub', { count: 1, provider: 'stub' })
+]));
+
+const { server, injectClients } = await import('../mcp-server.js');
+
+const spotify = createFakeSpotify();
+const logger = { info() {}, error() {} };
+
+after(() => {
+  rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('missed jobs run at startup, except those still waiting for a Claude client', async () => {
+  injectClients({
+    createSpotifyApi: credentials => spotify.createApi(credentials),
+    tokenStore: createMemoryTokenStore({
+      accounts: { 'test-user': { displayName: 'Test User', accessToken: spotify.validAccessToken, refreshToken: 'refresh-1', expiresAt: Date.now() + 3600000 } }
+    })
+  });
+
+  await server.init({ logger });
+
+  const findJob = async id => (await server.methods.listJobs({ args: {}, logger })).jobs.find(job => job.id === id);
+  for (let i = 0; i < 500 && (await findJob('uses-stub')).history.length === 0; i++) {
+    await new Promise(resolve => setTimeout(resolve, 2));
+  }
+
+  const stub = await findJob('uses-stub');
+  assert.equal(stub.history.length, 1);
+  assert.equal(stub.history[0].trigger, 'schedule');
+  assert.ok(Date.parse(stub.nextRunAt) > Date.now());
+
+  // Without a Claude client the job isn't failed and pushed back a day: it stays due
+  const waiting = await findJob('needs-claude');
+  assert.deepEqual(waiting.history, []);
+  assert.equal(waiting.nextRunAt, overdue);
+});
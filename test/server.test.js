@@ -0,0 +1,611 @@
+// spotify-playlist-curator-mcp/test/server.test.js
+// MCP methods against the fake Spotify API and a scripted Claude
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { createFakeSpotify, spotifyError } from './fakes/fake-spotify.js';
+import { createFakeClaude } from './fakes/fake-claude.js';
+import { createMemoryTokenStore } from '../token-store.js';
+import { createCuratorShell } from '../curator-shell.js';
+
+const dataDir = mkdtempSync(path.join(tmpdir(), 'curator-test-'));
+
+// The server reads these when it's imported
+process.env.CURATOR_DATA_DIR = dataDir;
+process.env.SPOTIFY_CLIENT_ID = 'test-client';
+process.env.SPOTIFY_CLIENT_SECRET = 'test-secret';
+process.env.SPOTIFY_USE_PKCE = 'false';
+process.env.TOKEN_STORE = 'memory';
+
+// A signed-in account whose access token has already expired
+const tokenStore = createMemoryTokenStore({
+  accounts: {
+    'test-user': {
+      displayName: 'Test User',
+      accessToken: 'access-0',
+      refreshToken: 'refresh-1',
+      expiresAt: Date.now() - 1000
+    }
+  }
+});
+
+const { server, injectClients } = await import('../mcp-server.js');
+
+const spotify = createFakeSpotify();
+const claude = createFakeClaude();
+const logger = { info() {}, error() {} };
+
+// Function to call an MCP method the way the framework does
+const call = (method, args = {}) => server.methods[method]({ args, state: {}, claude, logger });
+
+// Function to poll a background job until it has finished
+async function waitForJob(jobId) {
+  let job = await call('getJobStatus', { jobId });
+  for (let i = 0; i < 500 && job.status === 'running'; i++) {
+    await new Promise(resolve => setTimeout(resolve, 2));
+    job = await call('getJobStatus', { jobId });
+  }
+  return job;
+}
+
+before(() => {
+  injectClients({ createSpotifyApi: credentials => spotify.createApi(credentials), claude, tokenStore });
+});
+
+after(() => {
+  rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('refreshes an expired access token before calling Spotify', async () => {
+  const response = await call('getPlaylists');
+
+  assert.equal(response.error, undefined);
+  assert.equal(spotify.callCount('refreshAccessToken'), 1);
+  assert.deepEqual(response.playlists.map(playlist => playlist.name), ['Evening Drive', 'Quiet Hours']);
+
+  const saved = tokenStore.load().accounts['test-user'];
+  assert.equal(saved.accessToken, spotify.validAccessToken);
+  assert.ok(saved.expiresAt > Date.now());
+});
+
+test('refreshes the token and retries when Spotify answers 401', async () => {
+  spotify.expireAccessToken();
+  const refreshes = spotify.callCount('refreshAccessToken');
+
+  const response = await call('getPlaylists');
+
+  assert.equal(response.error, undefined);
+  assert.equal(spotify.callCount('refreshAccessToken'), refreshes + 1);
+});
+
+test('waits out rate limiting', async () => {
+  spotify.failNext('getUserPlaylists', spotifyError(429, 'Too many requests', { retryAfter: 0 }));
+
+  const response = await call('getPlaylists');
+
+  assert.equal(response.playlists.length, 2);
+});
+
+test('getPlaylistDetails pages through large playlists and batches audio features', async () => {
+  spotify.addGeneratedPlaylist('pl-big', 250);
+  const pageCalls = spotify.callCount('getPlaylistTracks');
+
+  const details = await call('getPlaylistDetails', { playlistId: 'pl-big' });
+
+  assert.equal(details.error, undefined);
+  assert.equal(details.tracks.length, 250);
+  assert.equal(details.tracks[249].name, 'Generated Track 249');
+  assert.deepEqual(
+    spotify.calls.filter(entry => entry.method === 'getPlaylistTracks').slice(pageCalls).map(entry => entry.args[1].offset),
+    [0, 100, 200]
+  );
+  assert.equal(details.featureCache.misses, 250);
+  assert.equal(details.featureCache.batches, 3);
+  assert.ok(spotify.calls
+    .filter(entry => entry.method === 'getAudioFeaturesForTracks')
+    .every(entry => entry.args[0].length <= 100));
+
+  // Downloading the tracks again, their features come from the cache
+  const again = await call('getPlaylistDetails', { playlistId: 'pl-big', forceRefresh: true });
+  assert.equal(again.playlistCache.hit, false);
+  assert.equal(again.featureCache.hits, 250);
+  assert.equal(again.featureCache.batches, 0);
+});
+
+test('getPlaylistDetails reuses a playlist until its snapshot changes', async () => {
+  spotify.addGeneratedPlaylist('pl-cached', 150);
+  const pageCalls = () => spotify.callCount('getPlaylistTracks');
+
+  const first = await call('getPlaylistDetails', { playlistId: 'pl-cached' });
+  assert.equal(first.playlistCache.hit, false);
+
+  // Unchanged: nothing is downloaded again, and the tracks can't be changed through the response
+  first.tracks[0].name = 'Changed by a caller';
+  let calls = pageCalls();
+  const cached = await call('getPlaylistDetails', { playlistId: 'pl-cached' });
+  assert.equal(cached.playlistCache.hit, true);
+  assert.equal(pageCalls(), calls);
+  assert.equal(cached.tracks.length, 150);
+  assert.equal(cached.tracks[0].name, 'Generated Track 0');
+  assert.deepEqual(cached.summary, first.summary);
+
+  // Changed in the Spotify app: a new snapshot, so the tracks are downloaded again
+  spotify.editPlaylist('pl-cached', spotify.playlistTrackIds('pl-cached').slice(0, 120));
+  calls = pageCalls();
+  const edited = await call('getPlaylistDetails', { playlistId: 'pl-cached' });
+  assert.equal(edited.playlistCache.hit, false);
+  assert.equal(edited.tracks.length, 120);
+  assert.ok(pageCalls() > calls);
+
+  // Changed by the server itself: the cached copy is dropped
+  await call('removeTracksFromPlaylist', { playlistId: 'pl-cached', trackUris: [edited.tracks[0].uri] });
+  const afterRemove = await call('getPlaylistDetails', { playlistId: 'pl-cached' });
+  assert.equal(afterRemove.playlistCache.hit, false);
+  assert.equal(afterRemove.tracks.length, 119);
+
+  // forceRefresh always downloads the tracks
+  calls = pageCalls();
+  const forced = await call('getPlaylistDetails', { playlistId: 'pl-cached', forceRefresh: true });
+  assert.equal(forced.playlistCache.hit, false);
+  assert.ok(pageCalls() > calls);
+});
+
+test('getPlaylistDetails summarizes mood, artists and genres', async () => {
+  const details = await call('getPlaylistDetails', { playlistId: 'pl-evening' });
+
+  assert.equal(details.name, 'Evening Drive');
+  assert.equal(details.trackCount, 6);
+  assert.notEqual(details.summary.mood, 'Unknown');
+  assert.equal(details.summary.artists.artistCount, 3);
+  assert.ok(details.summary.genres.topGenres.some(({ genre }) => genre === 'indie rock'));
+});
+
+test('getClaudeRecommendations matches Claude\'s picks on Spotify', async () => {
+  claude.script({
+    recommendations: [
+      { title: 'Cedar Smoke', artist: 'Mara Quinn', album: 'Kindling', year: 2018, reason: 'Warm and mellow' },
+      { title: 'Neon Tide', artist: 'Lumen Drift', reason: 'Already a favourite' },
+      { title: 'A Song That Does Not Exist', artist: 'Nobody', reason: 'Made up' }
+    ]
+  });
+
+  const response = await call('getClaudeRecommendations', { playlistId: 'pl-evening', count: 3, excludeExisting: true });
+
+  assert.equal(response.error, undefined);
+  const [cedar, ...rest] = response.claudeRecommendations;
+  assert.equal(cedar.matched, true);
+  assert.equal(cedar.uri, 'spotify:track:tr-09');
+  assert.ok(cedar.confidence >= 0.9);
+
+  // Songs already in the playlist are filtered out, unknown songs are kept unmatched
+  assert.ok(response.filteredOut.some(rec => rec.uri === 'spotify:track:tr-01'));
+  assert.deepEqual(rest.map(rec => [rec.name, rec.matched]), [['A Song That Does Not Exist', false]]);
+
+  // The prompt describes the playlist, including its genres
+  const prompt = claude.prompts.at(-1);
+  assert.match(prompt, /Playlist name: Evening Drive/);
+  assert.match(prompt, /Top genres: /);
+  assert.match(prompt, /Only recommend songs that are not already in the playlist/);
+});
+
+test('getClaudeRecommendations can use another template and provider', async () => {
+  const response = await call('getClaudeRecommendations', {
+    playlistId: 'pl-evening',
+    template: 'era-matched',
+    provider: 'stub',
+    sampleSize: 3
+  });
+
+  assert.equal(response.error, undefined);
+  assert.equal(response.template, 'era-matched');
+  assert.equal(response.provider, 'stub');
+  assert.match(response.originalPrompt, /Release years: 2016-2021/);
+  assert.equal(response.claudeRecommendations.length, 3);
+  assert.ok(response.claudeRecommendations.every(rec => rec.matched && rec.inPlaylist));
+
+  const unknown = await call('getClaudeRecommendations', { playlistId: 'pl-evening', template: 'missing' });
+  assert.match(unknown.error, /Unknown prompt template "missing"/);
+});
+
+test('listPromptTemplates and listLlmProviders describe the choices', async () => {
+  const { templates, defaultTemplate } = await call('listPromptTemplates');
+  const { providers, defaultProvider } = await call('listLlmProviders');
+
+  assert.equal(defaultTemplate, 'default');
+  assert.ok(templates.some(template => template.name === 'deep-cuts'));
+  assert.equal(defaultProvider, 'claude');
+  assert.deepEqual(providers.map(provider => provider.name), ['claude', 'local', 'stub']);
+});
+
+test('getPlaylistDetails can run as a background job', async () => {
+  spotify.addGeneratedPlaylist('pl-background', 230);
+
+  const started = await call('getPlaylistDetails', { playlistId: 'pl-background', background: true });
+  assert.match(started.jobId, /^bg-/);
+  assert.equal(started.status, 'running');
+
+  const job = await waitForJob(started.jobId);
+  assert.equal(job.status, 'completed');
+  assert.equal(job.percent, 100);
+  assert.equal(job.result.tracks.length, 230);
+
+  const unknown = await call('getJobStatus', { jobId: 'bg-unknown' });
+  assert.match(unknown.error, /not found/);
+});
+
+test('a background getClaudeRecommendations job reports its phase and can be cancelled', async () => {
+  // A model that doesn't answer until the test lets it
+  let answer;
+  injectClients({
+    llmProviders: [{
+      name: 'slow',
+      description: 'Answers when the test says so',
+      complete: () => new Promise(resolve => {
+        answer = () => resolve('{"recommendations": [{"title": "Cedar Smoke", "artist": "Mara Quinn"}]}');
+      })
+    }]
+  });
+  const callSlowly = args => call('getClaudeRecommendations', { ...args, provider: 'slow' });
+
+  const started = await callSlowly({ playlistId: 'pl-evening', background: true });
+  let status = await call('getJobStatus', { jobId: started.jobId });
+  for (let i = 0; i < 100 && !answer; i++) {
+    await new Promise(resolve => setTimeout(resolve, 1));
+    status = await call('getJobStatus', { jobId: started.jobId });
+  }
+  assert.equal(status.phase, 'prompting slow');
+  assert.equal(status.percent, 40);
+
+  const cancelled = await call('cancelJob', { jobId: started.jobId });
+  assert.equal(cancelled.success, true);
+  answer();
+  const job = await waitForJob(started.jobId);
+  assert.equal(job.status, 'cancelled');
+  assert.equal(job.result, null);
+
+  const again = await call('cancelJob', { jobId: started.jobId });
+  assert.match(again.error, /already finished/);
+
+  // Left to finish, the job has the usual response as its result
+  answer = null;
+  const completed = await callSlowly({ playlistId: 'pl-evening', background: true });
+  for (let i = 0; i < 100 && !answer; i++) {
+    await new Promise(resolve => setTimeout(resolve, 1));
+  }
+  answer();
+  const finished = await waitForJob(completed.jobId);
+  assert.equal(finished.status, 'completed');
+  assert.equal(finished.result.claudeRecommendations[0].uri, 'spotify:track:tr-09');
+});
+
+test('addRecommendationsToPlaylist previews with dryRun, then adds and snapshots', async () => {
+  const before = spotify.playlistTrackIds('pl-quiet');
+
+  const preview = await call('addRecommendationsToPlaylist', {
+    playlistId: 'pl-quiet',
+    trackUris: ['spotify:track:tr-02'],
+    dryRun: true
+  });
+  assert.deepEqual(preview.diff.added, ['spotify:track:tr-02']);
+  assert.deepEqual(spotify.playlistTrackIds('pl-quiet'), before);
+
+  const result = await call('addRecommendationsToPlaylist', {
+    playlistId: 'pl-quiet',
+    trackUris: ['spotify:track:tr-02']
+  });
+  assert.equal(result.success, true);
+  assert.deepEqual(spotify.playlistTrackIds('pl-quiet'), [...before, 'tr-02']);
+
+  const snapshots = await call('listPlaylistSnapshots', { playlistId: 'pl-quiet' });
+  assert.equal(snapshots.snapshots[0].localSnapshotId, result.localSnapshotId);
+});
+
+test('listAccounts lists the signed-in account', async () => {
+  const response = await call('listAccounts');
+
+  assert.deepEqual(response.accounts.map(account => account.id), ['test-user']);
+});
+
+test('searchTracks searches Spotify', async () => {
+  const response = await call('searchTracks', { query: 'track:Fog Index artist:Greyfield' });
+
+  assert.deepEqual(response.tracks.map(track => track.id), ['tr-07']);
+});
+
+test('searchTracks pages through results in a market', async () => {
+  const response = await call('searchTracks', { query: 'Generated Track', limit: 5, offset: 5, market: 'GB' });
+
+  assert.equal(response.offset, 5);
+  assert.equal(response.tracks[0].name, 'Generated Track 5');
+  assert.equal(spotify.calls.at(-1).args[1].market, 'GB');
+
+  const invalid = await call('searchTracks', { query: 'Fog', market: 'Britain' });
+  assert.match(invalid.error, /market/);
+});
+
+test('searchSpotify finds artists, albums and playlists', async () => {
+  const response = await call('searchSpotify', { query: 'quiet', types: ['artist', 'album', 'playlist'] });
+
+  assert.equal(response.error, undefined);
+  assert.deepEqual(response.playlists.items.map(playlist => playlist.id), ['pl-quiet']);
+  assert.equal(response.playlists.nextOffset, null);
+  assert.ok(Array.isArray(response.artists.items));
+  assert.ok(Array.isArray(response.albums.items));
+
+  const paged = await call('searchSpotify', { query: 'Generated', types: ['track'], limit: 50 });
+  assert.equal(paged.tracks.items.length, 50);
+  assert.equal(paged.tracks.nextOffset, 50);
+
+  const invalid = await call('searchSpotify', { query: 'quiet', types: ['podcast'] });
+  assert.match(invalid.error, /types/);
+});
+
+test('getPlaylists fetches every page and filters the playlists', async () => {
+  for (let i = 0; i < 60; i++) {
+    spotify.addGeneratedPlaylist(`pl-many-${i}`, 1, {
+      name: `Mixtape ${i}`,
+      ...(i % 3 === 0 ? { ownerId: 'friend', ownerName: 'A Friend' } : {}),
+      public: i % 2 === 0,
+      collaborative: i === 7
+    });
+  }
+
+  const all = await call('getPlaylists');
+  assert.equal(all.playlists.length, all.total);
+  assert.ok(all.total > 60);
+  assert.ok(spotify.calls.filter(entry => entry.method === 'getUserPlaylists').slice(-2).every(entry => entry.args[0].limit === 50));
+
+  const followed = await call('getPlaylists', { ownership: 'followed', name: 'mixtape' });
+  assert.equal(followed.playlists.length, 20);
+  assert.ok(followed.playlists.every(playlist => playlist.ownerId === 'friend'));
+
+  const ownedPublic = await call('getPlaylists', { ownership: 'owned', visibility: 'public', name: 'Mixtape' });
+  assert.ok(ownedPublic.playlists.every(playlist => playlist.public && playlist.ownerId === 'test-user'));
+  assert.equal(ownedPublic.playlists.length, 20);
+
+  const collaborative = await call('getPlaylists', { collaborative: true });
+  assert.deepEqual(collaborative.playlists.map(playlist => playlist.name), ['Mixtape 7']);
+
+  const invalid = await call('getPlaylists', { ownership: 'mine' });
+  assert.match(invalid.error, /ownership/);
+});
+
+test('getPlaylists pages through playlists manually', async () => {
+  const first = await call('getPlaylists', { offset: 0, limit: 10 });
+  assert.equal(first.playlists.length, 10);
+  assert.equal(first.nextOffset, 10);
+
+  const last = await call('getPlaylists', { offset: first.total - 3, limit: 10 });
+  assert.equal(last.playlists.length, 3);
+  assert.equal(last.nextOffset, null);
+
+  const invalid = await call('getPlaylists', { offset: 0, limit: 100 });
+  assert.match(invalid.error, /limit/);
+});
+
+test('analyzePlaylistProfile describes feature distributions', async () => {
+  const response = await call('analyzePlaylistProfile', { playlistId: 'pl-evening', bins: 5 });
+
+  assert.equal(response.error, undefined);
+  assert.equal(response.features.energy.histogram.length, 5);
+});
+
+test('findDuplicates finds and removes repeated tracks', async () => {
+  const found = await call('findDuplicates', { playlistId: 'pl-quiet' });
+  assert.equal(found.duplicateCount, 1);
+  assert.equal(found.groups[0].keep.id, 'tr-09');
+
+  const removed = await call('findDuplicates', { playlistId: 'pl-quiet', remove: true });
+  assert.equal(removed.removed, 1);
+  assert.equal(spotify.playlistTrackIds('pl-quiet').filter(id => id === 'tr-09').length, 1);
+});
+
+test('restorePlaylistSnapshot undoes the last change', async () => {
+  const response = await call('restorePlaylistSnapshot', { playlistId: 'pl-quiet' });
+
+  assert.equal(response.error, undefined);
+  assert.equal(spotify.playlistTrackIds('pl-quiet').filter(id => id === 'tr-09').length, 2);
+});
+
+test('undo in the shell steps back one change at a time', async () => {
+  spotify.addGeneratedPlaylist('pl-undo', 2, { name: 'Undo Steps' });
+  const original = spotify.playlistTrackIds('pl-undo');
+  await call('addRecommendationsToPlaylist', { playlistId: 'pl-undo', trackUris: ['spotify:track:tr-07'] });
+  const afterFirstAdd = spotify.playlistTrackIds('pl-undo');
+  await call('addRecommendationsToPlaylist', { playlistId: 'pl-undo', trackUris: ['spotify:track:tr-09'] });
+
+  const output = [];
+  const client = new Proxy({}, { get: (_, method) => args => call(method, args) });
+  const shell = createCuratorShell({ client, print: line => output.push(line) });
+  await shell.execute('open Undo Steps');
+
+  await shell.execute('undo');
+  assert.deepEqual(spotify.playlistTrackIds('pl-undo'), afterFirstAdd);
+
+  // The second undo goes further back instead of redoing the first one
+  await shell.execute('undo');
+  assert.deepEqual(spotify.playlistTrackIds('pl-undo'), original);
+
+  await shell.execute('undo');
+  assert.match(output.at(-1), /no changes left to undo/);
+  assert.deepEqual(spotify.playlistTrackIds('pl-undo'), original);
+});
+
+test('removeTracksFromPlaylist removes every copy of a track', async () => {
+  const response = await call('removeTracksFromPlaylist', { playlistId: 'pl-quiet', trackUris: ['spotify:track:tr-09'] });
+
+  assert.equal(response.error, undefined);
+  assert.ok(!spotify.playlistTrackIds('pl-quiet').includes('tr-09'));
+});
+
+test('sequencePlaylist orders tracks and applies the order', async () => {
+  const response = await call('sequencePlaylist', { playlistId: 'pl-evening', energyCurve: 'ascending', apply: true });
+
+  assert.equal(response.error, undefined);
+  assert.deepEqual(
+    [...spotify.playlistTrackIds('pl-evening')].sort(),
+    ['tr-01', 'tr-02', 'tr-03', 'tr-04', 'tr-05', 'tr-06']
+  );
+});
+
+test('sequencePlaylist rejects energy curves inherited from Object.prototype', async () => {
+  for (const energyCurve of ['toString', 'constructor']) {
+    const response = await call('sequencePlaylist', { playlistId: 'pl-evening', energyCurve });
+    assert.match(response.error, new RegExp(`Unknown energy curve "${energyCurve}"`));
+  }
+});
+
+test('exportPlaylist and importPlaylist round-trip a playlist', async () => {
+  const exported = await call('exportPlaylist', { playlistId: 'pl-evening', format: 'csv' });
+  assert.equal(exported.trackCount, 6);
+
+  const imported = await call('importPlaylist', { content: exported.content, format: 'csv', name: 'Evening Drive Copy' });
+  assert.equal(imported.error, undefined);
+  assert.deepEqual(
+    [...spotify.playlistTrackIds(imported.playlist.id)].sort(),
+    [...spotify.playlistTrackIds('pl-evening')].sort()
+  );
+});
+
+test('exportPlaylist and importPlaylist keep files inside the playlist files directory', async () => {
+  const exported = await call('exportPlaylist', { playlistId: 'pl-evening', format: 'm3u8', filePath: 'exports/evening.m3u8' });
+  assert.equal(exported.filePath, path.join(dataDir, 'playlist-files', 'exports', 'evening.m3u8'));
+
+  const imported = await call('importPlaylist', { filePath: 'exports/evening.m3u8', dryRun: true });
+  assert.equal(imported.error, undefined);
+
+  for (const method of ['exportPlaylist', 'importPlaylist']) {
+    const absolute = await call(method, { playlistId: 'pl-evening', filePath: '/etc/passwd' });
+    assert.match(absolute.error, /must be relative/);
+
+    const outside = await call(method, { playlistId: 'pl-evening', filePath: '../../.ssh/authorized_keys' });
+    assert.match(outside.error, /must stay inside/);
+  }
+});
+
+test('createSmartPlaylist rejects unknown and prototype field names', async () => {
+  for (const field of ['toString', 'constructor', 'mood']) {
+    const response = await call('createSmartPlaylist', {
+      name: 'Broken',
+      rules: { match: 'all', conditions: [{ field, operator: 'is', value: 'x' }] }
+    });
+    assert.match(response.error, new RegExp(`unknown field "${field}"`));
+  }
+
+  const sorted = await call('createSmartPlaylist', {
+    name: 'Broken',
+    rules: { match: 'all', conditions: [{ field: 'energy', operator: '<', value: 0.4 }] },
+    sortBy: 'constructor'
+  });
+  assert.match(sorted.error, /Unknown sortBy field "constructor"/);
+});
+
+test('createSmartPlaylist builds a playlist from rules, and refreshSmartPlaylist rebuilds it', async () => {
+  const created = await call('createSmartPlaylist', {
+    name: 'Calm saved tracks',
+    rules: { match: 'all', conditions: [{ field: 'energy', operator: '<', value: 0.4 }] }
+  });
+  assert.equal(created.error, undefined);
+  assert.deepEqual([...spotify.playlistTrackIds(created.playlistId)].sort(), ['tr-07', 'tr-09']);
+
+  const listed = await call('listSmartPlaylists');
+  assert.ok(listed.smartPlaylists.some(definition => definition.playlistId === created.playlistId));
+
+  const refreshed = await call('refreshSmartPlaylist', { playlistId: created.playlistId });
+  assert.equal(refreshed.trackCount, 2);
+});
+
+test('clusterPlaylist splits a playlist into mood clusters', async () => {
+  const response = await call('clusterPlaylist', { playlistId: 'pl-evening', clusters: 2 });
+
+  assert.equal(response.clusterCount, 2);
+  assert.equal(response.clusters.reduce((acc, cluster) => acc + cluster.trackCount, 0), 6);
+});
+
+test('library sources return analysed tracks', async () => {
+  const saved = await call('getSavedTracks', { limit: 3 });
+  assert.deepEqual(saved.tracks.map(track => track.id), ['tr-05', 'tr-09', 'tr-01']);
+
+  const top = await call('getTopTracks', { timeRange: 'short_term', limit: 2 });
+  assert.equal(top.tracks.length, 2);
+  assert.equal(top.source.timeRange, 'short_term');
+  assert.equal(typeof top.tracks[0].energy, 'number');
+
+  const recent = await call('getRecentlyPlayed', { limit: 2 });
+  assert.ok(recent.tracks[0].playedAt);
+
+  const artists = await call('getTopArtists', { limit: 2 });
+  assert.deepEqual(artists.artists.map(artist => artist.name), ['Sola Vega', 'Lumen Drift']);
+});
+
+test('top tracks and artists reject time ranges inherited from Object.prototype', async () => {
+  const tracks = await call('getTopTracks', { timeRange: 'toString' });
+  assert.match(tracks.error, /timeRange must be one of short_term, medium_term, long_term/);
+
+  const artists = await call('getTopArtists', { timeRange: 'constructor' });
+  assert.match(artists.error, /timeRange must be one of short_term, medium_term, long_term/);
+});
+
+test('playback methods list devices, play and queue', async () => {
+  const devices = await call('getDevices');
+  assert.equal(devices.devices[0].id, 'dev-laptop');
+
+  await call('startPlayback', { trackUris: ['spotify:track:tr-05'], deviceId: 'dev-laptop' });
+  assert.deepEqual(spotify.playback.playing.uris, ['spotify:track:tr-05']);
+
+  const queued = await call('addToQueue', { trackUris: ['spotify:track:tr-06'] });
+  assert.deepEqual(queued.queued, ['spotify:track:tr-06']);
+});
+
+test('getClaudeRecommendations and createJob reject feature ranges that are not objects', async () => {
+  for (const features of [{ energy: null }, { energy: 0.8 }, null]) {
+    const recommendations = await call('getClaudeRecommendations', { playlistId: 'pl-evening', features });
+    assert.match(recommendations.error, /must be an object/);
+
+    const job = await call('createJob', {
+      type: 'addRecommendations',
+      playlistId: 'pl-quiet',
+      schedule: { every: 'week', day: 'monday', at: '08:00' },
+      options: { features }
+    });
+    assert.match(job.error, /must be an object/);
+  }
+});
+
+test('jobs can be created, run, listed and deleted', async () => {
+  claude.script({ recommendations: [{ title: 'River Mouth', artist: 'Mara Quinn' }] });
+
+  const job = await call('createJob', {
+    type: 'addRecommendations',
+    playlistId: 'pl-quiet',
+    schedule: { every: 'week', day: 'monday', at: '08:00' },
+    options: { count: 1 }
+  });
+  assert.equal(job.error, undefined);
+
+  const { run } = await call('runJobNow', { jobId: job.id });
+  assert.equal(run.status, 'success');
+  assert.equal(run.addedTracks.length, 1);
+
+  const listed = await call('listJobs');
+  assert.equal(listed.jobs[0].history.length, 1);
+
+  await call('deleteJob', { jobId: job.id });
+  assert.equal((await call('listJobs')).jobs.length, 0);
+});
+
+test('createPlaylist creates an empty playlist', async () => {
+  const response = await call('createPlaylist', { name: 'Fresh' });
+
+  assert.equal(response.name, 'Fresh');
+  assert.deepEqual(spotify.playlistTrackIds(response.id), []);
+});
+
+test('methods report a missing playlist as an error', async () => {
+  const response = await call('getPlaylistDetails', { playlistId: 'pl-missing' });
+
+  assert.match(response.error, /not found/);
+});
@@ -0,0 +1,48 @@
+// spotify-playlist-curator-mcp/test/snapshots.test.js
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { createSnapshotStore } from '../snapshots.js';
+
+const dir = mkdtempSync(path.join(tmpdir(), 'curator-snapshots-'));
+let storeCount = 0;
+const newStore = () => createSnapshotStore({ filePath: path.join(dir, `snapshots-${++storeCount}.json`) });
+
+// Function to save a snapshot of a playlist with the given tracks
+const snap = (store, account, trackUris, restoredSnapshotId) =>
+  store.save({ playlistId: 'pl-a', account, action: 'test', description: '', spotifySnapshotId: 's', trackUris, restoredSnapshotId });
+
+after(() => {
+  rmSync(dir, { recursive: true, force: true });
+});
+
+test('lists only the snapshots taken for one account', () => {
+  const store = newStore();
+  const mine = snap(store, 'alice', ['a']);
+  snap(store, 'bob', ['b']);
+
+  assert.deepEqual(store.list('pl-a', 'alice').map(snapshot => snapshot.id), [mine.id]);
+  assert.deepEqual(store.list('pl-a', 'carol'), []);
+  assert.equal(store.undoTarget('pl-a', 'carol'), null);
+});
+
+test('undoTarget skips restore backups and the snapshots they restored', () => {
+  const store = newStore();
+  const first = snap(store, 'alice', ['a']);
+  const second = snap(store, 'alice', ['a', 'b']);
+  assert.equal(store.undoTarget('pl-a', 'alice').id, second.id);
+
+  // Undoing `second` takes a backup; the next undo goes back to `first`
+  snap(store, 'alice', ['a', 'b', 'c'], second.id);
+  assert.equal(store.undoTarget('pl-a', 'alice').id, first.id);
+
+  snap(store, 'alice', ['a', 'b'], first.id);
+  assert.equal(store.undoTarget('pl-a', 'alice'), null);
+
+  // A new change can be undone again
+  const third = snap(store, 'alice', ['a']);
+  assert.equal(store.undoTarget('pl-a', 'alice').id, third.id);
+});
@@ -0,0 +1,106 @@
+// spotify-playlist-curator-mcp/test/spotify-limiter.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSpotifyLimiter, parseMaxRetries } from '../spotify-limiter.js';
+import { createFakeSpotify, spotifyError } from './fakes/fake-spotify.js';
+
+// Function to create a fake Spotify client signed in with the current token
+function signedInApi(spotify) {
+  const api = spotify.createApi();
+  api.setAccessToken(spotify.validAccessToken);
+  api.setRefreshToken('refresh-1');
+  return api;
+}
+
+test('waits out a 429 and retries', async () => {
+  const spotify = createFakeSpotify();
+  const api = signedInApi(spotify);
+  const limiter = createSpotifyLimiter({ baseDelayMs: 1 });
+  spotify.failNext('getMe', spotifyError(429, 'Too many requests', { retryAfter: 0 }));
+
+  const me = await limiter.run(() => api.getMe());
+
+  assert.equal(me.body.id, 'test-user');
+  assert.equal(spotify.callCount('getMe'), 2);
+});
+
+test('retries server errors with backoff, up to maxRetries', async () => {
+  const spotify = createFakeSpotify();
+  const api = signedInApi(spotify);
+  const limiter = createSpotifyLimiter({ baseDelayMs: 1, maxRetries: 2 });
+  [1, 2, 3].forEach(() => spotify.failNext('getMe', spotifyError(503, 'Service unavailable')));
+
+  await assert.rejects(limiter.run(() => api.getMe()), { statusCode: 503 });
+  assert.equal(spotify.callCount('getMe'), 3);
+});
+
+test('reads SPOTIFY_MAX_RETRIES, where 0 turns retries off', () => {
+  assert.equal(parseMaxRetries('0'), 0);
+  assert.equal(parseMaxRetries('3'), 3);
+  assert.equal(parseMaxRetries(undefined), 5);
+  assert.equal(parseMaxRetries(''), 5);
+  assert.equal(parseMaxRetries('lots'), 5);
+});
+
+test('only retries a request that is not idempotent after a 429', async () => {
+  const spotify = createFakeSpotify();
+  const api = signedInApi(spotify);
+  const limiter = createSpotifyLimiter({ baseDelayMs: 1 });
+  const addTracks = () => limiter.run(() => api.addTracksToPlaylist('pl-quiet', ['spotify:track:tr-09']), { idempotent: false });
+
+  spotify.failNext('addTracksToPlaylist', spotifyError(503, 'Service unavailable'));
+  await assert.rejects(addTracks(), { statusCode: 503 });
+  assert.equal(spotify.callCount('addTracksToPlaylist'), 1);
+
+  spotify.failNext('addTracksToPlaylist', Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }));
+  await assert.rejects(addTracks(), /socket hang up/);
+  assert.equal(spotify.callCount('addTracksToPlaylist'), 2);
+
+  spotify.failNext('addTracksToPlaylist', spotifyError(429, 'Too many requests', { retryAfter: 0 }));
+  await addTracks();
+  assert.equal(spotify.callCount('addTracksToPlaylist'), 4);
+});
+
+test('does not retry client errors', async () => {
+  const spotify = createFakeSpotify();
+  const api = signedInApi(spotify);
+  const limiter = createSpotifyLimiter({ baseDelayMs: 1 });
+
+  await assert.rejects(limiter.run(() => api.getPlaylist('missing')), { statusCode: 404 });
+  assert.equal(spotify.callCount('getPlaylist'), 1);
+});
+
+test('refreshes the token once after a 401', async () => {
+  const spotify = createFakeSpotify();
+  const api = signedInApi(spotify);
+  const limiter = createSpotifyLimiter({ baseDelayMs: 1 });
+  spotify.expireAccessToken();
+
+  let refreshes = 0;
+  const onUnauthorized = async () => {
+    refreshes++;
+    const data = await api.refreshAccessToken();
+    api.setAccessToken(data.body.access_token);
+  };
+
+  const me = await limiter.run(() => api.getMe(), { onUnauthorized });
+
+  assert.equal(me.body.id, 'test-user');
+  assert.equal(refreshes, 1);
+  assert.equal(api.getAccessToken(), spotify.validAccessToken);
+});
+
+test('gives up when the refreshed token is rejected too', async () => {
+  const spotify = createFakeSpotify();
+  const api = signedInApi(spotify);
+  const limiter = createSpotifyLimiter({ baseDelayMs: 1 });
+  spotify.expireAccessToken();
+
+  let refreshes = 0;
+  await assert.rejects(
+    limiter.run(() => api.getMe(), { onUnauthorized: async () => { refreshes++; } }),
+    { statusCode: 401 }
+  );
+  assert.equal(refreshes, 1);
+});
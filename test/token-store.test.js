@@ -0,0 +1,95 @@
+// spotify-playlist-curator-mcp/test/token-store.test.js
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, readFileSync, existsSync, statSync, rmSync } from 'fs';
+import { randomBytes } from 'crypto';
+import { tmpdir } from 'os';
+import path from 'path';
+import {
+  createEncryptedTokenStore,
+  createFileTokenStore,
+  createMemoryTokenStore,
+  createTokenStoreFromEnv,
+  migrateTokenFile,
+  parseEncryptionKey
+} from '../token-store.js';
+
+const dir = mkdtempSync(path.join(tmpdir(), 'curator-tokens-'));
+let fileCount = 0;
+const newPath = () => path.join(dir, `tokens-${++fileCount}`, 'tokens.json');
+
+const tokens = { accounts: { 'test-user': { displayName: 'Test User', accessToken: 'access-1', refreshToken: 'refresh-secret', expiresAt: 1 } } };
+
+after(() => {
+  rmSync(dir, { recursive: true, force: true });
+});
+
+test('encrypts tokens with a key and reads them back', () => {
+  const filePath = newPath();
+  const key = randomBytes(32);
+  createEncryptedTokenStore({ filePath, key }).save(tokens);
+
+  const content = readFileSync(filePath, 'utf8');
+  assert.ok(!content.includes('refresh-secret'));
+  assert.equal(statSync(filePath).mode & 0o777, 0o600);
+  assert.deepEqual(createEncryptedTokenStore({ filePath, key }).load(), tokens);
+});
+
+test('refuses to decrypt with the wrong key or passphrase', () => {
+  const filePath = newPath();
+  createEncryptedTokenStore({ filePath, passphrase: 'correct horse' }).save(tokens);
+
+  assert.deepEqual(createEncryptedTokenStore({ filePath, passphrase: 'correct horse' }).load(), tokens);
+  assert.throws(() => createEncryptedTokenStore({ filePath, passphrase: 'wrong' }).load(), /Could not decrypt/);
+  assert.throws(() => createEncryptedTokenStore({ filePath, key: randomBytes(32) }).load(), /encrypted with a passphrase/);
+});
+
+test('encrypts a plain-text token file found at its path', () => {
+  const filePath = newPath();
+  createFileTokenStore({ filePath }).save(tokens);
+
+  const key = randomBytes(32);
+  assert.deepEqual(createEncryptedTokenStore({ filePath, key }).load(), tokens);
+  assert.ok(!readFileSync(filePath, 'utf8').includes('refresh-secret'));
+  assert.deepEqual(createEncryptedTokenStore({ filePath, key }).load(), tokens);
+});
+
+test('migrates a legacy token file into an empty store and deletes it', () => {
+  const legacyPath = path.join(dir, '.spotify_tokens.json');
+  writeFileSync(legacyPath, JSON.stringify(tokens));
+  const store = createEncryptedTokenStore({ filePath: newPath(), key: randomBytes(32) });
+
+  assert.equal(migrateTokenFile(store, legacyPath), 'migrated');
+  assert.equal(existsSync(legacyPath), false);
+  assert.deepEqual(store.load(), tokens);
+
+  // A store that already has tokens keeps them, and the plain-text file is still deleted
+  writeFileSync(legacyPath, JSON.stringify({ accounts: {} }));
+  assert.equal(migrateTokenFile(store, legacyPath), 'removed');
+  assert.equal(existsSync(legacyPath), false);
+  assert.deepEqual(store.load(), tokens);
+  assert.equal(migrateTokenFile(store, path.join(dir, 'missing.json')), null);
+});
+
+test('the memory store keeps copies and forgets on clear', () => {
+  const store = createMemoryTokenStore(tokens);
+  store.load().accounts['test-user'].accessToken = 'changed';
+
+  assert.equal(store.load().accounts['test-user'].accessToken, 'access-1');
+  store.clear();
+  assert.equal(store.load(), null);
+});
+
+test('picks the store from the environment', () => {
+  const key = randomBytes(32).toString('hex');
+  const filePath = newPath();
+
+  assert.equal(createTokenStoreFromEnv({ TOKEN_ENCRYPTION_KEY: key, TOKEN_STORE_PATH: filePath }).name, 'encrypted');
+  assert.equal(createTokenStoreFromEnv({ TOKEN_STORE_PATH: filePath }).name, 'file');
+  assert.equal(createTokenStoreFromEnv({ TOKEN_STORE: 'memory' }).name, 'memory');
+  assert.equal(createTokenStoreFromEnv({ TOKEN_STORE_PATH: filePath }).location, filePath);
+  assert.throws(() => createTokenStoreFromEnv({ TOKEN_STORE: 'keychain' }), /TOKEN_STORE must be one of/);
+  assert.throws(() => createTokenStoreFromEnv({ TOKEN_STORE: 'encrypted' }), /needs TOKEN_ENCRYPTION_KEY or TOKEN_PASSPHRASE/);
+  assert.throws(() => parseEncryptionKey('too-short'), /must be 32 bytes/);
+});
@@ -0,0 +1,217 @@
+// spotify-playlist-curator-mcp/token-store.js
+// Where the Spotify tokens of signed-in accounts are kept: an encrypted file, a plain file or memory.
+// A store is { name, location, load(), save(data), clear() }; load() returns null when nothing is saved.
+
+import { readFileSync, writeFileSync, existsSync, unlinkSync, mkdirSync, chmodSync, renameSync } from 'fs';
+import { randomBytes, createCipheriv, createDecipheriv, scryptSync } from 'crypto';
+import os from 'os';
+import path from 'path';
+
+export const TOKEN_STORE_TYPES = ['encrypted', 'file', 'memory'];
+
+const CIPHER = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+
+// Function to find the user's config directory for the curator (XDG on Linux, AppData on Windows)
+export function defaultConfigDir() {
+  const base = process.env.XDG_CONFIG_HOME ||
+    (process.platform === 'win32' && process.env.APPDATA) ||
+    path.join(os.homedir(), '.config');
+  return path.join(base, 'spotify-playlist-curator');
+}
+
+// Function to write a file only its owner can read, replacing it in one step
+function writePrivateFile(filePath, content) {
+  mkdirSync(path.dirname(filePath), { recursive: true, mode: 0o700 });
+
+  const temporary = `${filePath}.${process.pid}.tmp`;
+  writeFileSync(temporary, content, { mode: 0o600 });
+  chmodSync(temporary, 0o600);
+  renameSync(temporary, filePath);
+}
+
+// Function to read a file, or null if it doesn't exist
+function readIfExists(filePath) {
+  try {
+    return readFileSync(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// Function to turn TOKEN_ENCRYPTION_KEY (64 hex characters or base64 of 32 bytes) into a key
+export function parseEncryptionKey(value) {
+  const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+  if (key.length !== KEY_LENGTH) {
+    throw new Error('TOKEN_ENCRYPTION_KEY must be 32 bytes, as 64 hex characters or base64 (try `openssl rand -hex 32`)');
+  }
+  return key;
+}
+
+// Function to create a store that keeps tokens in memory only, e.g. for tests
+export function createMemoryTokenStore(initial = null) {
+  let data = initial ? JSON.parse(JSON.stringify(initial)) : null;
+
+  return {
+    name: 'memory',
+    location: 'memory',
+
+    load() {
+      return data ? JSON.parse(JSON.stringify(data)) : null;
+    },
+
+    save(next) {
+      data = JSON.parse(JSON.stringify(next));
+    },
+
+    clear() {
+      data = null;
+    }
+  };
+}
+
+// Function to create a store that keeps tokens as plain JSON in a file only the owner can read
+export function createFileTokenStore({ filePath }) {
+  return {
+    name: 'file',
+    location: filePath,
+
+    load() {
+      const content = readIfExists(filePath);
+      return content === null ? null : JSON.parse(content);
+    },
+
+    save(data) {
+      writePrivateFile(filePath, JSON.stringify(data));
+    },
+
+    clear() {
+      if (existsSync(filePath)) {
+        unlinkSync(filePath);
+      }
+    }
+  };
+}
+
+// Function to create a store that encrypts tokens with AES-256-GCM.
+// The key is either `key` (32 bytes) or derived from `passphrase` with scrypt and a random salt kept in the file.
+// A plain-text token file found at the same path is read once and saved back encrypted.
+export function createEncryptedTokenStore({ filePath, key, passphrase }) {
+  if (!key && !passphrase) {
+    throw new Error('The encrypted token store needs TOKEN_ENCRYPTION_KEY or TOKEN_PASSPHRASE');
+  }
+
+  const deriveKey = salt => (key ? key : scryptSync(passphrase, salt, KEY_LENGTH));
+
+  const encrypt = data => {
+    const salt = key ? null : randomBytes(16);
+    const iv = randomBytes(12);
+    const cipher = createCipheriv(CIPHER, deriveKey(salt), iv);
+    const ciphertext = Buffer.concat([cipher.update(JSON.stringify(data), 'utf8'), cipher.final()]);
+
+    return JSON.stringify({
+      version: 1,
+      cipher: CIPHER,
+      kdf: key ? 'none' : 'scrypt',
+      ...(salt ? { salt: salt.toString('base64') } : {}),
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      ciphertext: ciphertext.toString('base64')
+    });
+  };
+
+  const decrypt = file => {
+    if ((file.kdf === 'scrypt') !== Boolean(passphrase && !key)) {
+      throw new Error(`The token file at ${filePath} was encrypted with a ${file.kdf === 'scrypt' ? 'passphrase (TOKEN_PASSPHRASE)' : 'key (TOKEN_ENCRYPTION_KEY)'}`);
+    }
+
+    try {
+      const salt = file.salt ? Buffer.from(file.salt, 'base64') : null;
+      const decipher = createDecipheriv(file.cipher, deriveKey(salt), Buffer.from(file.iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(file.tag, 'base64'));
+      const plaintext = Buffer.concat([decipher.update(Buffer.from(file.ciphertext, 'base64')), decipher.final()]);
+      return JSON.parse(plaintext.toString('utf8'));
+    } catch (error) {
+      throw new Error(`Could not decrypt the token file at ${filePath}; check TOKEN_ENCRYPTION_KEY or TOKEN_PASSPHRASE`);
+    }
+  };
+
+  return {
+    name: 'encrypted',
+    location: filePath,
+
+    load() {
+      const content = readIfExists(filePath);
+      if (content === null) {
+        return null;
+      }
+
+      const file = JSON.parse(content);
+      if (file.ciphertext) {
+        return decrypt(file);
+      }
+
+      // Still plain text from before encryption was turned on: encrypt it now
+      writePrivateFile(filePath, encrypt(file));
+      return file;
+    },
+
+    save(data) {
+      writePrivateFile(filePath, encrypt(data));
+    },
+
+    clear() {
+      if (existsSync(filePath)) {
+        unlinkSync(filePath);
+      }
+    }
+  };
+}
+
+// Function to create the token store chosen by the environment:
+// TOKEN_STORE (encrypted, file or memory), TOKEN_STORE_PATH, TOKEN_ENCRYPTION_KEY and TOKEN_PASSPHRASE.
+// Without TOKEN_STORE, tokens are encrypted when a key or passphrase is set, and kept in a plain file otherwise.
+export function createTokenStoreFromEnv(env = process.env) {
+  const type = env.TOKEN_STORE || (env.TOKEN_ENCRYPTION_KEY || env.TOKEN_PASSPHRASE ? 'encrypted' : 'file');
+  if (!TOKEN_STORE_TYPES.includes(type)) {
+    throw new Error(`TOKEN_STORE must be one of ${TOKEN_STORE_TYPES.join(', ')}`);
+  }
+
+  const filePath = env.TOKEN_STORE_PATH || path.join(defaultConfigDir(), type === 'encrypted' ? 'tokens.enc.json' : 'tokens.json');
+
+  if (type === 'memory') {
+    return createMemoryTokenStore();
+  }
+  if (type === 'encrypted') {
+    return createEncryptedTokenStore({
+      filePath,
+      key: env.TOKEN_ENCRYPTION_KEY ? parseEncryptionKey(env.TOKEN_ENCRYPTION_KEY) : null,
+      passphrase: env.TOKEN_PASSPHRASE || null
+    });
+  }
+  return createFileTokenStore({ filePath });
+}
+
+// Function to move tokens from an old plain-text file into a store, then delete the old file.
+// If the store already has tokens it keeps them, and the old file is deleted all the same.
+// Returns 'migrated', 'removed' (the old file was deleted without importing it) or null (no old file).
+export function migrateTokenFile(store, legacyPath) {
+  if (!legacyPath || legacyPath === store.location) {
+    return null;
+  }
+
+  const content = readIfExists(legacyPath);
+  if (content === null) {
+    return null;
+  }
+
+  const outcome = store.load() === null ? 'migrated' : 'removed';
+  if (outcome === 'migrated') {
+    store.save(JSON.parse(content));
+  }
+  unlinkSync(legacyPath);
+  return outcome;
+}